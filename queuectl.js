@@ -1,134 +1,1335 @@
 #!/usr/bin/env node
 
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
 const { Command } = require('commander');
-const { exec } = require('child_process');
 const Table = require('cli-table3');
 const chalk = require('chalk');
 const JobQueue = require('./src/jobQueue');
 const { WorkerManager } = require('./src/workerManager');
-const { Config } = require('./src/config');
+const { QueuePauses, ALL_QUEUES } = require('./src/queuePauses');
+const { Config, CONFIG_KEYS, normalizeKey, setCliOverrides } = require('./src/config');
+const { Scheduler } = require('./src/scheduler');
+const { Hooks, HOOK_EVENTS } = require('./src/hooks');
+const { Retention, PURGEABLE_STATES } = require('./src/retention');
+const { WorkflowManager, parseWorkflowFile } = require('./src/workflow');
+const { JobLogs } = require('./src/jobLogs');
+const { JobAttempts } = require('./src/jobAttempts');
+const { parseJobFile, detectFormat } = require('./src/jobImport');
+const { ApiServer } = require('./src/server');
+const { MetricsServer } = require('./src/metricsServer');
+const { parseDuration, parseTime } = require('./src/timeUtils');
+const JobProcess = require('./src/jobProcess');
+const { prepareExecution } = require('./src/jobExecution');
+const { readResultOutput } = require('./src/jobResults');
+const { formatBytes } = require('./src/sizeUtils');
+const { loadExecutionPolicy } = require('./src/executionPolicy');
 
 const program = new Command();
 
+function colorState(state) {
+  switch (state) {
+    case 'completed': return chalk.green(state);
+    case 'failed': return chalk.red(state);
+    case 'timed_out': return chalk.red(state);
+    case 'dead': return chalk.bgRed.white(state);
+    case 'pending': return chalk.yellow(state);
+    case 'blocked': return chalk.magenta(state);
+    case 'processing':
+    case 'running': return chalk.cyan(state);
+    case 'cancelled': return chalk.gray(state);
+    default: return chalk.white(state);
+  }
+}
+
 program
   .name('queuectl')
   .description('CLI-based background job queue system')
-  .version('1.0.0');
+  .version('1.0.0')
+  .option('--set <key=value>', 'Override a config value for this run (repeatable)', collectConfigOverride, {})
+  .hook('preAction', () => {
+    try {
+      setCliOverrides(program.opts().set);
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+function collectConfigOverride(value, previous) {
+  const separator = value.indexOf('=');
+  if (separator < 1) {
+    throw new Error(`Invalid --set "${value}". Use key=value, e.g. --set poll-interval=500ms`);
+  }
+  return { ...previous, [normalizeKey(value.slice(0, separator))]: value.slice(separator + 1) };
+}
+
+function formatConfigValue({ value, type }) {
+  if (value === null) {
+    return chalk.gray('(unset)');
+  }
+  const unit = type.startsWith('duration') ? 's' : type === 'size' ? 'B' : '';
+  return [].concat(value).map(item => `${item}${unit}`).join(',');
+}
+
+function parsePort(value) {
+  const port = parseInt(value);
+  if (isNaN(port) || port < 0 || port > 65535) {
+    throw new Error('Port must be between 0 and 65535');
+  }
+  return port;
+}
+
+// A timestamp, or a duration back from now (e.g. 2h)
+function parsePastTime(value) {
+  try {
+    return new Date(Date.now() - parseDuration(value));
+  } catch (error) {
+    return parseTime(value);
+  }
+}
+
+// ========== ENQUEUE COMMAND ==========
+async function enqueueFromFile(options, defaults) {
+  if (options.runNow || options.idempotencyKey) {
+    throw new Error('--run-now and --idempotency-key apply to a single job; put idempotency_key on each line instead');
+  }
+
+  const batchSize = parseInt(options.batchSize);
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    throw new Error(`Invalid batch size "${options.batchSize}"`);
+  }
+
+  const format = options.format || (options.file ? detectFormat(options.file) : 'jsonl');
+  const text = options.file ? fs.readFileSync(options.file, 'utf8') : fs.readFileSync(0, 'utf8');
+  const entries = parseJobFile(text, format);
+
+  const readable = entries.filter(entry => !entry.error);
+  const jobQueue = new JobQueue();
+  const result = await jobQueue.enqueueBatch(
+    readable.map(entry => ({ ...defaults, ...entry.data })),
+    { batchSize, dryRun: options.dryRun }
+  );
+
+  const rejected = [
+    ...entries.filter(entry => entry.error),
+    ...result.rejected.map(item => ({ line: readable[item.index].line, error: item.error }))
+  ];
+  const report = [
+    ...rejected.map(item => ({ line: item.line, text: chalk.red(`Line ${item.line}: ${item.error}`) })),
+    ...result.skipped.map(item => {
+      const line = readable[item.index].line;
+      return { line, text: chalk.yellow(`Line ${line}: skipped, ${item.reason}`) };
+    })
+  ].sort((a, b) => a.line - b.line);
+
+  report.forEach(item => console.log(item.text));
+  if (report.length > 0) {
+    console.log('');
+  }
+
+  const title = options.dryRun ? 'Dry run, nothing was enqueued' : 'Bulk enqueue complete';
+  console.log(chalk.cyan(`=== ${title} ===`));
+  console.log(`${options.dryRun ? 'Would create' : 'Created'}: ${chalk.green(result.created.length)}`);
+  console.log(`Skipped:  ${chalk.yellow(result.skipped.length)}`);
+  console.log(`Rejected: ${chalk.red(rejected.length)}`);
+
+  if (rejected.length > 0) {
+    process.exit(1);
+  }
+}
+
+program
+  .command('enqueue')
+  .description('Add a new job to the queue')
+  .argument('[json]', 'Job JSON string (e.g., \'{"id":"job1","command":"echo hello"}\')')
+  .option('--file <path>', 'Enqueue every job in a JSONL or CSV file')
+  .option('--stdin', 'Read jobs from stdin, one per line')
+  .option('--format <format>', 'Format of --file or --stdin input: jsonl or csv (default: from the file extension)')
+  .option('--batch-size <n>', 'Jobs inserted per batch with --file or --stdin', '100')
+  .option('--dry-run', 'Validate the jobs in --file or --stdin without enqueueing them')
+  .option('--run-now', 'Execute the command immediately after enqueueing')
+  .option('--delay <duration>', 'Wait before the job becomes runnable (e.g. 30s, 10m, 2h)')
+  .option('--run-at <time>', 'Earliest time the job may run (ISO 8601)')
+  .option('--idempotency-key <key>', 'Return the existing job instead of enqueueing again with the same key')
+  .option('--unique-for <duration>', 'Only deduplicate within this window (e.g. 10m); without a key, identical commands are deduplicated')
+  .action(async (jsonString, options) => {
+    try {
+      const sources = [jsonString !== undefined, Boolean(options.file), Boolean(options.stdin)].filter(Boolean);
+      if (sources.length !== 1) {
+        console.error(chalk.red('Error: Pass a job JSON string, --file or --stdin'));
+        process.exit(1);
+      }
+
+      if (options.delay && options.runAt) {
+        console.error(chalk.red('Error: Use either --delay or --run-at, not both'));
+        process.exit(1);
+      }
+
+      if (options.file || options.stdin) {
+        const defaults = {};
+        if (options.delay) {
+          defaults.run_at = new Date(Date.now() + parseDuration(options.delay)).toISOString();
+        } else if (options.runAt) {
+          defaults.run_at = options.runAt;
+        }
+        if (options.uniqueFor) {
+          defaults.unique_for = options.uniqueFor;
+        }
+
+        await enqueueFromFile(options, defaults);
+        return;
+      }
+
+      const jobData = JSON.parse(jsonString);
+
+      if (!jobData.command) {
+        console.error(chalk.red('Error: Job must have a "command" field'));
+        process.exit(1);
+      }
+
+      if (options.delay) {
+        jobData.run_at = new Date(Date.now() + parseDuration(options.delay)).toISOString();
+      } else if (options.runAt) {
+        jobData.run_at = options.runAt;
+      }
+
+      if (options.idempotencyKey) {
+        jobData.idempotency_key = options.idempotencyKey;
+      }
+      if (options.uniqueFor) {
+        jobData.unique_for = options.uniqueFor;
+      }
+
+      const jobQueue = new JobQueue();
+      const { job, deduplicated } = await jobQueue.enqueue(jobData);
+
+      if (deduplicated) {
+        console.log(chalk.yellow('Job deduplicated, returning the existing job:'));
+      } else {
+        console.log(chalk.green('Job enqueued successfully:'));
+      }
+      console.log(JSON.stringify(job, null, 2));
+
+      // Optional immediate execution
+      if (options.runNow && !deduplicated) {
+        console.log(chalk.cyan(`\nExecuting now: ${job.command}`));
+        const execution = prepareExecution(job, 1);
+        const result = await new JobProcess(execution.command, { ...execution.options, timeoutMs: 0 }).run();
+        execution.cleanup();
+
+        if (result.error || result.code !== 0) {
+          console.error(chalk.red(`Execution failed: ${result.stderr || (result.error ? result.error.message : `exit code ${result.code}`)}`));
+        } else {
+          console.log(chalk.yellow(`Output:\n${result.stdout.trim()}`));
+        }
+      }
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+// ========== CANCEL COMMAND ==========
+program
+  .command('cancel')
+  .description('Cancel a waiting job or stop a running one')
+  .argument('<jobId>', 'Job ID to cancel')
+  .action(async (jobId) => {
+    try {
+      const jobQueue = new JobQueue();
+      const job = await jobQueue.cancelJob(jobId);
+
+      if (job.state === 'cancelled') {
+        console.log(chalk.green(`Job ${jobId} cancelled.`));
+      } else {
+        console.log(chalk.yellow(`Cancellation requested. Worker ${job.locked_by} will stop job ${jobId}.`));
+      }
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+// ========== SHOW COMMAND ==========
+function formatDuration(ms) {
+  if (ms === null || ms === undefined) {
+    return '-';
+  }
+  return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`;
+}
+
+function printIndented(label, text, maxLines = 5) {
+  const lines = text.replace(/\n$/, '').split('\n');
+  const shown = lines.slice(-maxLines);
+
+  console.log(chalk.gray(`    ${label}:${lines.length > shown.length ? ` (last ${shown.length} of ${lines.length} lines)` : ''}`));
+  shown.forEach(line => console.log(`      ${line}`));
+}
+
+program
+  .command('show')
+  .description('Show a job and the timeline of all its attempts')
+  .argument('<jobId>', 'Job ID')
+  .action(async (jobId) => {
+    try {
+      const jobQueue = new JobQueue();
+      const jobAttempts = new JobAttempts();
+
+      const job = await jobQueue.getJob(jobId);
+      if (!job) {
+        console.error(chalk.red(`Error: Job ${jobId} not found`));
+        process.exit(1);
+      }
+
+      const attempts = await jobAttempts.listAttempts(jobId);
+
+      console.log(chalk.cyan(`=== Job ${job.id} ===\n`));
+      console.log(`Command:      ${job.command}`);
+      console.log(`State:        ${colorState(job.state)}`);
+      console.log(`Queue:        ${job.queue || 'default'} (priority ${job.priority || 0})`);
+      console.log(`Attempts:     ${job.attempts}/${job.max_retries}`);
+      console.log(`Created:      ${new Date(job.created_at).toLocaleString()}`);
+      console.log(`Updated:      ${new Date(job.updated_at).toLocaleString()}`);
+      if (job.run_at) {
+        console.log(`Run At:       ${new Date(job.run_at).toLocaleString()}`);
+      }
+      if (job.next_retry_at) {
+        console.log(`Next Retry:   ${new Date(job.next_retry_at).toLocaleString()}`);
+      }
+      if (job.timeout) {
+        console.log(`Timeout:      ${job.timeout}s`);
+      }
+      if (job.retry) {
+        console.log(`Retry:        ${JSON.stringify(job.retry)}`);
+      }
+      if (job.argv) {
+        console.log(`Mode:         argv (no shell)`);
+      }
+      if (job.shell) {
+        console.log(`Shell:        ${job.shell}`);
+      }
+      if (job.cwd) {
+        console.log(`Cwd:          ${job.cwd}`);
+      }
+      if (job.env && Object.keys(job.env).length > 0) {
+        console.log(`Env:          ${Object.keys(job.env).join(', ')}`);
+      }
+      if (job.payload !== null && job.payload !== undefined) {
+        console.log(`Payload:      ${JSON.stringify(job.payload).length} bytes via ${job.payload_mode}`);
+      }
+      if (job.depends_on && job.depends_on.length > 0) {
+        console.log(`Depends On:   ${job.depends_on.join(', ')}`);
+      }
+      if (job.workflow_id) {
+        console.log(`Workflow:     ${job.workflow_id}`);
+      }
+      if (job.idempotency_key) {
+        console.log(`Idempotency:  ${job.idempotency_key}`);
+      }
+      if (job.locked_by) {
+        console.log(`Locked By:    ${job.locked_by}`);
+      }
+      if (job.started_at) {
+        const exit = job.signal ? `signal ${job.signal}` : `exit ${job.exit_code === null ? '-' : job.exit_code}`;
+        console.log(`Last Result:  ${exit} after ${formatDuration(job.duration_ms)} (see \`result ${job.id}\`)`);
+      }
+      if (job.error_message) {
+        console.log(`Last Error:   ${chalk.red(job.error_message.trim())}`);
+      }
+
+      console.log(chalk.cyan('\n=== Attempts ===\n'));
+      if (attempts.length === 0) {
+        console.log(chalk.gray('No attempts yet.'));
+        return;
+      }
+
+      attempts.forEach(attempt => {
+        const exit = attempt.signal ? `signal ${attempt.signal}` : attempt.exit_code !== null && attempt.exit_code !== undefined ? `exit ${attempt.exit_code}` : '';
+        const finished = attempt.finished_at ? new Date(attempt.finished_at).toLocaleString() : 'running';
+
+        console.log(`#${attempt.attempt}  ${colorState(attempt.outcome)}  ${new Date(attempt.started_at).toLocaleString()} -> ${finished}  (${formatDuration(attempt.duration_ms)})`);
+        console.log(chalk.gray(`    worker: ${attempt.worker_id}${exit ? `, ${exit}` : ''}`));
+        if (attempt.error) {
+          console.log(chalk.red(`    error: ${attempt.error}`));
+        }
+        if (attempt.stdout) {
+          printIndented('stdout', attempt.stdout);
+        }
+        if (attempt.stderr) {
+          printIndented('stderr', attempt.stderr);
+        }
+      });
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+// ========== RESULT COMMAND ==========
+program
+  .command('result')
+  .description('Print the result of a job\'s latest attempt: exit code, output and timing')
+  .argument('<jobId>', 'Job ID')
+  .option('--stdout', 'Print only the full stdout')
+  .option('--stderr', 'Print only the full stderr')
+  .option('--json', 'Print the result as JSON')
+  .action(async (jobId, options) => {
+    try {
+      if ([options.stdout, options.stderr, options.json].filter(Boolean).length > 1) {
+        throw new Error('Use only one of --stdout, --stderr and --json');
+      }
+
+      const job = await new JobQueue().getJob(jobId);
+      if (!job) {
+        throw new Error(`Job ${jobId} not found`);
+      }
+      if (!job.started_at) {
+        throw new Error(`Job ${jobId} has no result yet (state: ${job.state})`);
+      }
+
+      const streams = {};
+      ['stdout', 'stderr'].forEach(stream => {
+        streams[stream] = readResultOutput(job, stream);
+        if (streams[stream].missing) {
+          console.error(chalk.yellow(`Warning: ${stream} artifact ${streams[stream].artifact.path} is not on this host; showing the stored preview`));
+        }
+      });
+
+      if (options.stdout || options.stderr) {
+        process.stdout.write(streams[options.stdout ? 'stdout' : 'stderr'].text);
+        return;
+      }
+
+      if (options.json) {
+        console.log(JSON.stringify({
+          id: job.id,
+          state: job.state,
+          attempts: job.attempts,
+          exit_code: job.exit_code,
+          signal: job.signal,
+          started_at: job.started_at,
+          duration_ms: job.duration_ms,
+          error_message: job.error_message || null,
+          stdout: streams.stdout.text,
+          stderr: streams.stderr.text,
+          artifacts: job.artifacts || null
+        }, null, 2));
+        return;
+      }
+
+      console.log(`State:     ${colorState(job.state)}`);
+      console.log(`Exit:      ${job.signal ? `signal ${job.signal}` : job.exit_code === null ? '-' : job.exit_code}`);
+      console.log(`Started:   ${new Date(job.started_at).toLocaleString()}`);
+      console.log(`Duration:  ${formatDuration(job.duration_ms)}`);
+      ['stdout', 'stderr'].forEach(stream => {
+        const { text, artifact } = streams[stream];
+        const stored = artifact
+          ? ` (${formatBytes(artifact.bytes)}, artifact ${artifact.path}${artifact.truncated ? `, first ${formatBytes(artifact.stored_bytes)} kept` : ''})`
+          : '';
+        console.log(chalk.cyan(`\n--- ${stream}${stored} ---`));
+        console.log(text ? text.replace(/\n$/, '') : chalk.gray('(empty)'));
+      });
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+// ========== LOGS COMMAND ==========
+// An entry holds one or more lines of the same stream
+function printLogEntry(entry, showTimestamps) {
+  const prefix = showTimestamps ? chalk.gray(`${entry.created_at} ${entry.stream.padEnd(6)} | `) : '';
+  entry.message.split('\n').forEach(line => {
+    console.log(prefix + (entry.stream === 'stderr' ? chalk.red(line) : line));
+  });
+}
+
+// An attempt is over once the job finished for good or recorded that attempt as failed
+function isAttemptFinished(job, attempt) {
+  return ['completed', 'dead', 'cancelled'].includes(job.state) || job.attempts >= attempt;
+}
+
+program
+  .command('logs')
+  .description('Show the output of a job, optionally following it live')
+  .argument('<jobId>', 'Job ID')
+  .option('-a, --attempt <n>', 'Attempt number (default: latest)')
+  .option('-f, --follow', 'Keep streaming new output until the attempt finishes')
+  .option('-t, --timestamps', 'Prefix each line with its timestamp and stream')
+  .action(async (jobId, options) => {
+    try {
+      const jobQueue = new JobQueue();
+      const jobLogs = new JobLogs();
+
+      const job = await jobQueue.getJob(jobId);
+      if (!job) {
+        console.error(chalk.red(`Error: Job ${jobId} not found`));
+        process.exit(1);
+      }
+
+      let attempt = options.attempt ? parseInt(options.attempt) : await jobLogs.getLatestAttempt(jobId);
+      if (attempt === null) {
+        attempt = job.attempts + 1;
+      }
+      if (isNaN(attempt) || attempt < 1) {
+        console.error(chalk.red('Error: Attempt must be a positive integer'));
+        process.exit(1);
+      }
+
+      let lastId = null;
+      const printEntries = entries => {
+        entries.forEach(entry => printLogEntry(entry, options.timestamps));
+        if (entries.length > 0) {
+          lastId = entries[entries.length - 1].id;
+        }
+      };
+
+      printEntries(await jobLogs.getLogs(jobId, { attempt }));
+
+      if (!options.follow) {
+        if (lastId === null) {
+          console.log(chalk.gray(`No logs for attempt ${attempt} of job ${jobId}.`));
+        }
+        return;
+      }
+
+      while (true) {
+        const current = await jobQueue.getJob(jobId);
+        printEntries(await jobLogs.getLogs(jobId, { attempt, afterId: lastId }));
+
+        if (!current || isAttemptFinished(current, attempt)) {
+          break;
+        }
+        await new Promise(resolve => setTimeout(resolve, 500));
+      }
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+// ========== WORKER COMMANDS ==========
+const workerCmd = program.command('worker').description('Manage workers');
+
+workerCmd
+  .command('start')
+  .description('Start worker processes')
+  .option('-c, --count <number>', 'Number of workers to start', '1')
+  .option('-q, --queues <names>', 'Comma-separated queues to consume (default: all queues)')
+  .option('--concurrency <slots>', 'Jobs each worker runs at the same time', '1')
+  .option('--metrics-port <port>', 'Serve Prometheus metrics for these workers on this port')
+  .option('--metrics-host <host>', 'Interface the metrics endpoint binds to', '127.0.0.1')
+  .option('--policy <file>', 'Execution policy JSON file (default: "executionPolicy" in queuectl.config.json)')
+  .action(async (options) => {
+    try {
+      const count = parseInt(options.count);
+      if (isNaN(count) || count < 1) {
+        console.error(chalk.red('Error: Count must be a positive integer'));
+        process.exit(1);
+      }
+
+      const concurrency = parseInt(options.concurrency);
+      if (isNaN(concurrency) || concurrency < 1) {
+        console.error(chalk.red('Error: Concurrency must be a positive integer'));
+        process.exit(1);
+      }
+
+      const metricsPort = options.metricsPort === undefined ? null : parsePort(options.metricsPort);
+
+      const queues = options.queues
+        ? options.queues.split(',').map(name => name.trim()).filter(Boolean)
+        : null;
+
+      const policy = loadExecutionPolicy(options.policy || null);
+
+      const manager = new WorkerManager();
+      await manager.startWorkers(count, { queues, concurrency, policy });
+
+      if (metricsPort !== null) {
+        const address = await new MetricsServer().listen(metricsPort, options.metricsHost);
+        console.log(chalk.green(`Metrics available on http://${address.address}:${address.port}/metrics`));
+      }
+
+      process.on('SIGINT', async () => {
+        console.log('\nReceived SIGINT, stopping workers...');
+        await manager.stopAllWorkers();
+        process.exit(0);
+      });
+
+      process.on('SIGTERM', async () => {
+        console.log('\nReceived SIGTERM, stopping workers...');
+        await manager.stopAllWorkers();
+        process.exit(0);
+      });
+
+      // Workers can also be stopped from another shell with `worker stop`
+      await manager.waitUntilStopped();
+      process.exit(0);
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+function parseWorkerIds(value) {
+  return value ? value.split(',').map(id => id.trim()).filter(Boolean) : null;
+}
+
+async function sendWorkerCommand(command, options, { waitFor, timeoutMs = null, deadline = null }) {
+  const manager = new WorkerManager();
+  const targets = await manager.resolveTargets({ ids: parseWorkerIds(options.id), all: options.all });
+
+  if (targets.length === 0) {
+    console.log(chalk.gray('No active workers'));
+    return;
+  }
+
+  const sent = await manager.sendCommand(targets.map(worker => worker.id), command, { deadline });
+  sent.forEach(worker => console.log(`Sent ${command} to ${worker.id} (${worker.host || 'unknown host'}, pid ${worker.pid || '?'})`));
+
+  if (sent.length === 0 || !options.wait) {
+    return;
+  }
+
+  const pending = await manager.waitForStatus(sent.map(worker => worker.id), waitFor, { timeoutMs });
+  if (pending.length > 0) {
+    console.error(chalk.red(`Timed out waiting for: ${pending.map(worker => `${worker.id} (${worker.status})`).join(', ')}`));
+    process.exit(1);
+  }
+  console.log(chalk.green(`${sent.length} worker(s) ${waitFor[0]}`));
+}
+
+workerCmd
+  .command('stop')
+  .description('Stop running workers, on this or another host, after their current jobs finish')
+  .option('--id <ids>', 'Comma-separated worker ids')
+  .option('--all', 'Stop every active worker')
+  .option('--timeout <duration>', 'Terminate jobs still running after this long (e.g. 30s); they are retried')
+  .option('--no-wait', 'Return without waiting for the workers to stop')
+  .action(async (options) => {
+    try {
+      const timeoutMs = options.timeout ? parseDuration(options.timeout) : null;
+      const deadline = timeoutMs === null ? null : new Date(Date.now() + timeoutMs);
+
+      // Leave room past the deadline for the kill grace period and the final state updates
+      await sendWorkerCommand('stop', options, {
+        waitFor: ['stopped'],
+        timeoutMs: timeoutMs === null ? null : timeoutMs + 15000,
+        deadline
+      });
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+workerCmd
+  .command('pause')
+  .description('Stop workers from claiming new jobs; running jobs finish')
+  .option('--id <ids>', 'Comma-separated worker ids')
+  .option('--all', 'Pause every active worker')
+  .option('--no-wait', 'Return without waiting for the workers to acknowledge')
+  .action(async (options) => {
+    try {
+      await sendWorkerCommand('pause', options, { waitFor: ['paused', 'stopping', 'stopped'], timeoutMs: 10000 });
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+workerCmd
+  .command('resume')
+  .description('Let paused workers claim jobs again')
+  .option('--id <ids>', 'Comma-separated worker ids')
+  .option('--all', 'Resume every paused worker')
+  .option('--no-wait', 'Return without waiting for the workers to acknowledge')
+  .action(async (options) => {
+    try {
+      await sendWorkerCommand('resume', options, { waitFor: ['active', 'stopping', 'stopped'], timeoutMs: 10000 });
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+workerCmd
+  .command('list')
+  .description('List workers with their host, pid, version and current jobs')
+  .option('--all', 'Include stopped workers')
+  .action(async (options) => {
+    try {
+      const manager = new WorkerManager();
+      const workers = await manager.listWorkers({ all: options.all });
+
+      if (workers.length === 0) {
+        console.log(chalk.gray(options.all ? 'No workers found.' : 'No active workers.'));
+        return;
+      }
+
+      const table = new Table({
+        head: ['Worker ID', 'Host', 'PID', 'Version', 'Status', 'Slots', 'Current Jobs', 'Last Heartbeat'],
+        colWidths: [45, 12, 8, 9, 10, 7, 20, 12],
+        wordWrap: true
+      });
+
+      workers.forEach(worker => {
+        table.push([
+          worker.id,
+          worker.host || '-',
+          worker.pid || '-',
+          worker.version || '-',
+          worker.status,
+          `${worker.current_jobs.length}/${worker.concurrency || 1}`,
+          worker.current_jobs.join(', ') || chalk.gray('idle'),
+          `${formatDuration(Date.now() - new Date(worker.last_heartbeat).getTime())} ago`
+        ]);
+      });
+
+      console.log(table.toString());
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+// ========== QUEUE COMMANDS ==========
+const queueCmd = program.command('queue').description('Pause and resume job pickup per queue');
+
+function pauseTarget(name, options) {
+  if (Boolean(options.all) === Boolean(name)) {
+    throw new Error('Give a queue name or --all');
+  }
+  return options.all ? ALL_QUEUES : name;
+}
+
+queueCmd
+  .command('pause')
+  .description('Stop workers from picking up jobs in a queue; running jobs finish')
+  .argument('[name]', 'Queue name')
+  .option('--all', 'Pause every queue')
+  .option('--for <duration>', 'Resume automatically after this long (e.g. 30m)')
+  .option('--reason <text>', 'Note shown in status')
+  .action(async (name, options) => {
+    try {
+      const queue = pauseTarget(name, options);
+      const pause = await new QueuePauses().pause(queue, { duration: options.for, reason: options.reason || null });
+
+      const label = queue === ALL_QUEUES ? 'All queues' : `Queue "${queue}"`;
+      const until = pause.paused_until ? ` until ${new Date(pause.paused_until).toLocaleString()}` : '';
+      console.log(chalk.yellow(`${label} paused${until}.`));
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+queueCmd
+  .command('resume')
+  .description('Let workers pick up jobs in a paused queue again')
+  .argument('[name]', 'Queue name')
+  .option('--all', 'Lift the pause on all queues (queues paused by name stay paused)')
+  .action(async (name, options) => {
+    try {
+      const queue = pauseTarget(name, options);
+      const wasPaused = await new QueuePauses().resume(queue);
+
+      const label = queue === ALL_QUEUES ? 'All queues' : `Queue "${queue}"`;
+      console.log(wasPaused ? chalk.green(`${label} resumed.`) : chalk.gray(`${label} was not paused.`));
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+// ========== STATUS COMMAND ==========
+program
+  .command('status')
+  .description('Show summary of all job states and active workers')
+  .option('-q, --queue <name>', 'Only count jobs in this queue')
+  .action(async (options) => {
+    try {
+      const jobQueue = new JobQueue();
+      const manager = new WorkerManager();
+
+      const stats = await jobQueue.getJobStats(options.queue || null);
+      const queueStats = options.queue ? null : await jobQueue.getQueueStats();
+      const workers = await manager.getActiveWorkers();
+      const pauses = await jobQueue.queuePauses.listPauses();
+
+      const title = options.queue ? `=== Job Queue Status (${options.queue}) ===\n` : '=== Job Queue Status ===\n';
+      console.log(chalk.cyan(title));
+      console.log(`Total Jobs:        ${stats.total}`);
+      console.log(`Pending:           ${stats.pending}`);
+      console.log(`Blocked:           ${stats.blocked}`);
+      console.log(`Processing:        ${stats.processing}`);
+      console.log(`Completed:         ${stats.completed}`);
+      console.log(`Failed (Retrying): ${stats.failed}`);
+      console.log(`Dead (DLQ):        ${stats.dead}`);
+      console.log(`Cancelled:         ${stats.cancelled}`);
+
+      if (queueStats && Object.keys(queueStats).length > 0) {
+        console.log(chalk.cyan('\n=== Queues ===\n'));
+
+        const queueTable = new Table({
+          head: ['Queue', 'Pending', 'Blocked', 'Processing', 'Completed', 'Failed', 'Dead', 'Cancelled', 'Total']
+        });
+
+        Object.entries(queueStats).forEach(([queue, counts]) => {
+          queueTable.push([
+            queue,
+            counts.pending,
+            counts.blocked,
+            counts.processing,
+            counts.completed,
+            counts.failed,
+            counts.dead,
+            counts.cancelled,
+            counts.total
+          ]);
+        });
+
+        console.log(queueTable.toString());
+      }
+
+      if (pauses.length > 0) {
+        console.log(chalk.cyan('\n=== Paused Queues ===\n'));
+        pauses.forEach(pause => {
+          const name = pause.queue === ALL_QUEUES ? chalk.bold('all queues') : pause.queue;
+          const until = pause.paused_until ? `until ${new Date(pause.paused_until).toLocaleString()}` : 'until resumed';
+          console.log(`${chalk.yellow('⏸')} ${name} ${until}${pause.reason ? ` - ${pause.reason}` : ''}`);
+        });
+      }
+
+      console.log(chalk.cyan('\n=== Active Workers ===\n'));
+      if (workers.length === 0) {
+        console.log(chalk.gray('No active workers'));
+      } else {
+        workers.forEach(worker => {
+          console.log(`Worker ID:        ${worker.id}`);
+          console.log(`Status:           ${worker.status}`);
+          console.log(`Queues:           ${worker.queues && worker.queues.length > 0 ? worker.queues.join(', ') : 'all'}`);
+          console.log(`Slots In Use:     ${worker.active_jobs || 0}/${worker.concurrency || 1}`);
+          console.log(`Jobs Processed:   ${worker.jobs_processed}`);
+          console.log(`Started:          ${new Date(worker.started_at).toLocaleString()}`);
+          console.log(`Last Heartbeat:   ${new Date(worker.last_heartbeat).toLocaleString()}`);
+          console.log('---');
+        });
+      }
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+// ========== LIST COMMAND (TABLE FORMAT) ==========
+const LIST_COLUMNS = {
+  id: { head: 'Job ID', width: 20, value: job => job.id },
+  queue: { head: 'Queue', width: 12, value: job => job.queue || 'default' },
+  priority: { head: 'Priority', width: 10, value: job => job.priority || 0 },
+  command: { head: 'Command', width: 30, value: job => job.command },
+  state: { head: 'State', width: 12, value: job => colorState(job.state) },
+  attempts: { head: 'Attempts', width: 10, value: job => `${job.attempts}/${job.max_retries}` },
+  created_at: { head: 'Created At', width: 26, value: job => new Date(job.created_at).toLocaleString() },
+  updated_at: { head: 'Updated At', width: 26, value: job => new Date(job.updated_at).toLocaleString() },
+  exit_code: { head: 'Exit', width: 6, value: job => (job.exit_code === null || job.exit_code === undefined ? '-' : job.exit_code) },
+  duration: { head: 'Duration', width: 10, value: job => (job.duration_ms === null || job.duration_ms === undefined ? '-' : formatDuration(job.duration_ms)) },
+  output: { head: 'Output', width: 25, output: true, value: job => job.stdout || job.error_message || 'N/A' },
+  error: { head: 'Error', width: 30, output: true, value: job => job.error_message || 'N/A' }
+};
+const DEFAULT_LIST_COLUMNS = ['id', 'queue', 'priority', 'command', 'state', 'attempts', 'created_at', 'output'];
+const DEFAULT_PAGE_SIZE = 20;
+
+function parseColumns(value) {
+  const columns = value.split(',').map(column => column.trim()).filter(Boolean);
+  const unknown = columns.filter(column => !LIST_COLUMNS[column]);
+  if (columns.length === 0 || unknown.length > 0) {
+    throw new Error(`Invalid columns "${value}". Use ${Object.keys(LIST_COLUMNS).join(', ')}`);
+  }
+  return columns;
+}
+
+function parseCount(value, name, min) {
+  const count = parseInt(value);
+  if (!Number.isInteger(count) || count < min || String(count) !== String(value).trim()) {
+    throw new Error(`Invalid ${name} "${value}"`);
+  }
+  return count;
+}
+
+// Output cells are cut to one line that fits the column unless --wide is set
+function listCell(column, job, wide) {
+  const value = String(column.value(job));
+  if (!column.output) {
+    return value;
+  }
+  if (wide) {
+    return value.trimEnd();
+  }
+  const line = value.trim().replace(/\s*\n\s*/g, ' ');
+  const max = column.width - 5;
+  return line.length > max ? `${line.substring(0, max)}...` : line;
+}
+
+program
+  .command('list')
+  .description('List jobs in table format, newest first, one page at a time')
+  .option('-s, --state <state>', 'Filter by state (pending, blocked, processing, completed, failed, dead, cancelled)')
+  .option('-q, --queue <name>', 'Filter by queue')
+  .option('--command-match <regex>', 'Only jobs whose command matches')
+  .option('--since <time>', 'Only jobs created since this time or duration ago (e.g. 2h)')
+  .option('--until <time>', 'Only jobs created before this time or duration ago')
+  .option('--worker <id>', 'Only jobs this worker ran last')
+  .option('--sort <field>', `Sort by ${JobQueue.SORT_FIELDS.join(', ')}, optionally with :asc or :desc`, 'created_at:desc')
+  .option('-n, --limit <count>', 'Jobs per page', String(DEFAULT_PAGE_SIZE))
+  .option('--offset <count>', 'Jobs to skip before the page', '0')
+  .option('--all', 'Show every matching job instead of one page')
+  .option('--columns <list>', `Comma-separated columns: ${Object.keys(LIST_COLUMNS).join(', ')}`)
+  .option('-w, --wide', 'Show full command and output instead of fitting the terminal')
+  .action(async (options) => {
+    try {
+      if (options.state && !JobQueue.STATES.includes(options.state)) {
+        throw new Error(`Invalid state "${options.state}". Valid states: ${JobQueue.STATES.join(', ')}`);
+      }
+
+      const limit = options.all ? null : parseCount(options.limit, 'limit', 1);
+      const offset = parseCount(options.offset, 'offset', 0);
+      if (options.all && offset > 0) {
+        throw new Error('--offset pages through results; it cannot be combined with --all');
+      }
+
+      const columns = (options.columns ? parseColumns(options.columns) : DEFAULT_LIST_COLUMNS)
+        .map(name => LIST_COLUMNS[name]);
+
+      const jobQueue = new JobQueue();
+      const { jobs, total } = await jobQueue.findJobs({
+        state: options.state || null,
+        queue: options.queue || null,
+        commandMatch: options.commandMatch || null,
+        since: options.since ? parsePastTime(options.since) : null,
+        until: options.until ? parsePastTime(options.until) : null,
+        worker: options.worker || null,
+        sort: options.sort,
+        limit,
+        offset
+      });
+
+      if (jobs.length === 0) {
+        console.log(chalk.gray(total > 0 ? `No jobs past offset ${offset} (${total} matching).` : 'No jobs found.'));
+        return;
+      }
+
+      const table = new Table({
+        head: columns.map(column => column.head),
+        ...(options.wide ? {} : { colWidths: columns.map(column => column.width), wordWrap: true })
+      });
+
+      jobs.forEach(job => {
+        table.push(columns.map(column => listCell(column, job, options.wide)));
+      });
+
+      console.log(table.toString());
+      console.log(chalk.cyan(`\nShowing ${offset + 1}-${offset + jobs.length} of ${total} job(s).`));
+      if (offset + jobs.length < total) {
+        console.log(chalk.gray(`Next page: --offset ${offset + jobs.length}`));
+      }
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+// ========== DLQ COMMANDS ==========
+const dlqCmd = program.command('dlq').description('Dead Letter Queue operations');
+
+function printDLQTable(jobs) {
+  const table = new Table({
+    head: ['Job ID', 'Queue', 'Command', 'Attempts', 'Error Message'],
+    colWidths: [25, 12, 30, 12, 40],
+    wordWrap: true
+  });
+
+  jobs.forEach(job => {
+    table.push([
+      job.id,
+      job.queue || 'default',
+      job.command,
+      `${job.attempts}/${job.max_retries}`,
+      job.error_message || 'N/A'
+    ]);
+  });
+
+  console.log(table.toString());
+}
+
+function addDLQFilters(command) {
+  return command
+    .option('--all', 'Select every dead job')
+    .option('-q, --queue <name>', 'Only jobs in this queue')
+    .option('--error-match <regex>', 'Only jobs whose error message matches')
+    .option('--command-match <regex>', 'Only jobs whose command matches')
+    .option('--since <time>', 'Only jobs that moved to the DLQ since this time or duration ago (e.g. 2h)')
+    .option('--dry-run', 'Show the matching jobs without changing anything');
+}
+
+// Returns the jobs picked by a job id or by the filters; the two cannot be mixed.
+// Without either, every dead job is selected if allowAll is set and it is an error otherwise.
+async function selectDLQJobs(jobQueue, jobId, options, { allowAll = false } = {}) {
+  const filtered = Boolean(options.queue || options.errorMatch || options.commandMatch || options.since);
+
+  if (jobId) {
+    if (options.all || filtered) {
+      throw new Error('Give either a job id or filters, not both');
+    }
+    const job = await jobQueue.getJob(jobId);
+    if (!job) {
+      throw new Error(`Job ${jobId} not found`);
+    }
+    if (job.state !== 'dead') {
+      throw new Error(`Job ${jobId} is not in DLQ (state: ${job.state})`);
+    }
+    return [job];
+  }
+
+  if (!options.all && !filtered && !allowAll) {
+    throw new Error('Give a job id, --all, or at least one of --queue, --error-match, --command-match and --since');
+  }
+
+  return jobQueue.findDLQJobs({
+    queue: options.queue || null,
+    errorMatch: options.errorMatch || null,
+    commandMatch: options.commandMatch || null,
+    since: options.since ? parsePastTime(options.since) : null
+  });
+}
+
+async function confirm(question, options) {
+  if (options.yes) {
+    return true;
+  }
+  if (!process.stdin.isTTY) {
+    throw new Error('Not running in a terminal; pass --yes to confirm');
+  }
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const answer = await new Promise(resolve => rl.question(`${question} [y/N] `, resolve));
+  rl.close();
+  return /^y(es)?$/i.test(answer.trim());
+}
+
+// Applies an operation to each selected job after confirmation, reporting jobs
+// that changed state in the meantime
+async function runDLQOperation(jobs, { verb, past }, options, operation) {
+  if (jobs.length === 0) {
+    console.log(chalk.gray('No matching jobs in Dead Letter Queue.'));
+    return;
+  }
+
+  if (options.dryRun) {
+    printDLQTable(jobs);
+    console.log(chalk.yellow(`Would ${verb} ${jobs.length} job(s).`));
+    return;
+  }
+
+  if (!await confirm(`${verb[0].toUpperCase()}${verb.slice(1)} ${jobs.length} dead job(s)?`, options)) {
+    console.log(chalk.gray('Aborted.'));
+    return;
+  }
+
+  let done = 0;
+  for (const job of jobs) {
+    try {
+      await operation(job);
+      done++;
+    } catch (error) {
+      console.error(chalk.red(`${job.id}: ${error.message}`));
+    }
+  }
+
+  console.log(chalk.green(`${past} ${done} of ${jobs.length} job(s).`));
+  if (done < jobs.length) {
+    process.exit(1);
+  }
+}
+
+dlqCmd
+  .command('list')
+  .description('List all jobs in the Dead Letter Queue')
+  .option('-q, --queue <name>', 'Filter by queue')
+  .action(async (options) => {
+    try {
+      const jobQueue = new JobQueue();
+      const jobs = await jobQueue.listDLQ(options.queue || null);
+
+      if (jobs.length === 0) {
+        console.log(chalk.gray('No jobs in Dead Letter Queue.'));
+        return;
+      }
+
+      printDLQTable(jobs);
+      console.log(chalk.yellow(`Total: ${jobs.length} job(s) in DLQ`));
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
 
-// ========== ENQUEUE COMMAND ==========
-program
-  .command('enqueue')
-  .description('Add a new job to the queue')
-  .argument('<json>', 'Job JSON string (e.g., \'{"id":"job1","command":"echo hello"}\')')
-  .option('--run-now', 'Execute the command immediately after enqueueing')
-  .action(async (jsonString, options) => {
+addDLQFilters(dlqCmd
+  .command('retry')
+  .description('Move dead jobs back to the pending queue, by id or by filters')
+  .argument('[jobId]', 'Job ID to retry'))
+  .option('--keep-attempts', 'Keep the attempt count, so a job that fails again goes straight back to the DLQ')
+  .option('--reset-attempts', 'Start the attempt count over at 0 (default)')
+  .option('-y, --yes', 'Do not ask for confirmation')
+  .action(async (jobId, options) => {
     try {
-      const jobData = JSON.parse(jsonString);
+      if (options.keepAttempts && options.resetAttempts) {
+        throw new Error('Use either --keep-attempts or --reset-attempts');
+      }
 
-      if (!jobData.command) {
-        console.error(chalk.red('Error: Job must have a "command" field'));
-        process.exit(1);
+      const jobQueue = new JobQueue();
+      const jobs = await selectDLQJobs(jobQueue, jobId, options);
+      const resetAttempts = !options.keepAttempts;
+
+      // A single job keeps the old behaviour and is retried without a prompt
+      if (jobId && !options.dryRun) {
+        const job = await jobQueue.retryDLQJob(jobId, { resetAttempts });
+        console.log(chalk.green('Job moved from DLQ back to pending queue:'));
+        console.log(JSON.stringify(job, null, 2));
+        return;
       }
 
+      // Oldest first, so parents are retried before the jobs that depend on them
+      const oldestFirst = [...jobs].sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+      await runDLQOperation(oldestFirst, { verb: 'retry', past: 'Retried' }, options,
+        job => jobQueue.retryDLQJob(job.id, { resetAttempts }));
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+addDLQFilters(dlqCmd
+  .command('delete')
+  .description('Delete dead jobs with their logs and history, by id or by filters')
+  .argument('[jobId]', 'Job ID to delete'))
+  .option('-y, --yes', 'Do not ask for confirmation')
+  .action(async (jobId, options) => {
+    try {
       const jobQueue = new JobQueue();
-      const job = await jobQueue.enqueueJob(jobData);
+      const jobs = await selectDLQJobs(jobQueue, jobId, options);
 
-      console.log(chalk.green('Job enqueued successfully:'));
-      console.log(JSON.stringify(job, null, 2));
+      await runDLQOperation(jobs, { verb: 'delete', past: 'Deleted' }, options, job => jobQueue.deleteDLQJob(job.id));
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
 
-      // Optional immediate execution
-      if (options.runNow) {
-        console.log(chalk.cyan(`\nExecuting now: ${jobData.command}`));
-        exec(jobData.command, (error, stdout, stderr) => {
-          if (error) {
-            console.error(chalk.red(`Execution failed: ${stderr || error.message}`));
-          } else {
-            console.log(chalk.yellow(`Output:\n${stdout.trim()}`));
-          }
-        });
+addDLQFilters(dlqCmd
+  .command('export')
+  .description('Write dead jobs (all of them unless filtered) as JSONL to a file or stdout')
+  .argument('[file]', 'Output file (default: stdout)'))
+  .option('-y, --yes', 'Overwrite the file without asking')
+  .action(async (file, options) => {
+    try {
+      const jobQueue = new JobQueue();
+      const jobs = await selectDLQJobs(jobQueue, null, options, { allowAll: true });
+
+      if (options.dryRun) {
+        console.log(chalk.yellow(`Would export ${jobs.length} job(s)${file ? ` to ${file}` : ''}.`));
+        return;
+      }
+
+      const lines = jobs.map(job => JSON.stringify(job)).join('\n') + (jobs.length > 0 ? '\n' : '');
+      if (!file) {
+        process.stdout.write(lines);
+        return;
       }
+
+      if (fs.existsSync(file) && !await confirm(`Overwrite ${file}?`, options)) {
+        console.log(chalk.gray('Aborted.'));
+        return;
+      }
+
+      fs.writeFileSync(file, lines);
+      console.log(chalk.green(`Exported ${jobs.length} job(s) to ${file}.`));
     } catch (error) {
       console.error(chalk.red(`Error: ${error.message}`));
       process.exit(1);
     }
   });
 
-// ========== WORKER COMMANDS ==========
-const workerCmd = program.command('worker').description('Manage workers');
+// ========== PURGE COMMAND ==========
+function printPurgeResults(results, dryRun) {
+  if (results.length === 0) {
+    console.log(chalk.gray('Nothing to purge.'));
+    return;
+  }
 
-workerCmd
-  .command('start')
-  .description('Start worker processes')
-  .option('-c, --count <number>', 'Number of workers to start', '1')
+  results.forEach(({ target, count, archive }) => {
+    const archived = archive ? chalk.gray(` (archived to ${archive})`) : '';
+    console.log(dryRun ? `Would purge ${count} ${target}` : chalk.green(`Purged ${count} ${target}${archived}`));
+  });
+}
+
+program
+  .command('purge')
+  .description('Delete finished jobs and old worker rows')
+  .option('-s, --state <states>', `Comma-separated job states to purge (${PURGEABLE_STATES.join(', ')})`)
+  .option('--older-than <duration>', 'Only purge rows last updated longer ago than this (e.g. 7d)')
+  .option('--workers', 'Purge worker rows without a heartbeat for --older-than')
+  .option('--retention', 'Apply the configured retention_* periods instead')
+  .option('--archive <file>', 'Append purged rows to this gzip-compressed JSONL file first')
+  .option('--dry-run', 'Only count what would be purged')
   .action(async (options) => {
     try {
-      const count = parseInt(options.count);
-      if (isNaN(count) || count < 1) {
-        console.error(chalk.red('Error: Count must be a positive integer'));
-        process.exit(1);
+      const retention = new Retention();
+      const dryRun = Boolean(options.dryRun);
+
+      if (options.retention) {
+        if (options.state || options.olderThan || options.workers || options.archive) {
+          throw new Error('--retention uses the configured periods; it cannot be combined with --state, --older-than, --workers or --archive');
+        }
+        printPurgeResults(await retention.applyRetention({ dryRun }), dryRun);
+        return;
       }
 
-      const manager = new WorkerManager();
-      await manager.startWorkers(count);
+      if (!options.state && !options.workers) {
+        throw new Error('Choose what to purge with --state, --workers or --retention');
+      }
+      if (!options.olderThan) {
+        throw new Error('--older-than is required, e.g. --older-than 7d');
+      }
 
-      process.on('SIGINT', async () => {
-        console.log('\nReceived SIGINT, stopping workers...');
-        await manager.stopAllWorkers();
-        process.exit(0);
-      });
+      const olderThanMs = parseDuration(options.olderThan);
+      const archive = options.archive ? path.resolve(options.archive) : null;
+      const results = [];
 
-      process.on('SIGTERM', async () => {
-        console.log('\nReceived SIGTERM, stopping workers...');
-        await manager.stopAllWorkers();
-        process.exit(0);
+      if (options.state) {
+        const states = options.state.split(',').map(state => state.trim()).filter(Boolean);
+        results.push({ target: `${states.join('/')} jobs`, ...await retention.purgeJobs({ states, olderThanMs, dryRun, archive }) });
+      }
+      if (options.workers) {
+        results.push({ target: 'workers', ...await retention.purgeWorkers({ olderThanMs, dryRun, archive }) });
+      }
+
+      printPurgeResults(results, dryRun);
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+// ========== SCHEDULE COMMANDS ==========
+const scheduleCmd = program.command('schedule').description('Manage recurring cron schedules');
+
+scheduleCmd
+  .command('add')
+  .description('Add a schedule that enqueues a job every time the cron expression is due')
+  .argument('<name>', 'Schedule name')
+  .argument('<cron>', 'Cron expression (e.g., "*/5 * * * *")')
+  .argument('<json>', 'Job JSON template (e.g., \'{"command":"echo hello","queue":"reports"}\')')
+  .option('--tz <timezone>', 'IANA timezone for the cron expression (e.g., Europe/Berlin)')
+  .action(async (name, cron, jsonString, options) => {
+    try {
+      const scheduler = new Scheduler();
+      const schedule = await scheduler.addSchedule(name, cron, JSON.parse(jsonString), {
+        timezone: options.tz || null
       });
 
-      await new Promise(() => {});
+      console.log(chalk.green(`Schedule "${schedule.id}" added.`));
+      console.log(`Next run: ${new Date(schedule.next_run_at).toLocaleString()}`);
     } catch (error) {
       console.error(chalk.red(`Error: ${error.message}`));
       process.exit(1);
     }
   });
 
-workerCmd
-  .command('stop')
-  .description('Stop all running workers')
+scheduleCmd
+  .command('list')
+  .description('List all schedules')
   .action(async () => {
-    console.log(chalk.yellow('Note: Use Ctrl+C or kill the process to stop running workers.'));
+    try {
+      const scheduler = new Scheduler();
+      const schedules = await scheduler.listSchedules();
+
+      if (schedules.length === 0) {
+        console.log(chalk.gray('No schedules defined.'));
+        return;
+      }
+
+      const table = new Table({
+        head: ['Name', 'Cron', 'Command', 'Queue', 'Next Run', 'Last Run'],
+        colWidths: [20, 16, 30, 12, 26, 26],
+        wordWrap: true
+      });
+
+      schedules.forEach(schedule => {
+        table.push([
+          schedule.id,
+          schedule.timezone ? `${schedule.cron} (${schedule.timezone})` : schedule.cron,
+          schedule.job.command,
+          schedule.job.queue || 'default',
+          new Date(schedule.next_run_at).toLocaleString(),
+          schedule.last_run_at ? new Date(schedule.last_run_at).toLocaleString() : 'Never'
+        ]);
+        if (schedule.last_error) {
+          table.push([{ colSpan: 6, content: chalk.red(`Last run failed: ${schedule.last_error}`) }]);
+        }
+      });
+
+      console.log(table.toString());
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
   });
 
-// ========== STATUS COMMAND ==========
-program
-  .command('status')
-  .description('Show summary of all job states and active workers')
-  .action(async () => {
+scheduleCmd
+  .command('remove')
+  .description('Remove a schedule')
+  .argument('<name>', 'Schedule name')
+  .action(async (name) => {
     try {
-      const jobQueue = new JobQueue();
-      const manager = new WorkerManager();
+      const scheduler = new Scheduler();
+      await scheduler.removeSchedule(name);
+      console.log(chalk.green(`Schedule "${name}" removed.`));
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
 
-      const stats = await jobQueue.getJobStats();
-      const workers = await manager.getActiveWorkers();
+// ========== HOOK COMMANDS ==========
+const hooksCmd = program.command('hooks').description('Manage notifications for completed, failed and dead jobs');
 
-      console.log(chalk.cyan('=== Job Queue Status ===\n'));
-      console.log(`Total Jobs:        ${stats.total}`);
-      console.log(`Pending:           ${stats.pending}`);
-      console.log(`Processing:        ${stats.processing}`);
-      console.log(`Completed:         ${stats.completed}`);
-      console.log(`Failed (Retrying): ${stats.failed}`);
-      console.log(`Dead (DLQ):        ${stats.dead}`);
+hooksCmd
+  .command('add')
+  .description('Add a webhook or command hook')
+  .argument('<name>', 'Hook name')
+  .option('--url <url>', 'POST a signed JSON body to this URL')
+  .option('--command <command>', 'Run this shell command with the JSON body on stdin')
+  .option('--events <events>', `Comma-separated events (${HOOK_EVENTS.join(', ')})`, HOOK_EVENTS.join(','))
+  .option('-q, --queues <names>', 'Only notify for jobs in these comma-separated queues')
+  .option('--secret <secret>', 'Webhook signing secret (default: generated)')
+  .action(async (name, options) => {
+    try {
+      const hooks = new Hooks();
+      const hook = await hooks.addHook(name, {
+        url: options.url || null,
+        command: options.command || null,
+        events: options.events,
+        queues: options.queues ? options.queues.split(',').map(queue => queue.trim()).filter(Boolean) : null,
+        secret: options.secret || null
+      });
 
-      console.log(chalk.cyan('\n=== Active Workers ===\n'));
-      if (workers.length === 0) {
-        console.log(chalk.gray('No active workers'));
-      } else {
-        workers.forEach(worker => {
-          console.log(`Worker ID:        ${worker.id}`);
-          console.log(`Status:           ${worker.status}`);
-          console.log(`Jobs Processed:   ${worker.jobs_processed}`);
-          console.log(`Started:          ${new Date(worker.started_at).toLocaleString()}`);
-          console.log(`Last Heartbeat:   ${new Date(worker.last_heartbeat).toLocaleString()}`);
-          console.log('---');
-        });
+      console.log(chalk.green(`Hook "${hook.id}" added for ${hook.events.join(', ')} events.`));
+      if (hook.type === 'webhook' && !options.secret) {
+        console.log(`Signing secret: ${hook.secret}`);
+        console.log(chalk.gray('Verify X-Queuectl-Signature with it; it is not shown again.'));
       }
     } catch (error) {
       console.error(chalk.red(`Error: ${error.message}`));
@@ -136,114 +1337,265 @@ program
     }
   });
 
-// ========== LIST COMMAND (TABLE FORMAT) ==========
-program
+hooksCmd
   .command('list')
-  .description('List jobs by state in table format')
-  .option('-s, --state <state>', 'Filter by state (pending, processing, completed, failed, dead)')
-  .action(async (options) => {
+  .description('List all hooks')
+  .action(async () => {
     try {
-      const jobQueue = new JobQueue();
-      const jobs = await jobQueue.listJobs(options.state || null);
+      const hooks = await new Hooks().listHooks();
 
-      if (!jobs || jobs.length === 0) {
-        console.log(chalk.gray('No jobs found.'));
+      if (hooks.length === 0) {
+        console.log(chalk.gray('No hooks defined.'));
         return;
       }
 
-      const sortedJobs = jobs.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
-      const displayJobs = sortedJobs.slice(0, 5); // show only latest 5
-
       const table = new Table({
-        head: ['Job ID', 'Command', 'State', 'Attempts', 'Created At', 'Output'],
-        colWidths: [20, 30, 12, 10, 26, 25],
+        head: ['Name', 'Type', 'Target', 'Events', 'Queues'],
+        colWidths: [20, 10, 40, 24, 16],
         wordWrap: true
       });
 
-      displayJobs.forEach(job => {
-        let stateColor;
-        switch (job.state) {
-          case 'completed': stateColor = chalk.green(job.state); break;
-          case 'failed': stateColor = chalk.red(job.state); break;
-          case 'dead': stateColor = chalk.bgRed.white(job.state); break;
-          case 'pending': stateColor = chalk.yellow(job.state); break;
-          case 'processing': stateColor = chalk.cyan(job.state); break;
-          default: stateColor = chalk.white(job.state);
-        }
-
-        const output = job.output
-          ? job.output.substring(0, 20).replace(/\n/g, ' ') + (job.output.length > 20 ? '...' : '')
-          : job.error_message
-            ? job.error_message.substring(0, 20) + (job.error_message.length > 20 ? '...' : '')
-            : '';
-
+      hooks.forEach(hook => {
         table.push([
-          job.id,
-          job.command,
-          stateColor,
-          `${job.attempts}/${job.max_retries}`,
-          new Date(job.created_at).toLocaleString(),
-          output || 'N/A'
+          hook.id,
+          hook.type,
+          hook.type === 'webhook' ? hook.url : hook.command,
+          hook.events.join(', '),
+          hook.queues ? hook.queues.join(', ') : 'all'
         ]);
       });
 
       console.log(table.toString());
-      console.log(chalk.cyan(`\nShowing latest ${displayJobs.length} of ${jobs.length} job(s).`));
     } catch (error) {
       console.error(chalk.red(`Error: ${error.message}`));
       process.exit(1);
     }
   });
 
-// ========== DLQ COMMANDS ==========
-const dlqCmd = program.command('dlq').description('Dead Letter Queue operations');
+hooksCmd
+  .command('test')
+  .description('Send a sample event to a hook once')
+  .argument('<name>', 'Hook name')
+  .option('--policy <file>', 'Execution policy JSON file for command hooks (default: "executionPolicy" in queuectl.config.json)')
+  .action(async (name, options) => {
+    try {
+      const policy = loadExecutionPolicy(options.policy || null);
+      const delivery = await new Hooks(undefined, { policy }).testHook(name);
 
-dlqCmd
-  .command('list')
-  .description('List all jobs in the Dead Letter Queue')
-  .action(async () => {
+      if (delivery.status === 'delivered') {
+        console.log(chalk.green(`Test event delivered to "${name}" (${delivery.response_status}, ${delivery.duration_ms}ms).`));
+      } else {
+        console.error(chalk.red(`Test event to "${name}" failed: ${delivery.error}`));
+        process.exit(1);
+      }
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+hooksCmd
+  .command('remove')
+  .description('Remove a hook and its delivery log')
+  .argument('<name>', 'Hook name')
+  .action(async (name) => {
     try {
-      const jobQueue = new JobQueue();
-      const jobs = await jobQueue.listDLQ();
+      await new Hooks().removeHook(name);
+      console.log(chalk.green(`Hook "${name}" removed.`));
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
 
-      if (jobs.length === 0) {
-        console.log(chalk.gray('No jobs in Dead Letter Queue.'));
+hooksCmd
+  .command('deliveries')
+  .description('Show the most recent delivery attempts')
+  .argument('[name]', 'Only show deliveries of this hook')
+  .option('-n, --limit <number>', 'Number of attempts to show', '20')
+  .action(async (name, options) => {
+    try {
+      const deliveries = await new Hooks().listDeliveries({ hook: name || null, limit: parseInt(options.limit) });
+
+      if (deliveries.length === 0) {
+        console.log(chalk.gray('No deliveries recorded.'));
         return;
       }
 
       const table = new Table({
-        head: ['Job ID', 'Command', 'Attempts', 'Error Message'],
-        colWidths: [25, 30, 12, 40],
+        head: ['Time', 'Hook', 'Event', 'Job ID', 'Attempt', 'Status', 'Response'],
+        colWidths: [24, 16, 11, 38, 9, 11, 30],
         wordWrap: true
       });
 
-      jobs.forEach(job => {
+      deliveries.forEach(delivery => {
         table.push([
-          job.id,
-          job.command,
-          `${job.attempts}/${job.max_retries}`,
-          job.error_message || 'N/A'
+          new Date(delivery.created_at).toLocaleString(),
+          delivery.hook_id,
+          delivery.event,
+          delivery.job_id,
+          delivery.attempt,
+          delivery.status === 'delivered' ? chalk.green(delivery.status) : chalk.red(delivery.status),
+          delivery.error || (delivery.response_status === null ? '' : String(delivery.response_status))
         ]);
       });
 
       console.log(table.toString());
-      console.log(chalk.yellow(`Total: ${jobs.length} job(s) in DLQ`));
     } catch (error) {
       console.error(chalk.red(`Error: ${error.message}`));
       process.exit(1);
     }
   });
 
-dlqCmd
-  .command('retry')
-  .description('Retry a job from the Dead Letter Queue')
-  .argument('<jobId>', 'Job ID to retry')
-  .action(async (jobId) => {
+// ========== WORKFLOW COMMANDS ==========
+const workflowCmd = program.command('workflow').description('Submit and inspect job dependency graphs');
+
+workflowCmd
+  .command('submit')
+  .description('Enqueue every job in a JSON or YAML workflow definition')
+  .argument('<file>', 'Workflow definition file (.json, .yaml or .yml)')
+  .action(async (file) => {
     try {
-      const jobQueue = new JobQueue();
-      const job = await jobQueue.retryDLQJob(jobId);
-      console.log(chalk.green('Job moved from DLQ back to pending queue:'));
-      console.log(JSON.stringify(job, null, 2));
+      const manager = new WorkflowManager();
+      const { workflow, jobs } = await manager.submitWorkflow(parseWorkflowFile(file));
+
+      console.log(chalk.green(`Workflow "${workflow.name}" submitted with ${jobs.length} job(s).`));
+      console.log(`Workflow ID: ${workflow.id}`);
+      console.log(chalk.gray(`Track it with: queuectl workflow status ${workflow.id}`));
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+workflowCmd
+  .command('status')
+  .description('Show the dependency graph of a workflow with each job\'s state')
+  .argument('<workflowId>', 'Workflow ID')
+  .action(async (workflowId) => {
+    try {
+      const manager = new WorkflowManager();
+      const { workflow, nodes, levels } = await manager.getWorkflowStatus(workflowId);
+
+      const counts = {};
+      nodes.forEach(node => {
+        counts[node.state] = (counts[node.state] || 0) + 1;
+      });
+      const summary = Object.entries(counts).map(([state, count]) => `${count} ${state}`).join(', ');
+
+      console.log(chalk.cyan(`=== Workflow ${workflow.name} (${workflow.id}) ===\n`));
+      console.log(`Jobs: ${nodes.size} (${summary})\n`);
+
+      const width = Math.max(...[...nodes.keys()].map(name => name.length));
+      levels.forEach((level, index) => {
+        console.log(chalk.gray(`Stage ${index + 1}`));
+        level.forEach(name => {
+          const node = nodes.get(name);
+          const parents = node.depends_on.length > 0 ? chalk.gray(` <- ${node.depends_on.join(', ')}`) : '';
+          console.log(`  ${name.padEnd(width)}  ${colorState(node.state)}${parents}`);
+        });
+      });
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+// ========== SERVE AND DASHBOARD COMMANDS ==========
+async function startApiServer(options, { dashboard = false } = {}) {
+  const port = parsePort(options.port);
+
+  let token = options.token || process.env.QUEUECTL_API_TOKEN;
+  const generated = !token;
+  if (generated) {
+    token = require('crypto').randomBytes(24).toString('hex');
+    if (!dashboard) {
+      console.log(chalk.yellow(`No token configured, generated one for this session: ${token}`));
+    }
+  }
+
+  const server = new ApiServer({ token });
+  const address = await server.listen(port, options.host);
+  const baseUrl = `http://${address.address}:${address.port}`;
+
+  console.log(chalk.green(`API listening on ${baseUrl}`));
+  if (dashboard) {
+    // The token travels in the URL fragment, which browsers never send to the server
+    console.log(chalk.green(`Dashboard: ${baseUrl}/${generated ? `#token=${token}` : ''}`));
+    if (!generated) {
+      console.log(chalk.gray('Sign in with your API token.'));
+    }
+  } else {
+    console.log(chalk.gray(`Dashboard: ${baseUrl}/`));
+  }
+
+  const shutdown = async (signal) => {
+    console.log(`\nReceived ${signal}, stopping server...`);
+    await server.close();
+    process.exit(0);
+  };
+
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+}
+
+program
+  .command('serve')
+  .description('Serve the queue over a JSON REST API')
+  .option('-p, --port <number>', 'Port to listen on', '8080')
+  .option('--host <host>', 'Interface to bind to', '127.0.0.1')
+  .option('--token <token>', 'Bearer token clients must send (default: QUEUECTL_API_TOKEN, or a generated one)')
+  .action(async (options) => {
+    try {
+      await startApiServer(options);
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('dashboard')
+  .description('Serve the web dashboard and print a sign-in link')
+  .option('-p, --port <number>', 'Port to listen on', '8080')
+  .option('--host <host>', 'Interface to bind to', '127.0.0.1')
+  .option('--token <token>', 'API token for the dashboard (default: QUEUECTL_API_TOKEN, or a generated one)')
+  .action(async (options) => {
+    try {
+      await startApiServer(options, { dashboard: true });
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+// ========== METRICS COMMAND ==========
+program
+  .command('metrics')
+  .description('Serve Prometheus metrics for the queue')
+  .option('-p, --port <number>', 'Port to listen on', '9464')
+  .option('--host <host>', 'Interface to bind to', '127.0.0.1')
+  .option('--once', 'Print the metrics once and exit instead of serving them')
+  .action(async (options) => {
+    try {
+      const metricsServer = new MetricsServer();
+
+      if (options.once) {
+        process.stdout.write(await metricsServer.render());
+        return;
+      }
+
+      const address = await metricsServer.listen(parsePort(options.port), options.host);
+      console.log(chalk.green(`Metrics available on http://${address.address}:${address.port}/metrics`));
+
+      const shutdown = async (signal) => {
+        console.log(`\nReceived ${signal}, stopping metrics server...`);
+        await metricsServer.close();
+        process.exit(0);
+      };
+
+      process.on('SIGINT', () => shutdown('SIGINT'));
+      process.on('SIGTERM', () => shutdown('SIGTERM'));
     } catch (error) {
       console.error(chalk.red(`Error: ${error.message}`));
       process.exit(1);
@@ -255,22 +1607,25 @@ const configCmd = program.command('config').description('Manage configuration');
 
 configCmd
   .command('set')
-  .description('Set a configuration value')
-  .argument('<key>', 'Configuration key (e.g., max-retries, backoff-base)')
+  .description('Set a configuration value in the database')
+  .argument('<key>', 'Configuration key (e.g., max-retries, poll-interval, job-timeout)')
   .argument('<value>', 'Configuration value')
   .action(async (key, value) => {
     try {
-      const normalizedKey = key.replace(/-/g, '_');
-      const validKeys = ['max_retries', 'backoff_base'];
-
-      if (!validKeys.includes(normalizedKey)) {
-        console.error(chalk.red(`Error: Invalid config key. Valid keys: ${validKeys.join(', ')}`));
+      const normalizedKey = normalizeKey(key);
+      if (!CONFIG_KEYS.includes(normalizedKey)) {
+        console.error(chalk.red(`Error: Invalid config key. Valid keys: ${CONFIG_KEYS.join(', ')}`));
         process.exit(1);
       }
 
       const config = new Config();
       await config.set(normalizedKey, value);
       console.log(chalk.green(`Configuration updated: ${normalizedKey} = ${value}`));
+
+      const entry = (await config.resolve()).find(item => item.key === normalizedKey);
+      if (entry.source !== 'database') {
+        console.log(chalk.yellow(`Note: ${normalizedKey} is currently overridden by the ${entry.source} value (${formatConfigValue(entry)})`));
+      }
     } catch (error) {
       console.error(chalk.red(`Error: ${error.message}`));
       process.exit(1);
@@ -279,19 +1634,19 @@ configCmd
 
 configCmd
   .command('get')
-  .description('Get a configuration value')
+  .description('Get the effective value of a configuration key')
   .argument('<key>', 'Configuration key')
   .action(async (key) => {
     try {
-      const normalizedKey = key.replace(/-/g, '_');
-      const config = new Config();
-      const value = await config.get(normalizedKey);
-
-      if (value === null) {
-        console.log(chalk.yellow(`Configuration key "${normalizedKey}" not found.`));
-      } else {
-        console.log(chalk.cyan(`${normalizedKey} = ${value}`));
+      const normalizedKey = normalizeKey(key);
+      if (!CONFIG_KEYS.includes(normalizedKey)) {
+        console.error(chalk.red(`Error: Invalid config key. Valid keys: ${CONFIG_KEYS.join(', ')}`));
+        process.exit(1);
       }
+
+      const config = new Config();
+      const entry = (await config.resolve()).find(item => item.key === normalizedKey);
+      console.log(chalk.cyan(`${normalizedKey} = ${formatConfigValue(entry)}`) + chalk.gray(` (${entry.source})`));
     } catch (error) {
       console.error(chalk.red(`Error: ${error.message}`));
       process.exit(1);
@@ -300,16 +1655,32 @@ configCmd
 
 configCmd
   .command('list')
-  .description('List all configuration values')
+  .description('List all configuration keys with their effective values')
   .action(async () => {
     try {
       const config = new Config();
-      const allConfig = await config.getAll();
+      const entries = await config.resolve();
 
       console.log(chalk.cyan('\n=== Configuration ===\n'));
-      allConfig.forEach(item => {
-        console.log(`${item.key}: ${item.value}`);
+
+      const table = new Table({
+        head: ['Key', 'Value', 'Source', 'Type', 'Description'],
+        colWidths: [20, 14, 10, 16, 50],
+        wordWrap: true
+      });
+
+      entries.forEach(entry => {
+        table.push([
+          entry.key,
+          formatConfigValue(entry),
+          entry.source === 'default' ? chalk.gray(entry.source) : entry.source,
+          entry.type,
+          entry.description
+        ]);
       });
+
+      console.log(table.toString());
+      console.log(chalk.gray('\nSources, highest first: --set flag, QUEUECTL_<KEY> environment variable, queuectl.config.json, database, default'));
     } catch (error) {
       console.error(chalk.red(`Error: ${error.message}`));
       process.exit(1);
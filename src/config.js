@@ -1,12 +1,264 @@
-const { supabase } = require('./db');
+const path = require('path');
+const { getStorage, loadLocalConfig } = require('./db');
+const { parseDuration } = require('./timeUtils');
+const { parseSize } = require('./sizeUtils');
+const { RETRY_CONFIG_FIELDS, normalizeRetryPolicy } = require('./retryPolicy');
+
+const DEFAULT_CACHE_TTL_MS = 5000;
+const SOURCES = ['cli', 'env', 'file', 'database'];
+
+function integer(min) {
+  return value => {
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed < min) {
+      throw new Error(`expected an integer of at least ${min}, got "${value}"`);
+    }
+    return parsed;
+  };
+}
+
+// Durations are stored in seconds and accept the units of parseDuration ("500ms", "10m", ...)
+function duration(minSeconds) {
+  return value => {
+    const seconds = parseDuration(value) / 1000;
+    if (seconds < minSeconds) {
+      throw new Error(`expected a duration of at least ${minSeconds}s, got "${value}"`);
+    }
+    return seconds;
+  };
+}
+
+function size(minBytes) {
+  return value => {
+    const bytes = parseSize(value);
+    if (bytes < minBytes) {
+      throw new Error(`expected a size of at least ${minBytes} bytes, got "${value}"`);
+    }
+    return bytes;
+  };
+}
+
+function retryField(key) {
+  return value => normalizeRetryPolicy({ [RETRY_CONFIG_FIELDS[key]]: value })[RETRY_CONFIG_FIELDS[key]];
+}
+
+const CONFIG_SCHEMA = {
+  max_retries: {
+    type: 'integer',
+    default: 3,
+    parse: integer(1),
+    description: 'Attempts before a job moves to the DLQ, for jobs that do not set max_retries'
+  },
+  backoff_base: {
+    type: 'number',
+    default: 2,
+    parse: retryField('backoff_base'),
+    description: 'Base of the exponential retry delay (base ^ attempt seconds)'
+  },
+  retry_strategy: {
+    type: 'enum',
+    default: 'exponential',
+    parse: retryField('retry_strategy'),
+    description: 'Retry delay strategy: exponential, linear, fixed or list'
+  },
+  retry_jitter: {
+    type: 'enum',
+    default: 'none',
+    parse: retryField('retry_jitter'),
+    description: 'Random jitter applied to retry delays: none, full or equal'
+  },
+  retry_delay: {
+    type: 'duration',
+    default: 5,
+    parse: retryField('retry_delay'),
+    description: 'Delay step of the linear and fixed strategies'
+  },
+  retry_delays: {
+    type: 'duration list',
+    default: null,
+    parse: retryField('retry_delays'),
+    description: 'Delays of the list strategy, comma-separated'
+  },
+  max_delay: {
+    type: 'duration',
+    default: null,
+    parse: retryField('max_delay'),
+    description: 'Upper bound on any retry delay'
+  },
+  retry_on: {
+    type: 'exit code list',
+    default: null,
+    parse: retryField('retry_on'),
+    description: 'When set, only these exit codes are retried'
+  },
+  no_retry_on: {
+    type: 'exit code list',
+    default: null,
+    parse: retryField('no_retry_on'),
+    description: 'Exit codes that send a job straight to the DLQ'
+  },
+  job_timeout: {
+    type: 'duration',
+    default: 60,
+    parse: duration(1),
+    description: 'Timeout for jobs that do not set their own'
+  },
+  poll_interval: {
+    type: 'duration',
+    default: 1,
+    parse: duration(0.01),
+    description: 'How long an idle worker waits before polling for jobs again'
+  },
+  heartbeat_interval: {
+    type: 'duration',
+    default: 5,
+    parse: duration(0.1),
+    description: 'How often workers report a heartbeat and pick up config changes'
+  },
+  stale_lock_timeout: {
+    type: 'duration',
+    default: 300,
+    parse: duration(1),
+    description: 'How long a processing job stays locked before another worker may reclaim it'
+  },
+  result_inline_limit: {
+    type: 'size',
+    default: 65536,
+    parse: size(1024),
+    description: 'Output larger than this is written to an artifact file; the job row keeps its end'
+  },
+  artifact_max_size: {
+    type: 'size',
+    default: 10 * 1024 * 1024,
+    parse: size(1024),
+    description: 'Largest artifact kept per output stream; output past it is left out of the artifact'
+  },
+  artifact_dir: {
+    type: 'path',
+    default: null,
+    parse: value => path.resolve(String(value)),
+    description: 'Directory on the worker host for output artifacts (default: ~/.queuectl/artifacts)'
+  },
+  retention_completed: {
+    type: 'duration',
+    default: null,
+    parse: duration(1),
+    description: 'Purge completed jobs this long after they finished; unset keeps them'
+  },
+  retention_dead: {
+    type: 'duration',
+    default: null,
+    parse: duration(1),
+    description: 'Purge dead jobs this long after they moved to the DLQ; unset keeps them'
+  },
+  retention_cancelled: {
+    type: 'duration',
+    default: null,
+    parse: duration(1),
+    description: 'Purge cancelled jobs this long after they were cancelled; unset keeps them'
+  },
+  retention_workers: {
+    type: 'duration',
+    default: null,
+    // Well above any sensible heartbeat_interval, so live workers are never purged
+    parse: duration(60),
+    description: 'Purge stopped worker rows without a heartbeat for this long; unset keeps them'
+  },
+  retention_archive_dir: {
+    type: 'path',
+    default: null,
+    parse: value => path.resolve(String(value)),
+    description: 'Archive purged rows to a compressed JSONL file in this directory first'
+  },
+  retention_interval: {
+    type: 'duration',
+    default: 3600,
+    parse: duration(1),
+    description: 'How often workers apply the retention periods'
+  }
+};
+
+const CONFIG_KEYS = Object.keys(CONFIG_SCHEMA);
+
+// Set from CLI flags (`--set key=value`); they take precedence over every other source
+let cliOverrides = {};
+
+function normalizeKey(key) {
+  return String(key).trim().replace(/-/g, '_');
+}
+
+function parseConfigValue(key, value) {
+  const entry = CONFIG_SCHEMA[key];
+  if (!entry) {
+    throw new Error(`Unknown config key "${key}". Valid keys: ${CONFIG_KEYS.join(', ')}`);
+  }
+
+  try {
+    return entry.parse(value);
+  } catch (error) {
+    throw new Error(`Invalid value for ${key}: ${error.message}`);
+  }
+}
+
+// Throws if the value is not valid for the key
+function validateConfigValue(key, value) {
+  parseConfigValue(key, value);
+}
+
+function setCliOverrides(overrides) {
+  const normalized = {};
+  Object.entries(overrides).forEach(([key, value]) => {
+    const normalizedKey = normalizeKey(key);
+    validateConfigValue(normalizedKey, value);
+    normalized[normalizedKey] = value;
+  });
+  cliOverrides = normalized;
+}
+
+// Config values from QUEUECTL_<KEY> variables, e.g. QUEUECTL_POLL_INTERVAL=500ms
+function readEnvValues() {
+  const values = {};
+  CONFIG_KEYS.forEach(key => {
+    const value = process.env[`QUEUECTL_${key.toUpperCase()}`];
+    if (value !== undefined && value !== '') {
+      values[key] = value;
+    }
+  });
+  return values;
+}
+
+// Config values from the "config" object of queuectl.config.json
+function readFileValues() {
+  const values = {};
+  Object.entries(loadLocalConfig().config || {}).forEach(([key, value]) => {
+    values[normalizeKey(key)] = value;
+  });
+  return values;
+}
+
+// Each bad value is reported once per process, not on every refresh
+const reportedInvalid = new Set();
+
+function warnInvalidValue(key, source, value, message) {
+  const id = `${source}\u0000${key}\u0000${value}`;
+  if (!reportedInvalid.has(id)) {
+    reportedInvalid.add(id);
+    console.warn(`Warning: ${message} (${source} value ignored)`);
+  }
+}
 
 class Config {
+  constructor(storage = getStorage(), options = {}) {
+    this.storage = storage;
+    this.overrides = options.overrides || null;
+    this.cacheTtlMs = options.cacheTtlMs === undefined ? DEFAULT_CACHE_TTL_MS : options.cacheTtlMs;
+    this.cache = null;
+    this.loadedAt = 0;
+  }
+
+  // Raw value stored in the database, or null
   async get(key) {
-    const { data, error } = await supabase
-      .from('config')
-      .select('value')
-      .eq('key', key)
-      .maybeSingle();
+    const { data, error } = await this.storage.selectOne('config', { key });
 
     if (error) {
       throw new Error(`Failed to get config: ${error.message}`);
@@ -16,28 +268,25 @@ class Config {
   }
 
   async set(key, value) {
-    const { data, error } = await supabase
-      .from('config')
-      .upsert({
-        key,
-        value: String(value),
-        updated_at: new Date().toISOString()
-      })
-      .select()
-      .single();
+    validateConfigValue(key, value);
+
+    const { data, error } = await this.storage.upsert('config', {
+      key,
+      value: String(value),
+      updated_at: new Date().toISOString()
+    });
 
     if (error) {
       throw new Error(`Failed to set config: ${error.message}`);
     }
 
+    this.cache = null;
     return data;
   }
 
+  // Rows stored in the database
   async getAll() {
-    const { data, error } = await supabase
-      .from('config')
-      .select('*')
-      .order('key');
+    const { data, error } = await this.storage.select('config', { order: [['key', 'asc']] });
 
     if (error) {
       throw new Error(`Failed to get all config: ${error.message}`);
@@ -45,6 +294,89 @@ class Config {
 
     return data;
   }
+
+  /**
+   * Returns every schema key as { key, value, source, type, default, description,
+   * invalid }, taking each value from the first source that sets it to a valid
+   * value: CLI flag, environment, local config file, database, then the schema
+   * default. Invalid values are listed in `invalid` and reported as warnings.
+   * Results are cached for cacheTtlMs; pass refresh to reload.
+   */
+  async resolve({ refresh = false } = {}) {
+    if (!refresh && this.cache && Date.now() - this.loadedAt < this.cacheTtlMs) {
+      return this.cache;
+    }
+
+    const database = {};
+    (await this.getAll()).forEach(row => {
+      database[row.key] = row.value;
+    });
+
+    const layers = {
+      cli: this.overrides || cliOverrides,
+      env: readEnvValues(),
+      file: readFileValues(),
+      database
+    };
+
+    this.cache = CONFIG_KEYS.map(key => {
+      const entry = CONFIG_SCHEMA[key];
+      const invalid = [];
+      let source = null;
+      let value = entry.default;
+
+      // A value that does not parse, such as a row stored before values were
+      // validated, is skipped in favour of the next source
+      for (const name of SOURCES) {
+        const raw = layers[name][key];
+        if (raw === undefined || raw === null) {
+          continue;
+        }
+        try {
+          value = parseConfigValue(key, raw);
+          source = name;
+          break;
+        } catch (error) {
+          invalid.push({ source: name, value: raw, error: error.message });
+          warnInvalidValue(key, name, raw, error.message);
+        }
+      }
+
+      return {
+        key,
+        value,
+        source: source || 'default',
+        type: entry.type,
+        default: entry.default,
+        description: entry.description,
+        invalid
+      };
+    });
+    this.loadedAt = Date.now();
+
+    return this.cache;
+  }
+
+  // Effective values keyed by config key
+  async values(options) {
+    const values = {};
+    (await this.resolve(options)).forEach(entry => {
+      values[entry.key] = entry.value;
+    });
+    return values;
+  }
+
+  async value(key) {
+    return (await this.values())[key];
+  }
 }
 
-module.exports = { Config };
+module.exports = {
+  Config,
+  CONFIG_KEYS,
+  CONFIG_SCHEMA,
+  normalizeKey,
+  parseConfigValue,
+  validateConfigValue,
+  setCliOverrides
+};
@@ -1,17 +1,75 @@
 // src/db.js
 
 require('dotenv').config();
-const { createClient } = require('@supabase/supabase-js');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 
-// Load credentials from .env
-const SUPABASE_URL = process.env.SUPABASE_URL;
-const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
+// Drivers are required lazily so the file driver never needs Supabase credentials
+const DRIVERS = {
+  supabase: (localConfig, options) => {
+    const SupabaseStorage = require('./storage/supabaseStorage');
+    return new SupabaseStorage({
+      url: options.url || process.env.SUPABASE_URL || localConfig.supabaseUrl,
+      key: options.key || process.env.SUPABASE_SERVICE_ROLE_KEY || localConfig.supabaseServiceRoleKey
+    });
+  },
+  file: (localConfig, options) => {
+    const FileStorage = require('./storage/fileStorage');
+    return new FileStorage({
+      dir: options.dir
+        || process.env.QUEUECTL_DATA_DIR
+        || localConfig.dataDir
+        || path.join(os.homedir(), '.queuectl')
+    });
+  }
+};
+DRIVERS.local = DRIVERS.file;
 
-if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
-  throw new Error('❌ Supabase credentials not found in .env file');
+let storage = null;
+
+// Optional local settings file, e.g. { "storage": "file", "dataDir": "/var/lib/queuectl" }
+function loadLocalConfig() {
+  const configPath = process.env.QUEUECTL_CONFIG || path.join(process.cwd(), 'queuectl.config.json');
+
+  if (!fs.existsSync(configPath)) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read ${configPath}: ${error.message}`);
+  }
+}
+
+function resolveDriverName(localConfig) {
+  const name = process.env.QUEUECTL_STORAGE || localConfig.storage;
+  if (name) {
+    return name.toLowerCase();
+  }
+
+  // Fall back to Supabase when credentials are present, otherwise stay local
+  return process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_ROLE_KEY ? 'supabase' : 'file';
 }
 
-// Initialize Supabase client
-const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
+function createStorage(name = null, options = {}) {
+  const localConfig = loadLocalConfig();
+  const driverName = name || resolveDriverName(localConfig);
+  const createDriver = DRIVERS[driverName];
+
+  if (!createDriver) {
+    throw new Error(`Unknown storage driver "${driverName}". Valid drivers: ${Object.keys(DRIVERS).join(', ')}`);
+  }
+
+  return createDriver(localConfig, options);
+}
+
+function getStorage() {
+  if (!storage) {
+    storage = createStorage();
+  }
+  return storage;
+}
 
-module.exports = { supabase };
+module.exports = { getStorage, createStorage, loadLocalConfig };
@@ -0,0 +1,253 @@
+const fs = require('fs');
+const path = require('path');
+const { loadLocalConfig } = require('./db');
+const { parseDuration } = require('./timeUtils');
+const { parseSize } = require('./sizeUtils');
+
+const POLICY_FIELDS = ['allow', 'deny', 'allow_shell', 'max_output', 'max_runtime', 'cpu_time', 'memory', 'uid', 'gid'];
+// Characters that let a shell string run more than its first program
+const SHELL_OPERATORS = /[;&|<>`$()\n]/;
+// Quoting, escapes, expansions and globs can spell a program without its plain name
+const SHELL_EXPANSIONS = /['"\\$`*?[\]{}]/;
+// Variables that change which program runs or what the shell does before running it
+const PROTECTED_ENV = /^(PATH|BASH_ENV|ENV|SHELLOPTS|BASHOPTS|PS4|IFS|CDPATH|GLOBIGNORE|BASH_FUNC_.*|LD_.*|DYLD_.*)$/;
+const IS_WINDOWS = process.platform === 'win32';
+
+// "/pattern/flags" is a regular expression over the whole command, anything
+// else names an executable by its basename or full path
+function parseRule(rule) {
+  if (typeof rule !== 'string' || rule.trim() === '') {
+    throw new Error('Execution policy rules must be non-empty strings');
+  }
+
+  const regex = rule.match(/^\/(.+)\/([a-z]*)$/);
+  if (regex) {
+    try {
+      return { rule, pattern: new RegExp(regex[1], regex[2]) };
+    } catch (error) {
+      throw new Error(`Invalid execution policy pattern ${rule}: ${error.message}`);
+    }
+  }
+
+  return { rule, executable: rule.trim() };
+}
+
+function toId(value, field) {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 0) {
+    throw new Error(`Invalid execution policy ${field} "${value}". Use a numeric id`);
+  }
+  return parsed;
+}
+
+/**
+ * Validates the execution policy of a worker: which commands it accepts
+ * (allow/deny rules, allow_shell) and the limits it runs them under
+ * (max_output, max_runtime, cpu_time, memory, uid, gid). Unset fields are
+ * returned as null, so an empty object accepts every job without limits.
+ */
+function normalizeExecutionPolicy(input = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('Execution policy must be an object');
+  }
+
+  const unknown = Object.keys(input).filter(key => !POLICY_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown execution policy option(s): ${unknown.join(', ')}`);
+  }
+
+  const isSet = key => input[key] !== undefined && input[key] !== null && input[key] !== '';
+  const rules = key => {
+    if (!isSet(key)) {
+      return null;
+    }
+    if (!Array.isArray(input[key])) {
+      throw new Error(`Execution policy "${key}" must be a list of executables or /patterns/`);
+    }
+    return input[key].map(parseRule);
+  };
+
+  if (isSet('allow_shell') && typeof input.allow_shell !== 'boolean') {
+    throw new Error('Execution policy "allow_shell" must be true or false');
+  }
+
+  const policy = {
+    allow: rules('allow'),
+    deny: rules('deny') || [],
+    allow_shell: isSet('allow_shell') ? input.allow_shell : true,
+    max_output: isSet('max_output') ? parseSize(input.max_output) : null,
+    max_runtime: isSet('max_runtime') ? parseDuration(input.max_runtime) / 1000 : null,
+    cpu_time: isSet('cpu_time') ? Math.max(1, Math.ceil(parseDuration(input.cpu_time) / 1000)) : null,
+    memory: isSet('memory') ? parseSize(input.memory) : null,
+    uid: isSet('uid') ? toId(input.uid, 'uid') : null,
+    gid: isSet('gid') ? toId(input.gid, 'gid') : null
+  };
+
+  if (IS_WINDOWS && (policy.cpu_time !== null || policy.memory !== null)) {
+    throw new Error('Execution policy cpu_time and memory limits are not supported on Windows');
+  }
+
+  return policy;
+}
+
+// Reads the policy from a JSON file, or from "executionPolicy" in queuectl.config.json
+function loadExecutionPolicy(file = null) {
+  let input;
+
+  if (file) {
+    try {
+      input = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to read execution policy ${file}: ${error.message}`);
+    }
+  } else {
+    input = loadLocalConfig().executionPolicy || {};
+  }
+
+  return normalizeExecutionPolicy(input);
+}
+
+function isRestricted(policy) {
+  return Boolean(policy) && (policy.allow !== null || policy.deny.length > 0 || !policy.allow_shell);
+}
+
+/**
+ * Resolves a program the way spawn and the shell do, against the job's cwd
+ * and the worker's PATH, to an absolute path. Only the directory is resolved
+ * through symlinks, so multi-call binaries keep their own names. Returns null
+ * when no executable file is found.
+ */
+function resolveExecutable(program, cwd = null) {
+  const base = cwd || process.cwd();
+  const candidates = program.includes('/')
+    ? [path.resolve(base, program)]
+    : (process.env.PATH || '').split(path.delimiter).map(dir => path.resolve(base, dir || '.', program));
+
+  for (const file of candidates) {
+    try {
+      fs.accessSync(file, fs.constants.X_OK);
+      if (fs.statSync(file).isFile()) {
+        return path.join(fs.realpathSync(path.dirname(file)), path.basename(file));
+      }
+    } catch (error) {
+      // Not in this directory
+    }
+  }
+  return null;
+}
+
+// An allowed program must resolve to the rule's executable. A program that is
+// not on PATH at all can only be a shell builtin, so it matches by name.
+function isAllowedProgram(rule, program) {
+  if (program.file) {
+    return program.file === resolveExecutable(rule.executable);
+  }
+  return !rule.executable.includes('/') && program.word === rule.executable;
+}
+
+// Deny rules also match by name, so a copy of a denied program elsewhere is denied too
+function isDeniedProgram(rule, program) {
+  return path.basename(program.word) === path.basename(rule.executable) ||
+    (program.file !== null && program.file === resolveExecutable(rule.executable));
+}
+
+/**
+ * Returns why the policy rejects a job, or null when the job may run. Under a
+ * restrictive policy jobs cannot pick their shell or set PATH, BASH_ENV, LD_*
+ * and similar variables, and programs are matched on the executable they
+ * resolve to. Argv jobs are matched on their program. A shell string can chain
+ * programs, so deny rules match any word in it and reject strings with quotes,
+ * escapes, variables or globs, and an allowed executable only admits strings
+ * without shell operators; /patterns/ match the whole command.
+ */
+function checkExecutionPolicy(policy, job) {
+  if (!isRestricted(policy)) {
+    return null;
+  }
+
+  const argvMode = Array.isArray(job.argv) && job.argv.length > 0;
+  const command = job.command;
+
+  if (!argvMode && !policy.allow_shell) {
+    return 'shell commands are not allowed, use an argv "command" array';
+  }
+
+  if (job.shell) {
+    return 'jobs cannot choose their shell';
+  }
+
+  const protectedEnv = Object.keys(job.env || {}).filter(name => PROTECTED_ENV.test(name));
+  if (protectedEnv.length > 0) {
+    return `jobs cannot set ${protectedEnv.join(', ')}`;
+  }
+
+  if (!argvMode && policy.deny.length > 0 && SHELL_EXPANSIONS.test(command)) {
+    return 'shell strings with quotes, escapes, variables or globs are not allowed while deny rules are set';
+  }
+
+  const words = argvMode ? [job.argv[0]] : command.split(/[\s;&|<>`$()]+/).filter(Boolean);
+  const programs = words.map(word => ({ word, file: resolveExecutable(word, job.cwd) }));
+
+  const denied = policy.deny.find(rule => (rule.pattern
+    ? rule.pattern.test(command)
+    : programs.some(program => isDeniedProgram(rule, program))));
+  if (denied) {
+    return `command matches deny rule ${denied.rule}`;
+  }
+
+  if (policy.allow === null) {
+    return null;
+  }
+
+  const simple = argvMode || !SHELL_OPERATORS.test(command);
+  const allowed = policy.allow.some(rule => (rule.pattern
+    ? rule.pattern.test(command)
+    : simple && isAllowedProgram(rule, programs[0])));
+
+  return allowed ? null : `command "${command}" is not on the allow list`;
+}
+
+/**
+ * Applies the policy's limits to prepared spawn settings. CPU time and memory
+ * are set with ulimit in a /bin/sh wrapper that then execs the job command.
+ */
+function applyResourceLimits(policy, execution) {
+  if (!policy) {
+    return execution;
+  }
+
+  const options = { ...execution.options };
+  let { command } = execution;
+
+  if (policy.uid !== null) {
+    options.uid = policy.uid;
+  }
+  if (policy.gid !== null) {
+    options.gid = policy.gid;
+  }
+
+  const limits = [];
+  if (policy.cpu_time !== null) {
+    // The soft limit sends SIGXCPU, the hard limit a second later SIGKILL
+    limits.push(`ulimit -S -t ${policy.cpu_time}`, `ulimit -H -t ${policy.cpu_time + 1}`);
+  }
+  if (policy.memory !== null) {
+    limits.push(`ulimit -v ${Math.max(1, Math.floor(policy.memory / 1024))}`);
+  }
+
+  if (limits.length > 0) {
+    const argv = Array.isArray(command)
+      ? command
+      : [typeof options.shell === 'string' ? options.shell : '/bin/sh', '-c', command];
+    command = ['/bin/sh', '-c', `${limits.join(' && ')} && exec "$@"`, 'queuectl-limits', ...argv];
+  }
+
+  return { ...execution, command, options };
+}
+
+module.exports = {
+  normalizeExecutionPolicy,
+  loadExecutionPolicy,
+  checkExecutionPolicy,
+  applyResourceLimits
+};
@@ -0,0 +1,314 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const JobProcess = require('./jobProcess');
+const { checkExecutionPolicy, applyResourceLimits } = require('./executionPolicy');
+const { getStorage } = require('./db');
+
+const HOOK_NAME_PATTERN = /^[A-Za-z0-9_.-]+$/;
+const HOOK_EVENTS = ['completed', 'failed', 'dead'];
+// Delays before the second, third and fourth delivery attempt
+const DEFAULT_RETRY_DELAYS_MS = [1000, 5000, 15000];
+const DELIVERY_TIMEOUT_MS = 10000;
+
+// Signs "<timestamp>.<body>" so a captured request cannot be replayed with a new timestamp
+function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+function parseEvents(events) {
+  const list = Array.isArray(events)
+    ? events
+    : String(events).split(',').map(event => event.trim()).filter(Boolean);
+
+  const unknown = list.filter(event => !HOOK_EVENTS.includes(event));
+  if (list.length === 0 || unknown.length > 0) {
+    throw new Error(`Invalid hook events "${list.join(',')}". Use ${HOOK_EVENTS.join(', ')}`);
+  }
+  return list;
+}
+
+function jobSummary(job) {
+  return {
+    id: job.id,
+    command: job.command,
+    queue: job.queue,
+    state: job.state,
+    attempts: job.attempts,
+    max_retries: job.max_retries,
+    error_message: job.error_message || null,
+    exit_code: job.exit_code === undefined ? null : job.exit_code,
+    duration_ms: job.duration_ms === undefined ? null : job.duration_ms,
+    created_at: job.created_at,
+    updated_at: job.updated_at
+  };
+}
+
+/**
+ * Notification hooks fired when a worker completes or fails a job. A webhook
+ * receives an HMAC-signed JSON POST; a command hook runs a shell command with
+ * the same JSON on stdin. Failed deliveries are retried and every attempt is
+ * recorded in `hook_deliveries`. With an execution policy, command hooks are
+ * checked and run under it like any job.
+ */
+class Hooks {
+  constructor(storage = getStorage(), { retryDelaysMs = DEFAULT_RETRY_DELAYS_MS, policy = null } = {}) {
+    this.storage = storage;
+    this.retryDelaysMs = retryDelaysMs;
+    this.policy = policy;
+    this.pending = new Set();
+  }
+
+  async addHook(name, { url = null, command = null, events = HOOK_EVENTS, queues = null, secret = null } = {}) {
+    if (!HOOK_NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid hook name "${name}". Use letters, digits, "_", "." or "-"`);
+    }
+
+    if (Boolean(url) === Boolean(command)) {
+      throw new Error('A hook needs either a webhook URL or a command');
+    }
+
+    if (url) {
+      let parsed;
+      try {
+        parsed = new URL(url);
+      } catch (error) {
+        throw new Error(`Invalid webhook URL "${url}"`);
+      }
+      if (!['http:', 'https:'].includes(parsed.protocol)) {
+        throw new Error(`Invalid webhook URL "${url}". Use http or https`);
+      }
+    }
+
+    const { data, error } = await this.storage.insert('hooks', {
+      id: name,
+      type: url ? 'webhook' : 'command',
+      url,
+      command,
+      secret: url ? secret || crypto.randomBytes(32).toString('hex') : null,
+      events: parseEvents(events),
+      queues: queues && queues.length > 0 ? queues : null,
+      enabled: true,
+      created_at: new Date().toISOString()
+    });
+
+    if (error) {
+      throw new Error(`Failed to add hook: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  async getHook(name) {
+    const { data, error } = await this.storage.selectOne('hooks', { id: name });
+
+    if (error) {
+      throw new Error(`Failed to get hook: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  async listHooks() {
+    const { data, error } = await this.storage.select('hooks', { order: [['id', 'asc']] });
+
+    if (error) {
+      throw new Error(`Failed to list hooks: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  async removeHook(name) {
+    const { data, error } = await this.storage.delete('hooks', { id: name });
+
+    if (error) {
+      throw new Error(`Failed to remove hook: ${error.message}`);
+    }
+
+    if (data.length === 0) {
+      throw new Error(`Hook ${name} not found`);
+    }
+
+    await this.storage.delete('hook_deliveries', { hook_id: name });
+    return data[0];
+  }
+
+  // Most recent delivery attempts, optionally for one hook
+  async listDeliveries({ hook = null, limit = 20 } = {}) {
+    const { data, error } = await this.storage.select('hook_deliveries', {
+      where: hook ? { hook_id: hook } : undefined,
+      order: [['id', 'desc']],
+      limit
+    });
+
+    if (error) {
+      throw new Error(`Failed to list hook deliveries: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Delivers an event for a job to every enabled hook that subscribes to it.
+   * Deliveries run in the background; idle() resolves once they have finished,
+   * retries included.
+   */
+  async notify(event, job) {
+    const hooks = (await this.listHooks()).filter(hook => hook.enabled &&
+      hook.events.includes(event) &&
+      (!hook.queues || hook.queues.includes(job.queue)));
+
+    hooks.forEach(hook => {
+      const delivery = this.deliver(hook, event, jobSummary(job))
+        .catch(error => console.error(`Hook ${hook.id} delivery failed: ${error.message}`))
+        .finally(() => this.pending.delete(delivery));
+      this.pending.add(delivery);
+    });
+
+    return hooks.length;
+  }
+
+  async idle() {
+    await Promise.all([...this.pending]);
+  }
+
+  // Sends a sample event once, without retries, and returns the recorded delivery
+  async testHook(name) {
+    const hook = await this.getHook(name);
+    if (!hook) {
+      throw new Error(`Hook ${name} not found`);
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: 'test-job',
+      command: 'echo "hook test"',
+      queue: 'default',
+      state: 'completed',
+      attempts: 1,
+      max_retries: 3,
+      error_message: null,
+      created_at: now,
+      updated_at: now
+    };
+
+    return this.deliver(hook, 'test', job, { retries: false });
+  }
+
+  async deliver(hook, event, job, { retries = true } = {}) {
+    const deliveryId = uuidv4();
+    const body = JSON.stringify({ id: deliveryId, event, hook: hook.id, sent_at: new Date().toISOString(), job });
+    const maxAttempts = retries ? this.retryDelaysMs.length + 1 : 1;
+    let record;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      if (attempt > 1) {
+        await new Promise(resolve => setTimeout(resolve, this.retryDelaysMs[attempt - 2]));
+      }
+
+      const startedAt = Date.now();
+      const result = hook.type === 'webhook'
+        ? await this.sendWebhook(hook, event, deliveryId, body)
+        : await this.runCommand(hook, event, job, body);
+
+      record = await this.recordDelivery({
+        hook_id: hook.id,
+        delivery_id: deliveryId,
+        job_id: job.id,
+        event,
+        attempt,
+        status: result.ok ? 'delivered' : 'failed',
+        response_status: result.status,
+        error: result.error,
+        duration_ms: Date.now() - startedAt,
+        created_at: new Date().toISOString()
+      });
+
+      if (result.ok) {
+        break;
+      }
+    }
+
+    return record;
+  }
+
+  async sendWebhook(hook, event, deliveryId, body) {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+
+    try {
+      const response = await fetch(hook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'queuectl-webhook',
+          'X-Queuectl-Event': event,
+          'X-Queuectl-Delivery': deliveryId,
+          'X-Queuectl-Timestamp': timestamp,
+          'X-Queuectl-Signature': signPayload(hook.secret, timestamp, body)
+        },
+        body,
+        signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+      });
+
+      return {
+        ok: response.ok,
+        status: response.status,
+        error: response.ok ? null : `HTTP ${response.status} ${response.statusText}`
+      };
+    } catch (error) {
+      return { ok: false, status: null, error: error.cause ? error.cause.message : error.message };
+    }
+  }
+
+  async runCommand(hook, event, job, body) {
+    const violation = checkExecutionPolicy(this.policy, { command: hook.command });
+    if (violation) {
+      return { ok: false, status: null, error: `Rejected by execution policy: ${violation}` };
+    }
+
+    const execution = applyResourceLimits(this.policy, {
+      command: hook.command,
+      options: {
+        shell: true,
+        input: body,
+        env: {
+          ...process.env,
+          QUEUECTL_EVENT: event,
+          QUEUECTL_JOB_ID: job.id,
+          QUEUECTL_JOB_STATE: job.state
+        }
+      }
+    });
+    const result = await new JobProcess(execution.command, {
+      ...execution.options,
+      timeoutMs: DELIVERY_TIMEOUT_MS,
+      killGraceMs: 1000,
+      maxOutputBytes: this.policy ? this.policy.max_output : null
+    }).run();
+
+    if (result.terminationReason === 'timeout') {
+      return { ok: false, status: null, error: `Hook command timed out after ${DELIVERY_TIMEOUT_MS / 1000}s` };
+    }
+    if (result.error) {
+      return { ok: false, status: null, error: result.error.message };
+    }
+
+    return {
+      ok: result.code === 0,
+      status: result.code,
+      error: result.code === 0 ? null : (result.stderr.trim() || `Hook command exited with code ${result.code}`)
+    };
+  }
+
+  async recordDelivery(row) {
+    const { data, error } = await this.storage.insert('hook_deliveries', row);
+
+    if (error) {
+      throw new Error(`Failed to record hook delivery: ${error.message}`);
+    }
+
+    return data;
+  }
+}
+
+module.exports = { Hooks, HOOK_EVENTS, signPayload };
@@ -0,0 +1,73 @@
+const { getStorage } = require('./db');
+
+const OUTPUT_LIMIT = 4000;
+
+// Keeps the end of long output, which is usually where the interesting part is.
+// `dropped` counts characters the process already left out of `text`.
+function truncateOutput(text, dropped = 0) {
+  if (!text) {
+    return text || null;
+  }
+  if (text.length <= OUTPUT_LIMIT && dropped === 0) {
+    return text;
+  }
+  return `[truncated ${text.length + dropped - Math.min(text.length, OUTPUT_LIMIT)} chars]\n${text.slice(-OUTPUT_LIMIT)}`;
+}
+
+class JobAttempts {
+  constructor(storage = getStorage()) {
+    this.storage = storage;
+  }
+
+  async startAttempt(job, workerId) {
+    const { data, error } = await this.storage.insert('job_attempts', {
+      job_id: job.id,
+      attempt: job.attempts + 1,
+      worker_id: workerId,
+      outcome: 'running',
+      started_at: new Date().toISOString()
+    });
+
+    if (error) {
+      throw new Error(`Failed to record job attempt: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  async finishAttempt(attempt, result, { outcome, error: errorMessage = null }) {
+    const finishedAt = new Date();
+
+    const { data, error } = await this.storage.update('job_attempts', { id: attempt.id }, {
+      outcome,
+      finished_at: finishedAt.toISOString(),
+      duration_ms: finishedAt.getTime() - new Date(attempt.started_at).getTime(),
+      exit_code: result ? result.code : null,
+      signal: result ? result.signal : null,
+      stdout: result ? truncateOutput(result.stdout, result.dropped ? result.dropped.stdout : 0) : null,
+      stderr: result ? truncateOutput(result.stderr, result.dropped ? result.dropped.stderr : 0) : null,
+      error: errorMessage
+    });
+
+    if (error) {
+      throw new Error(`Failed to record job attempt: ${error.message}`);
+    }
+
+    return data[0];
+  }
+
+  async listAttempts(jobId) {
+    const { data, error } = await this.storage.select('job_attempts', {
+      where: { job_id: jobId },
+      order: [['started_at', 'asc']]
+    });
+
+    if (error) {
+      throw new Error(`Failed to list job attempts: ${error.message}`);
+    }
+
+    return data;
+  }
+}
+
+module.exports = { JobAttempts, OUTPUT_LIMIT };
@@ -0,0 +1,136 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const PAYLOAD_MODES = ['stdin', 'file'];
+const ENV_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const SAFE_ARG_PATTERN = /^[A-Za-z0-9_@%+=:,./-]+$/;
+
+// Quotes an argv list for display; it is never passed to a shell
+function formatArgv(argv) {
+  return argv.map(arg => (SAFE_ARG_PATTERN.test(arg) ? arg : `'${arg.replace(/'/g, `'\\''`)}'`)).join(' ');
+}
+
+function normalizeEnv(env) {
+  if (typeof env !== 'object' || Array.isArray(env)) {
+    throw new Error('Job "env" must be an object of variable names and values');
+  }
+
+  const normalized = {};
+  Object.entries(env).forEach(([name, value]) => {
+    if (!ENV_NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid environment variable name "${name}"`);
+    }
+    if (!['string', 'number', 'boolean'].includes(typeof value)) {
+      throw new Error(`Environment variable ${name} must be a string, number or boolean`);
+    }
+    normalized[name] = String(value);
+  });
+  return normalized;
+}
+
+/**
+ * Validates how a job is run and returns the job fields for it. `command` is
+ * either a shell string or an argv array; an argv array runs the program
+ * directly without a shell, so its arguments are never interpreted.
+ */
+function normalizeExecution(jobData) {
+  const { command } = jobData;
+  const argvMode = Array.isArray(command);
+
+  if (argvMode) {
+    if (command.length === 0 || !command.every(arg => typeof arg === 'string') || command[0] === '') {
+      throw new Error('Job "command" array must list the program and its arguments as strings');
+    }
+  } else if (!command || typeof command !== 'string') {
+    throw new Error('Job must have a "command" field');
+  }
+
+  const shell = jobData.shell === undefined || jobData.shell === null ? null : jobData.shell;
+  if (shell !== null) {
+    if (argvMode) {
+      throw new Error('Job "shell" cannot be combined with an argv "command" array');
+    }
+    if (typeof shell !== 'string' || shell === '') {
+      throw new Error('Job "shell" must be the path or name of a shell, e.g. "/bin/bash"');
+    }
+  }
+
+  const cwd = jobData.cwd === undefined || jobData.cwd === null ? null : jobData.cwd;
+  if (cwd !== null && (typeof cwd !== 'string' || !path.isAbsolute(cwd))) {
+    throw new Error(`Invalid cwd "${cwd}". The working directory must be an absolute path`);
+  }
+
+  const payloadMode = jobData.payload_mode || 'stdin';
+  if (!PAYLOAD_MODES.includes(payloadMode)) {
+    throw new Error(`Invalid payload_mode "${payloadMode}". Use ${PAYLOAD_MODES.join(' or ')}`);
+  }
+
+  const payload = jobData.payload === undefined ? null : jobData.payload;
+
+  return {
+    command: argvMode ? formatArgv(command) : command,
+    argv: argvMode ? command : null,
+    shell,
+    env: jobData.env === undefined || jobData.env === null ? null : normalizeEnv(jobData.env),
+    cwd,
+    payload,
+    payload_mode: payload === null ? null : payloadMode
+  };
+}
+
+// Payload strings are passed as they are, anything else as JSON
+function serializePayload(payload) {
+  return typeof payload === 'string' ? payload : JSON.stringify(payload);
+}
+
+/**
+ * Returns the spawn settings for one attempt of a job. The job's env is laid
+ * over the worker's environment, together with QUEUECTL_JOB_ID,
+ * QUEUECTL_ATTEMPT and, for file payloads, QUEUECTL_PAYLOAD_FILE. A payload
+ * file is handed to `uid`/`gid` when the job runs as another user. Call
+ * cleanup() once the process has exited.
+ */
+function prepareExecution(job, attemptNumber, { uid = null, gid = null } = {}) {
+  const env = {
+    ...process.env,
+    ...(job.env || {}),
+    QUEUECTL_JOB_ID: job.id,
+    QUEUECTL_ATTEMPT: String(attemptNumber)
+  };
+
+  let input = null;
+  let payloadDir = null;
+
+  if (job.payload !== null && job.payload !== undefined) {
+    if (job.payload_mode === 'file') {
+      payloadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'queuectl-payload-'));
+      env.QUEUECTL_PAYLOAD_FILE = path.join(payloadDir, 'payload.json');
+      fs.writeFileSync(env.QUEUECTL_PAYLOAD_FILE, serializePayload(job.payload), { mode: 0o600 });
+      if (uid !== null || gid !== null) {
+        const owner = [uid === null ? -1 : uid, gid === null ? -1 : gid];
+        try {
+          fs.chownSync(payloadDir, ...owner);
+          fs.chownSync(env.QUEUECTL_PAYLOAD_FILE, ...owner);
+        } catch (error) {
+          fs.rmSync(payloadDir, { recursive: true, force: true });
+          throw new Error(`Failed to hand the payload file to the job user: ${error.message}`);
+        }
+      }
+    } else {
+      input = serializePayload(job.payload);
+    }
+  }
+
+  return {
+    command: job.argv && job.argv.length > 0 ? job.argv : job.command,
+    options: { shell: job.shell || true, env, cwd: job.cwd || undefined, input },
+    cleanup() {
+      if (payloadDir) {
+        fs.rmSync(payloadDir, { recursive: true, force: true });
+      }
+    }
+  };
+}
+
+module.exports = { normalizeExecution, prepareExecution, formatArgv };
@@ -0,0 +1,131 @@
+const path = require('path');
+
+const INTEGER_COLUMNS = ['priority', 'max_retries'];
+const LIST_COLUMNS = ['depends_on'];
+
+function detectFormat(filePath) {
+  return path.extname(filePath).toLowerCase() === '.csv' ? 'csv' : 'jsonl';
+}
+
+function parseJsonLines(text) {
+  const entries = [];
+
+  text.split(/\r?\n/).forEach((raw, i) => {
+    const trimmed = raw.trim();
+    if (trimmed === '') {
+      return;
+    }
+
+    try {
+      entries.push({ line: i + 1, data: JSON.parse(trimmed) });
+    } catch (error) {
+      entries.push({ line: i + 1, error: `Invalid JSON: ${error.message}` });
+    }
+  });
+
+  return entries;
+}
+
+// Splits CSV text into records of fields, keeping the line each record starts on.
+// Quoted fields may contain commas, newlines and doubled quotes.
+function readCsvRecords(text) {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let startLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') {
+          line++;
+        }
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      fields.push(field);
+      records.push({ line: startLine, fields });
+      fields = [];
+      field = '';
+      line++;
+      startLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`Unterminated quoted field starting on line ${startLine}`);
+  }
+  if (field !== '' || fields.length > 0) {
+    fields.push(field);
+    records.push({ line: startLine, fields });
+  }
+
+  return records.filter(record => record.fields.some(value => value.trim() !== ''));
+}
+
+function csvValue(column, value) {
+  if (INTEGER_COLUMNS.includes(column) && /^-?\d+$/.test(value.trim())) {
+    return Number(value);
+  }
+  if (LIST_COLUMNS.includes(column)) {
+    return value.split(/[;|\s]+/).filter(Boolean);
+  }
+  return value;
+}
+
+// The first record is the header; its names are the job fields of each column
+function parseCsv(text) {
+  const [header, ...rows] = readCsvRecords(text);
+  if (!header) {
+    return [];
+  }
+
+  const columns = header.fields.map(name => name.trim());
+
+  return rows.map(({ line, fields }) => {
+    if (fields.length > columns.length) {
+      return { line, error: `Expected ${columns.length} columns, found ${fields.length}` };
+    }
+
+    const data = {};
+    fields.forEach((value, i) => {
+      if (value !== '') {
+        data[columns[i]] = csvValue(columns[i], value);
+      }
+    });
+
+    return { line, data };
+  });
+}
+
+// Returns one { line, data } entry per job, or { line, error } for lines that could not be read
+function parseJobFile(text, format = 'jsonl') {
+  if (format === 'jsonl') {
+    return parseJsonLines(text);
+  }
+  if (format === 'csv') {
+    return parseCsv(text);
+  }
+  throw new Error(`Unknown format "${format}". Use jsonl or csv`);
+}
+
+module.exports = { parseJobFile, detectFormat };
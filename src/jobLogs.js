@@ -0,0 +1,146 @@
+const { getStorage } = require('./db');
+const { formatBytes } = require('./sizeUtils');
+
+// Output logged per attempt; the job result and its artifacts keep the rest
+const MAX_LOG_BYTES = 1024 * 1024;
+
+/**
+ * Buffers a running job's output and writes it to the `job_logs` table on
+ * every flush, one row per run of consecutive lines from the same stream,
+ * tagged with the stream and the time its first line was produced. Past
+ * maxBytes per attempt, output is no longer logged.
+ */
+class JobLogWriter {
+  constructor(storage, jobId, attempt, flushInterval = 500, maxBytes = MAX_LOG_BYTES) {
+    this.storage = storage;
+    this.jobId = jobId;
+    this.attempt = attempt;
+    this.flushInterval = flushInterval;
+    this.maxBytes = maxBytes;
+    this.bytes = 0;
+    this.truncated = false;
+    this.partial = { stdout: '', stderr: '' };
+    this.buffer = [];
+    this.flushing = Promise.resolve();
+    this.timer = null;
+  }
+
+  start() {
+    this.timer = setInterval(() => this.flush(), this.flushInterval);
+  }
+
+  write(stream, chunk) {
+    if (this.truncated) {
+      return;
+    }
+
+    const room = this.maxBytes - this.bytes;
+    const text = Buffer.byteLength(chunk) > room ? Buffer.from(chunk).subarray(0, room).toString() : chunk;
+    this.bytes += Buffer.byteLength(text);
+
+    const lines = (this.partial[stream] + text).split('\n');
+    this.partial[stream] = lines.pop();
+    lines.forEach(line => this.push(stream, line));
+
+    if (text !== chunk) {
+      this.truncated = true;
+      this.pushPartials();
+      this.push(stream, `[log limit of ${formatBytes(this.maxBytes)} reached; later output is not logged]`);
+    }
+  }
+
+  push(stream, message) {
+    this.buffer.push({ stream, message, created_at: new Date().toISOString() });
+  }
+
+  pushPartials() {
+    Object.keys(this.partial).forEach(stream => {
+      if (this.partial[stream]) {
+        this.push(stream, this.partial[stream]);
+        this.partial[stream] = '';
+      }
+    });
+  }
+
+  // Consecutive lines of the same stream share a row
+  takeRows() {
+    const rows = [];
+    this.buffer.splice(0).forEach(line => {
+      const last = rows[rows.length - 1];
+      if (last && last.stream === line.stream) {
+        last.message += `\n${line.message}`;
+      } else {
+        rows.push({ job_id: this.jobId, attempt: this.attempt, ...line });
+      }
+    });
+    return rows;
+  }
+
+  // Flushes are chained so rows are inserted in the order they were produced
+  flush() {
+    this.flushing = this.flushing.then(async () => {
+      if (this.buffer.length === 0) {
+        return;
+      }
+
+      const { error } = await this.storage.insert('job_logs', this.takeRows());
+      if (error) {
+        console.error(`Failed to write logs for job ${this.jobId}: ${error.message}`);
+      }
+    });
+    return this.flushing;
+  }
+
+  async close() {
+    clearInterval(this.timer);
+    this.pushPartials();
+    await this.flush();
+  }
+}
+
+class JobLogs {
+  constructor(storage = getStorage()) {
+    this.storage = storage;
+  }
+
+  createWriter(jobId, attempt) {
+    return new JobLogWriter(this.storage, jobId, attempt);
+  }
+
+  async getLatestAttempt(jobId) {
+    const { data, error } = await this.storage.select('job_logs', {
+      where: { job_id: jobId },
+      order: [['attempt', 'desc']],
+      limit: 1
+    });
+
+    if (error) {
+      throw new Error(`Failed to get job logs: ${error.message}`);
+    }
+
+    return data.length > 0 ? data[0].attempt : null;
+  }
+
+  async getLogs(jobId, { attempt = null, afterId = null } = {}) {
+    const where = { job_id: jobId };
+    if (attempt !== null) {
+      where.attempt = attempt;
+    }
+    if (afterId !== null) {
+      where.id = { gt: afterId };
+    }
+
+    const { data, error } = await this.storage.select('job_logs', {
+      where,
+      order: [['id', 'asc']]
+    });
+
+    if (error) {
+      throw new Error(`Failed to get job logs: ${error.message}`);
+    }
+
+    return data;
+  }
+}
+
+module.exports = { JobLogs, JobLogWriter };
@@ -0,0 +1,142 @@
+const { spawn } = require('child_process');
+
+const IS_WINDOWS = process.platform === 'win32';
+
+/**
+ * Runs a job command in its own process group so that the whole tree can be
+ * stopped on timeout or cancellation: SIGTERM first, SIGKILL after a grace period.
+ * A string command runs through a shell; an argv array runs the program directly.
+ * With maxOutputBytes the process is stopped once its output grows past the limit.
+ * With keepOutputChars the result holds only the end of each stream, and
+ * `dropped` counts the characters left out.
+ */
+class JobProcess {
+  constructor(command, {
+    timeoutMs = 60000,
+    killGraceMs = 5000,
+    onOutput = null,
+    shell = true,
+    env = process.env,
+    cwd = undefined,
+    input = null,
+    uid = undefined,
+    gid = undefined,
+    maxOutputBytes = null,
+    keepOutputChars = null
+  } = {}) {
+    this.command = command;
+    this.timeoutMs = timeoutMs;
+    this.killGraceMs = killGraceMs;
+    this.onOutput = onOutput;
+    this.shell = shell;
+    this.env = env;
+    this.cwd = cwd;
+    this.input = input;
+    this.uid = uid;
+    this.gid = gid;
+    this.maxOutputBytes = maxOutputBytes;
+    this.keepOutputChars = keepOutputChars;
+    this.outputBytes = 0;
+    this.child = null;
+    this.terminationReason = null;
+    this.killTimer = null;
+  }
+
+  run() {
+    return new Promise(resolve => {
+      const output = { stdout: '', stderr: '' };
+      const dropped = { stdout: 0, stderr: 0 };
+      let spawnError = null;
+
+      const options = { env: this.env, cwd: this.cwd, uid: this.uid, gid: this.gid, detached: !IS_WINDOWS };
+      this.child = Array.isArray(this.command)
+        ? spawn(this.command[0], this.command.slice(1), { ...options, shell: false })
+        : spawn(this.command, { ...options, shell: this.shell });
+
+      // Commands that exit without reading their input would otherwise raise EPIPE
+      this.child.stdin.on('error', () => {});
+      this.child.stdin.end(this.input === null ? undefined : this.input);
+
+      this.child.stdout.setEncoding('utf8');
+      this.child.stderr.setEncoding('utf8');
+
+      ['stdout', 'stderr'].forEach(stream => {
+        this.child[stream].on('data', chunk => {
+          if (!this.acceptOutput(stream, chunk)) {
+            return;
+          }
+          output[stream] += chunk;
+          const excess = this.keepOutputChars === null ? 0 : output[stream].length - this.keepOutputChars;
+          if (excess > 0) {
+            output[stream] = output[stream].slice(excess);
+            dropped[stream] += excess;
+          }
+        });
+      });
+      this.child.on('error', error => { spawnError = error; });
+
+      const timeoutTimer = this.timeoutMs > 0
+        ? setTimeout(() => this.terminate('timeout'), this.timeoutMs)
+        : null;
+
+      this.child.on('close', (code, signal) => {
+        clearTimeout(timeoutTimer);
+        clearTimeout(this.killTimer);
+
+        resolve({
+          stdout: output.stdout,
+          stderr: output.stderr,
+          dropped,
+          code,
+          signal,
+          error: spawnError,
+          terminationReason: this.terminationReason
+        });
+      });
+    });
+  }
+
+  // Output past maxOutputBytes is dropped and the process stopped
+  acceptOutput(stream, chunk) {
+    if (this.terminationReason === 'output_limit') {
+      return false;
+    }
+
+    this.outputBytes += Buffer.byteLength(chunk);
+    if (this.maxOutputBytes !== null && this.outputBytes > this.maxOutputBytes) {
+      this.terminate('output_limit');
+      return false;
+    }
+
+    if (this.onOutput) {
+      this.onOutput(stream, chunk);
+    }
+    return true;
+  }
+
+  terminate(reason) {
+    if (!this.child || this.terminationReason) {
+      return;
+    }
+
+    this.terminationReason = reason;
+    this.signal('SIGTERM');
+    this.killTimer = setTimeout(() => this.signal('SIGKILL'), this.killGraceMs);
+  }
+
+  signal(name) {
+    try {
+      if (IS_WINDOWS) {
+        this.child.kill(name);
+      } else {
+        process.kill(-this.child.pid, name);
+      }
+    } catch (error) {
+      if (error.code !== 'ESRCH') {
+        throw error;
+      }
+    }
+  }
+}
+
+module.exports = JobProcess;
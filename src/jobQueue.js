@@ -1,37 +1,504 @@
-const { supabase } = require('./db');
+const crypto = require('crypto');
+const { getStorage } = require('./db');
 const { v4: uuidv4 } = require('uuid');
+const { parseDuration, parseTime } = require('./timeUtils');
+const { jobMetrics } = require('./metrics');
+const { Config } = require('./config');
+const { QueuePauses, ALL_QUEUES } = require('./queuePauses');
+const { normalizeExecution } = require('./jobExecution');
+const { removeArtifacts } = require('./jobResults');
+const {
+  normalizeRetryPolicy,
+  retryPolicyFromConfig,
+  resolveRetryPolicy,
+  isRetryableExit,
+  computeRetryDelay
+} = require('./retryPolicy');
+
+const DEFAULT_QUEUE = 'default';
+const JOB_STATES = ['pending', 'blocked', 'processing', 'completed', 'failed', 'dead', 'cancelled'];
+const CANCELLABLE_STATES = ['pending', 'blocked', 'failed'];
+const QUEUE_NAME_PATTERN = /^[A-Za-z0-9_.-]+$/;
+const KEY_RESERVATION_GRACE_MS = 10000;
+const SORT_FIELDS = ['created_at', 'updated_at', 'run_at', 'priority', 'attempts', 'state', 'queue', 'id', 'duration_ms'];
+
+// Returns a regular expression filter after checking that it compiles
+function checkPattern(pattern, name) {
+  try {
+    new RegExp(pattern);
+  } catch (error) {
+    throw new Error(`Invalid ${name} pattern: ${error.message}`);
+  }
+  return pattern;
+}
+
+// Takes rows of { state, count } as returned by storage.countJobsByState
+function countStates(rows) {
+  const stats = {
+    pending: 0,
+    blocked: 0,
+    processing: 0,
+    completed: 0,
+    failed: 0,
+    dead: 0,
+    cancelled: 0,
+    total: 0
+  };
+
+  rows.forEach(row => {
+    if (stats.hasOwnProperty(row.state)) {
+      stats[row.state] += row.count;
+    }
+    stats.total += row.count;
+  });
+
+  return stats;
+}
+
+// Raised when a worker finishes a job whose lock another worker has reclaimed as stale
+function lockLostError(jobId, workerId) {
+  const error = new Error(`Job ${jobId} is no longer locked by ${workerId}; another worker reclaimed it`);
+  error.lockLost = true;
+  return error;
+}
+
+function isDuplicateKeyError(error) {
+  return /duplicate key/.test(error.message);
+}
+
+// Without an explicit key, a unique_for window deduplicates identical commands on a queue.
+// Jobs that also differ in how they run (argv, env, cwd, payload) are not identical.
+function resolveIdempotencyKey(jobData, queue, execution) {
+  if (jobData.idempotency_key !== undefined && jobData.idempotency_key !== null) {
+    const key = String(jobData.idempotency_key);
+    if (key === '') {
+      throw new Error('Invalid idempotency_key. The key must not be empty');
+    }
+    return key;
+  }
+
+  if (jobData.unique_for) {
+    const { command, ...settings } = execution;
+    const identity = Object.values(settings).every(value => value === null)
+      ? command
+      : JSON.stringify(execution);
+    const digest = crypto.createHash('sha256').update(identity).digest('hex');
+    return `${queue}:${digest}`;
+  }
+
+  return null;
+}
 
 class JobQueue {
+  constructor(storage = getStorage(), options = {}) {
+    this.storage = storage;
+    this.config = options.config || new Config(storage);
+    this.queuePauses = new QueuePauses(storage);
+  }
+
   async enqueueJob(jobData) {
+    const { job } = await this.enqueue(jobData);
+    return job;
+  }
+
+  // Like enqueueJob, but also reports whether the submission was deduplicated:
+  // a reused job id or a live idempotency key returns the existing job instead.
+  async enqueue(jobData) {
+    const { job, uniqueForMs } = await this.buildJob(jobData);
+    return this.insertJob(job, uniqueForMs);
+  }
+
+  // Validates jobData and returns the row to insert. Dependencies listed in
+  // knownIds are treated as jobs that will exist but have not completed yet.
+  async buildJob(jobData, knownIds = null) {
+    if (!jobData || typeof jobData !== 'object' || Array.isArray(jobData)) {
+      throw new Error('Job must be a JSON object');
+    }
+    const execution = normalizeExecution(jobData);
+
+    const queue = jobData.queue || DEFAULT_QUEUE;
+    if (!QUEUE_NAME_PATTERN.test(queue)) {
+      throw new Error(`Invalid queue name "${queue}". Use letters, digits, "_", "." or "-"`);
+    }
+
+    const priority = jobData.priority === undefined ? 0 : Number(jobData.priority);
+    if (!Number.isInteger(priority)) {
+      throw new Error(`Invalid priority "${jobData.priority}". Priority must be an integer`);
+    }
+
+    const timeout = jobData.timeout === undefined || jobData.timeout === null
+      ? null
+      : Math.ceil(parseDuration(jobData.timeout) / 1000);
+    if (timeout !== null && timeout < 1) {
+      throw new Error(`Invalid timeout "${jobData.timeout}". Timeout must be at least 1 second`);
+    }
+
+    const uniqueForMs = jobData.unique_for ? parseDuration(jobData.unique_for) : null;
+    if (uniqueForMs !== null && uniqueForMs <= 0) {
+      throw new Error(`Invalid unique_for "${jobData.unique_for}". The window must be positive`);
+    }
+    const idempotencyKey = resolveIdempotencyKey(jobData, queue, execution);
+    const retry = jobData.retry ? normalizeRetryPolicy(jobData.retry) : null;
+
+    const runAt = jobData.run_at ? parseTime(jobData.run_at).toISOString() : null;
+    const dependsOn = jobData.depends_on ? [].concat(jobData.depends_on) : [];
+    const external = knownIds ? dependsOn.filter(id => !knownIds.has(id)) : dependsOn;
+    const resolved = await this.resolveDependencyState(external);
+    const state = resolved.state === 'pending' && external.length < dependsOn.length ? 'blocked' : resolved.state;
+    const errorMessage = resolved.errorMessage;
+
     const job = {
       id: jobData.id || uuidv4(),
-      command: jobData.command,
-      state: 'pending',
+      ...execution,
+      queue,
+      priority,
+      state,
       attempts: 0,
-      max_retries: jobData.max_retries || 3,
+      max_retries: jobData.max_retries || await this.config.value('max_retries'),
+      retry,
+      run_at: runAt,
+      timeout,
+      depends_on: dependsOn,
+      workflow_id: jobData.workflow_id || null,
+      idempotency_key: idempotencyKey,
+      error_message: errorMessage,
       created_at: new Date().toISOString(),
       updated_at: new Date().toISOString()
     };
 
-    const { data, error } = await supabase
-      .from('jobs')
-      .insert(job)
-      .select()
-      .single();
+    return { job, uniqueForMs };
+  }
+
+  async insertJob(job, uniqueForMs = null) {
+    const idempotencyKey = job.idempotency_key;
+
+    if (idempotencyKey !== null) {
+      const expiresAt = uniqueForMs !== null ? new Date(Date.now() + uniqueForMs).toISOString() : null;
+      const existing = await this.reserveIdempotencyKey(idempotencyKey, job.id, expiresAt);
+      if (existing) {
+        return { job: existing, deduplicated: true };
+      }
+    }
+
+    const { data, error } = await this.storage.insert('jobs', job);
 
     if (error) {
+      if (idempotencyKey !== null) {
+        await this.releaseIdempotencyKey(idempotencyKey, job.id);
+      }
+
+      const existing = isDuplicateKeyError(error) ? await this.getJob(job.id) : null;
+      if (existing) {
+        return { job: existing, deduplicated: true };
+      }
+
       throw new Error(`Failed to enqueue job: ${error.message}`);
     }
 
+    jobMetrics.enqueued.inc({ queue: data.queue });
+
+    // A parent may have finished between the dependency check and the insert
+    if (data.state === 'blocked') {
+      return { job: await this.promoteIfReady(data.id) || data, deduplicated: false };
+    }
+
+    return { job: data, deduplicated: false };
+  }
+
+  // Points the key at jobId unless it still belongs to a live job, which is
+  // returned instead. The key row's primary key makes concurrent producers
+  // race on a single insert; expired keys are taken over with compare-and-set.
+  async reserveIdempotencyKey(key, jobId, expiresAt) {
+    const reservation = { key, job_id: jobId, expires_at: expiresAt, created_at: new Date().toISOString() };
+
+    for (;;) {
+      const { error } = await this.storage.insert('idempotency_keys', reservation);
+      if (!error) {
+        return null;
+      }
+      if (!isDuplicateKeyError(error)) {
+        throw new Error(`Failed to reserve idempotency key: ${error.message}`);
+      }
+
+      const { data: current, error: readError } = await this.storage.selectOne('idempotency_keys', { key });
+      if (readError) {
+        throw new Error(`Failed to read idempotency key: ${readError.message}`);
+      }
+      if (!current) {
+        continue;
+      }
+
+      const live = !current.expires_at || new Date(current.expires_at) > new Date();
+      const existing = live ? await this.getJob(current.job_id) : null;
+      if (existing) {
+        return existing;
+      }
+
+      // The producer holding the key may not have inserted its job yet
+      if (live && Date.now() - new Date(current.created_at).getTime() < KEY_RESERVATION_GRACE_MS) {
+        await new Promise(resolve => setTimeout(resolve, 50));
+        continue;
+      }
+
+      const { data: taken, error: takeError } = await this.storage.update(
+        'idempotency_keys',
+        { key, job_id: current.job_id, created_at: current.created_at },
+        { job_id: jobId, expires_at: expiresAt, created_at: reservation.created_at }
+      );
+
+      if (takeError) {
+        throw new Error(`Failed to reserve idempotency key: ${takeError.message}`);
+      }
+
+      if (taken.length > 0) {
+        return null;
+      }
+    }
+  }
+
+  async releaseIdempotencyKey(key, jobId) {
+    const { error } = await this.storage.delete('idempotency_keys', { key, job_id: jobId });
+
+    if (error) {
+      throw new Error(`Failed to release idempotency key: ${error.message}`);
+    }
+  }
+
+  async findIdempotentJob(key) {
+    const { data, error } = await this.storage.selectOne('idempotency_keys', { key });
+
+    if (error) {
+      throw new Error(`Failed to read idempotency key: ${error.message}`);
+    }
+
+    if (!data || (data.expires_at && new Date(data.expires_at) <= new Date())) {
+      return null;
+    }
+
+    return this.getJob(data.job_id);
+  }
+
+  // Enqueues many jobs with one insert per batch. Each entry is settled on its
+  // own: invalid jobs are rejected, and jobs whose id or idempotency key is
+  // already taken are skipped. With dryRun the jobs are only validated.
+  async enqueueBatch(jobDataList, { batchSize = 100, dryRun = false } = {}) {
+    const result = { created: [], skipped: [], rejected: [] };
+    const seenIds = new Set();
+    const seenKeys = new Map();
+    let batch = [];
+
+    const settle = (index, attempted, { job, deduplicated }) => {
+      if (deduplicated) {
+        const reason = job.id === attempted.id
+          ? `job ${job.id} already exists`
+          : `idempotency key ${attempted.idempotency_key} belongs to job ${job.id}`;
+        result.skipped.push({ index, id: job.id, reason });
+      } else {
+        result.created.push({ index, job });
+      }
+    };
+
+    const flush = async () => {
+      const entries = batch;
+      batch = [];
+      if (entries.length === 0) {
+        return;
+      }
+
+      const existingIds = new Set((await this.getJobsByIds(entries.map(entry => entry.job.id))).map(job => job.id));
+      const fresh = entries.filter(entry => !existingIds.has(entry.job.id));
+      entries
+        .filter(entry => existingIds.has(entry.job.id))
+        .forEach(entry => settle(entry.index, entry.job, { job: entry.job, deduplicated: true }));
+
+      if (dryRun || fresh.length === 0) {
+        fresh.forEach(entry => settle(entry.index, entry.job, { job: entry.job, deduplicated: false }));
+        return;
+      }
+
+      const { data, error } = await this.storage.insert('jobs', fresh.map(entry => entry.job));
+
+      if (error) {
+        if (!isDuplicateKeyError(error)) {
+          throw new Error(`Failed to enqueue jobs: ${error.message}`);
+        }
+
+        // Another producer inserted one of these ids in the meantime
+        for (const entry of fresh) {
+          settle(entry.index, entry.job, await this.insertJob(entry.job));
+        }
+        return;
+      }
+
+      for (let i = 0; i < data.length; i++) {
+        jobMetrics.enqueued.inc({ queue: data[i].queue });
+        const job = data[i].state === 'blocked' ? await this.promoteIfReady(data[i].id) || data[i] : data[i];
+        settle(fresh[i].index, fresh[i].job, { job, deduplicated: false });
+      }
+    };
+
+    for (let index = 0; index < jobDataList.length; index++) {
+      const jobData = jobDataList[index];
+      const dependsOn = jobData && jobData.depends_on ? [].concat(jobData.depends_on) : [];
+
+      // Parents in the pending batch have to exist before this job is checked
+      if (!dryRun && batch.some(entry => dependsOn.includes(entry.job.id))) {
+        await flush();
+      }
+
+      let built;
+      try {
+        built = await this.buildJob(jobData, dryRun ? seenIds : null);
+      } catch (error) {
+        result.rejected.push({ index, error: error.message });
+        continue;
+      }
+
+      const { job, uniqueForMs } = built;
+
+      if (seenIds.has(job.id)) {
+        result.skipped.push({ index, id: job.id, reason: `duplicate of an earlier job ${job.id}` });
+        continue;
+      }
+      seenIds.add(job.id);
+
+      if (job.idempotency_key === null) {
+        batch.push({ index, job });
+        if (batch.length >= batchSize) {
+          await flush();
+        }
+      } else if (dryRun) {
+        const existing = seenKeys.get(job.idempotency_key) || await this.findIdempotentJob(job.idempotency_key);
+        if (!existing) {
+          seenKeys.set(job.idempotency_key, job);
+        }
+        settle(index, job, existing ? { job: existing, deduplicated: true } : { job, deduplicated: false });
+      } else {
+        // Keys are reserved one at a time so concurrent producers stay deduplicated
+        await flush();
+        settle(index, job, await this.insertJob(job, uniqueForMs));
+      }
+    }
+
+    await flush();
+
+    const byIndex = (a, b) => a.index - b.index;
+    result.created.sort(byIndex);
+    result.skipped.sort(byIndex);
+    return result;
+  }
+
+  async getJobsByIds(jobIds) {
+    const { data, error } = await this.storage.select('jobs', { where: { id: jobIds } });
+
+    if (error) {
+      throw new Error(`Failed to get jobs: ${error.message}`);
+    }
+
     return data;
   }
 
+  // With missingSatisfied, parents that no longer exist count as completed:
+  // only finished jobs are purged, and dead or cancelled parents have already
+  // moved their dependents to the DLQ
+  async resolveDependencyState(dependsOn, { missingSatisfied = false } = {}) {
+    if (dependsOn.length === 0) {
+      return { state: 'pending', errorMessage: null };
+    }
+
+    const parents = await this.getJobsByIds(dependsOn);
+    const missing = dependsOn.filter(id => !parents.some(parent => parent.id === id));
+    if (missing.length > 0 && !missingSatisfied) {
+      throw new Error(`Unknown dependencies: ${missing.join(', ')}`);
+    }
+
+    const failedParent = parents.find(parent => parent.state === 'dead' || parent.state === 'cancelled');
+    if (failedParent) {
+      return { state: 'dead', errorMessage: `Dependency ${failedParent.id} is ${failedParent.state}` };
+    }
+
+    const ready = parents.every(parent => parent.state === 'completed');
+    return { state: ready ? 'pending' : 'blocked', errorMessage: null };
+  }
+
+  // Moves a blocked job to pending once every parent has completed, or to the
+  // DLQ if a parent is dead. Returns the updated job, or null if nothing changed.
+  async promoteIfReady(jobId) {
+    const job = await this.getJob(jobId);
+    if (!job || job.state !== 'blocked') {
+      return null;
+    }
+
+    const { state, errorMessage } = await this.resolveDependencyState(job.depends_on || [], { missingSatisfied: true });
+    if (state === 'blocked') {
+      return null;
+    }
+
+    const { data, error } = await this.storage.update('jobs', { id: jobId, state: 'blocked' }, {
+      state,
+      error_message: errorMessage,
+      updated_at: new Date().toISOString()
+    });
+
+    if (error) {
+      throw new Error(`Failed to unblock job: ${error.message}`);
+    }
+
+    if (data.length === 0) {
+      return null;
+    }
+
+    if (state === 'dead') {
+      jobMetrics.dead.inc({ queue: data[0].queue });
+      await this.cascadeDependencyFailure(jobId);
+    }
+
+    return data[0];
+  }
+
+  async getDependents(jobId) {
+    const { data, error } = await this.storage.select('jobs', {
+      where: { depends_on: { contains: [jobId] }, state: 'blocked' }
+    });
+
+    if (error) {
+      throw new Error(`Failed to get dependent jobs: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  async releaseDependents(jobId) {
+    const dependents = await this.getDependents(jobId);
+
+    for (const dependent of dependents) {
+      await this.promoteIfReady(dependent.id);
+    }
+  }
+
+  async cascadeDependencyFailure(jobId, parentState = 'dead') {
+    const dependents = await this.getDependents(jobId);
+
+    for (const dependent of dependents) {
+      const { data, error } = await this.storage.update('jobs', { id: dependent.id, state: 'blocked' }, {
+        state: 'dead',
+        error_message: `Dependency ${jobId} is ${parentState}`,
+        updated_at: new Date().toISOString()
+      });
+
+      if (error) {
+        throw new Error(`Failed to cascade dependency failure: ${error.message}`);
+      }
+
+      if (data.length > 0) {
+        jobMetrics.dead.inc({ queue: data[0].queue });
+        await this.cascadeDependencyFailure(dependent.id);
+      }
+    }
+  }
+
   async getJob(jobId) {
-    const { data, error } = await supabase
-      .from('jobs')
-      .select('*')
-      .eq('id', jobId)
-      .maybeSingle();
+    const { data, error } = await this.storage.selectOne('jobs', { id: jobId });
 
     if (error) {
       throw new Error(`Failed to get job: ${error.message}`);
@@ -40,14 +507,19 @@ class JobQueue {
     return data;
   }
 
-  async listJobs(state = null) {
-    let query = supabase.from('jobs').select('*').order('created_at', { ascending: false });
-
+  async listJobs(state = null, queue = null) {
+    const where = {};
     if (state) {
-      query = query.eq('state', state);
+      where.state = state;
+    }
+    if (queue) {
+      where.queue = queue;
     }
 
-    const { data, error } = await query;
+    const { data, error } = await this.storage.select('jobs', {
+      where,
+      order: [['created_at', 'desc']]
+    });
 
     if (error) {
       throw new Error(`Failed to list jobs: ${error.message}`);
@@ -56,220 +528,368 @@ class JobQueue {
     return data;
   }
 
-  async updateJobState(jobId, state, additionalFields = {}) {
+  /**
+   * Lists one page of jobs with filtering, sorting and paging done by the
+   * storage backend, and returns it with the number of matching jobs.
+   * `sort` is "<field>" or "<field>:asc|desc"; `worker` selects jobs that
+   * worker claimed last; `since` and `until` bound created_at.
+   */
+  async findJobs({
+    state = null,
+    queue = null,
+    commandMatch = null,
+    since = null,
+    until = null,
+    worker = null,
+    sort = 'created_at:desc',
+    limit = null,
+    offset = 0
+  } = {}) {
+    const [field, direction = 'asc'] = sort.split(':');
+    if (!SORT_FIELDS.includes(field) || !['asc', 'desc'].includes(direction)) {
+      throw new Error(`Invalid sort "${sort}". Use one of ${SORT_FIELDS.join(', ')}, optionally followed by :asc or :desc`);
+    }
+
+    const where = {};
+    if (state) {
+      where.state = state;
+    }
+    if (queue) {
+      where.queue = queue;
+    }
+    if (commandMatch) {
+      where.command = { match: checkPattern(commandMatch, 'command') };
+    }
+    if (since || until) {
+      where.created_at = {
+        ...(since ? { gte: since.toISOString() } : {}),
+        ...(until ? { lt: until.toISOString() } : {})
+      };
+    }
+    if (worker) {
+      where.worker_id = worker;
+    }
+
+    const { data: total, error: countError } = await this.storage.count('jobs', where);
+    if (countError) {
+      throw new Error(`Failed to list jobs: ${countError.message}`);
+    }
+
+    // Ties are broken by id so pages do not overlap or skip jobs
+    const { data, error } = await this.storage.select('jobs', {
+      where,
+      order: field === 'id' ? [['id', direction]] : [[field, direction], ['id', direction]],
+      limit: limit === null ? undefined : limit,
+      offset
+    });
+
+    if (error) {
+      throw new Error(`Failed to list jobs: ${error.message}`);
+    }
+
+    return { jobs: data, total };
+  }
+
+  // With lockedBy the update only applies while that worker still holds the job's lock
+  async updateJobState(jobId, state, additionalFields = {}, { lockedBy = null } = {}) {
     const updates = {
       state,
       updated_at: new Date().toISOString(),
       ...additionalFields
     };
 
-    const { data, error } = await supabase
-      .from('jobs')
-      .update(updates)
-      .eq('id', jobId)
-      .select()
-      .single();
+    const where = lockedBy ? { id: jobId, locked_by: lockedBy } : { id: jobId };
+    const { data, error } = await this.storage.update('jobs', where, updates);
 
     if (error) {
       throw new Error(`Failed to update job state: ${error.message}`);
     }
 
-    return data;
+    if (data.length === 0) {
+      if (lockedBy) {
+        throw lockLostError(jobId, lockedBy);
+      }
+      throw new Error(`Failed to update job state: job ${jobId} not found`);
+    }
+
+    return data[0];
   }
 
-  async acquireJobLock(workerId) {
-    const now = new Date();
-    const lockTimeout = new Date(now.getTime() - 5 * 60 * 1000);
-
-    const { data: pendingJobs, error: pendingError } = await supabase
-      .from('jobs')
-      .select('*')
-      .eq('state', 'pending')
-      .is('locked_by', null)
-      .order('created_at', { ascending: true })
-      .limit(1);
-
-    if (pendingError) {
-      throw new Error(`Failed to find pending jobs: ${pendingError.message}`);
-    }
-
-    if (pendingJobs && pendingJobs.length > 0) {
-      const job = pendingJobs[0];
-
-      const { data: lockedJob, error: lockError } = await supabase
-        .from('jobs')
-        .update({
-          locked_by: workerId,
-          locked_at: now.toISOString(),
-          state: 'processing',
-          updated_at: now.toISOString()
-        })
-        .eq('id', job.id)
-        .is('locked_by', null)
-        .select()
-        .maybeSingle();
-
-      if (!lockError && lockedJob) {
-        return lockedJob;
-      }
+  async getStaleLockTimeoutMs() {
+    return (await this.config.value('stale_lock_timeout')) * 1000;
+  }
+
+  async acquireJobLock(workerId, queues = null) {
+    const [job] = await this.acquireJobLocks(workerId, queues, 1);
+    return job || null;
+  }
+
+  // Claims up to `limit` of the highest-priority due pending, retry-due or stale jobs
+  // in a single atomic step, skipping paused queues
+  async acquireJobLocks(workerId, queues = null, limit = 1) {
+    const paused = await this.queuePauses.pausedQueues();
+    if (paused.includes(ALL_QUEUES)) {
+      return [];
     }
 
-    const { data: retryJobs, error: retryError } = await supabase
-      .from('jobs')
-      .select('*')
-      .eq('state', 'failed')
-      .not('next_retry_at', 'is', null)
-      .lte('next_retry_at', now.toISOString())
-      .is('locked_by', null)
-      .order('next_retry_at', { ascending: true })
-      .limit(1);
-
-    if (retryError) {
-      throw new Error(`Failed to find retry jobs: ${retryError.message}`);
-    }
-
-    if (retryJobs && retryJobs.length > 0) {
-      const job = retryJobs[0];
-
-      const { data: lockedJob, error: lockError } = await supabase
-        .from('jobs')
-        .update({
-          locked_by: workerId,
-          locked_at: now.toISOString(),
-          state: 'processing',
-          updated_at: now.toISOString()
-        })
-        .eq('id', job.id)
-        .is('locked_by', null)
-        .select()
-        .maybeSingle();
-
-      if (!lockError && lockedJob) {
-        return lockedJob;
-      }
+    const wanted = queues && queues.length > 0 ? queues.filter(queue => !paused.includes(queue)) : null;
+    if (wanted && wanted.length === 0) {
+      return [];
     }
 
-    const { data: staleLocks, error: staleError } = await supabase
-      .from('jobs')
-      .select('*')
-      .eq('state', 'processing')
-      .not('locked_by', 'is', null)
-      .lt('locked_at', lockTimeout.toISOString())
-      .limit(1);
+    const { data, error } = await this.storage.claimJobs(workerId, {
+      lockTimeoutMs: await this.getStaleLockTimeoutMs(),
+      queues: wanted,
+      excludeQueues: !wanted && paused.length > 0 ? paused : null,
+      limit
+    });
 
-    if (staleError) {
-      throw new Error(`Failed to find stale locks: ${staleError.message}`);
+    if (error) {
+      throw new Error(`Failed to acquire job lock: ${error.message}`);
     }
 
-    if (staleLocks && staleLocks.length > 0) {
-      const job = staleLocks[0];
+    return data;
+  }
 
-      const { data: lockedJob, error: lockError } = await supabase
-        .from('jobs')
-        .update({
-          locked_by: workerId,
-          locked_at: now.toISOString(),
-          state: 'processing',
-          updated_at: now.toISOString()
-        })
-        .eq('id', job.id)
-        .select()
-        .maybeSingle();
+  // Keeps the locks of running jobs fresh so they are not reclaimed as stale
+  async renewJobLocks(workerId, jobIds) {
+    if (jobIds.length === 0) {
+      return [];
+    }
 
-      if (!lockError && lockedJob) {
-        return lockedJob;
-      }
+    const { data, error } = await this.storage.update('jobs', {
+      id: { in: jobIds },
+      state: 'processing',
+      locked_by: workerId
+    }, { locked_at: new Date().toISOString() });
+
+    if (error) {
+      throw new Error(`Failed to renew job locks: ${error.message}`);
     }
 
-    return null;
+    return data;
   }
 
   async releaseJobLock(jobId) {
-    const { error } = await supabase
-      .from('jobs')
-      .update({
-        locked_by: null,
-        locked_at: null,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', jobId);
+    const { error } = await this.storage.update('jobs', { id: jobId }, {
+      locked_by: null,
+      locked_at: null,
+      updated_at: new Date().toISOString()
+    });
 
     if (error) {
       throw new Error(`Failed to release job lock: ${error.message}`);
     }
   }
 
-  async markJobCompleted(jobId) {
-    return await this.updateJobState(jobId, 'completed', {
+  // `result` holds the structured result of the attempt (exit code, output, timing).
+  // A worker passes its workerId so a job another worker reclaimed is left alone.
+  async markJobCompleted(jobId, result = {}, { workerId = null } = {}) {
+    const job = await this.updateJobState(jobId, 'completed', {
+      ...result,
       completed_at: new Date().toISOString(),
       locked_by: null,
       locked_at: null,
       error_message: null
-    });
+    }, { lockedBy: workerId });
+
+    jobMetrics.completed.inc({ queue: job.queue });
+
+    try {
+      await this.releaseDependents(jobId);
+    } catch (error) {
+      // The job itself stays completed; callers must not fail it again
+      error.message = `Job ${jobId} completed, but its dependents could not be released: ${error.message}`;
+      error.completedJob = job;
+      throw error;
+    }
+    return job;
   }
 
-  async markJobFailed(jobId, errorMessage, backoffBase = 2) {
+  // exitCode is the command's exit status, or null when it never exited normally
+  // (timeout, signal, spawn error); exit codes the policy rules out skip the retries
+  // Jobs failed with retryable: false, such as policy rejections, go straight to the DLQ
+  async markJobFailed(jobId, errorMessage, { exitCode = null, retryable: canRetry = true, result = {}, workerId = null } = {}) {
     const job = await this.getJob(jobId);
     if (!job) {
       throw new Error(`Job ${jobId} not found`);
     }
 
+    // Cancelled jobs are never retried, and a completed job stays completed
+    if (job.state === 'cancelled' || job.state === 'completed') {
+      return job;
+    }
+
+    if (workerId && job.locked_by !== workerId) {
+      throw lockLostError(jobId, workerId);
+    }
+
     const newAttempts = job.attempts + 1;
+    const policy = resolveRetryPolicy(retryPolicyFromConfig(await this.config.values()), job.retry);
+    const retryable = canRetry && isRetryableExit(policy, exitCode);
+    jobMetrics.failed.inc({ queue: job.queue });
 
-    if (newAttempts >= job.max_retries) {
-      return await this.updateJobState(jobId, 'dead', {
+    if (!retryable || newAttempts >= job.max_retries) {
+      const deadJob = await this.updateJobState(jobId, 'dead', {
+        ...result,
         attempts: newAttempts,
-        error_message: errorMessage,
+        error_message: retryable || !canRetry ? errorMessage : `Exit code ${exitCode} is not retryable: ${errorMessage}`,
         locked_by: null,
         locked_at: null,
         next_retry_at: null
-      });
+      }, { lockedBy: workerId });
+
+      jobMetrics.dead.inc({ queue: job.queue });
+      await this.cascadeDependencyFailure(jobId);
+      return deadJob;
     }
 
-    const delaySeconds = Math.pow(backoffBase, newAttempts);
+    jobMetrics.retried.inc({ queue: job.queue });
+
+    const delaySeconds = computeRetryDelay(policy, newAttempts);
     const nextRetryAt = new Date(Date.now() + delaySeconds * 1000);
 
     return await this.updateJobState(jobId, 'failed', {
+      ...result,
       attempts: newAttempts,
       error_message: errorMessage,
       next_retry_at: nextRetryAt.toISOString(),
       locked_by: null,
       locked_at: null
+    }, { lockedBy: workerId });
+  }
+
+  async markJobCancelled(jobId, result = {}, { workerId = null } = {}) {
+    const job = await this.updateJobState(jobId, 'cancelled', {
+      ...result,
+      cancelled_at: new Date().toISOString(),
+      locked_by: null,
+      locked_at: null,
+      next_retry_at: null
+    }, { lockedBy: workerId });
+
+    await this.cascadeDependencyFailure(jobId, 'cancelled');
+    return job;
+  }
+
+  // Waiting jobs are cancelled right away. For a running job a cancellation is
+  // requested and the owning worker stops the process, then marks it cancelled.
+  async cancelJob(jobId) {
+    const job = await this.getJob(jobId);
+    if (!job) {
+      throw new Error(`Job ${jobId} not found`);
+    }
+
+    const now = new Date();
+    const staleBefore = new Date(now.getTime() - await this.getStaleLockTimeoutMs());
+    let where;
+    let changes;
+
+    if (CANCELLABLE_STATES.includes(job.state)) {
+      where = { id: jobId, state: job.state, locked_by: null };
+      changes = { state: 'cancelled', cancelled_at: now.toISOString(), next_retry_at: null };
+    } else if (job.state === 'processing' && new Date(job.locked_at) < staleBefore) {
+      // The owning worker is gone; nobody is left to stop the process
+      where = { id: jobId, state: 'processing', locked_by: job.locked_by };
+      changes = { state: 'cancelled', cancelled_at: now.toISOString(), locked_by: null, locked_at: null };
+    } else if (job.state === 'processing') {
+      where = { id: jobId, state: 'processing' };
+      changes = { cancel_requested_at: now.toISOString() };
+    } else {
+      throw new Error(`Job ${jobId} cannot be cancelled (state: ${job.state})`);
+    }
+
+    const { data, error } = await this.storage.update('jobs', where, {
+      ...changes,
+      updated_at: now.toISOString()
     });
+
+    if (error) {
+      throw new Error(`Failed to cancel job: ${error.message}`);
+    }
+
+    // The job moved on between the read and the update; decide again
+    if (data.length === 0) {
+      return await this.cancelJob(jobId);
+    }
+
+    if (data[0].state === 'cancelled') {
+      await this.cascadeDependencyFailure(jobId, 'cancelled');
+    }
+
+    return data[0];
   }
 
-  async getJobStats() {
-    const { data, error } = await supabase
-      .from('jobs')
-      .select('state');
+  async getJobStats(queue = null) {
+    const { data, error } = await this.storage.countJobsByState({ queue });
 
     if (error) {
       throw new Error(`Failed to get job stats: ${error.message}`);
     }
 
-    const stats = {
-      pending: 0,
-      processing: 0,
-      completed: 0,
-      failed: 0,
-      dead: 0,
-      total: data.length
-    };
+    return countStates(data);
+  }
 
-    data.forEach(job => {
-      if (stats.hasOwnProperty(job.state)) {
-        stats[job.state]++;
-      }
+  async getQueueStats() {
+    const { data, error } = await this.storage.countJobsByState();
+
+    if (error) {
+      throw new Error(`Failed to get queue stats: ${error.message}`);
+    }
+
+    const byQueue = {};
+    data.forEach(row => {
+      const queue = row.queue || DEFAULT_QUEUE;
+      byQueue[queue] = byQueue[queue] || [];
+      byQueue[queue].push(row);
+    });
+
+    const stats = {};
+    Object.keys(byQueue).sort().forEach(queue => {
+      stats[queue] = countStates(byQueue[queue]);
     });
 
     return stats;
   }
 
-  async listDLQ() {
-    return await this.listJobs('dead');
+  async listDLQ(queue = null) {
+    return await this.listJobs('dead', queue);
+  }
+
+  // Dead jobs matching every filter given: regular expressions over the error
+  // message and the command, and the time they moved to the DLQ. The storage
+  // backend applies the filters, so only matching jobs are loaded.
+  async findDLQJobs({ queue = null, errorMatch = null, commandMatch = null, since = null } = {}) {
+    const where = { state: 'dead' };
+    if (queue) {
+      where.queue = queue;
+    }
+    if (errorMatch) {
+      where.error_message = { match: checkPattern(errorMatch, 'error') };
+    }
+    if (commandMatch) {
+      where.command = { match: checkPattern(commandMatch, 'command') };
+    }
+    if (since) {
+      where.updated_at = { gte: since.toISOString() };
+    }
+
+    const { data, error } = await this.storage.select('jobs', {
+      where,
+      order: [['created_at', 'desc']]
+    });
+
+    if (error) {
+      throw new Error(`Failed to list DLQ jobs: ${error.message}`);
+    }
+
+    return data;
   }
 
-  async retryDLQJob(jobId) {
+  // Attempts start over at 0 unless resetAttempts is false, in which case a
+  // job that used up its retries goes back to the DLQ after one more failure.
+  // A job whose dependency is still dead or cancelled cannot be retried.
+  async retryDLQJob(jobId, { resetAttempts = true } = {}) {
     const job = await this.getJob(jobId);
     if (!job) {
       throw new Error(`Job ${jobId} not found`);
@@ -279,15 +899,52 @@ class JobQueue {
       throw new Error(`Job ${jobId} is not in DLQ (state: ${job.state})`);
     }
 
-    return await this.updateJobState(jobId, 'pending', {
-      attempts: 0,
+    const { state, errorMessage } = await this.resolveDependencyState(job.depends_on || [], { missingSatisfied: true });
+    if (state === 'dead') {
+      const error = new Error(`Cannot retry job ${jobId}: ${errorMessage}; retry that dependency first`);
+      error.dependencyFailed = true;
+      throw error;
+    }
+
+    return await this.updateJobState(jobId, state === 'pending' ? 'pending' : 'blocked', {
+      attempts: resetAttempts ? 0 : job.attempts,
       error_message: null,
       next_retry_at: null,
       locked_by: null,
       locked_at: null
     });
   }
+
+  // Removes a dead job together with its logs, attempt history and output artifacts
+  async deleteDLQJob(jobId) {
+    const { data, error } = await this.storage.delete('jobs', { id: jobId, state: 'dead' });
+
+    if (error) {
+      throw new Error(`Failed to delete job: ${error.message}`);
+    }
+
+    if (data.length === 0) {
+      const job = await this.getJob(jobId);
+      if (!job) {
+        throw new Error(`Job ${jobId} not found`);
+      }
+      throw new Error(`Job ${jobId} is not in DLQ (state: ${job.state})`);
+    }
+
+    for (const table of ['job_logs', 'job_attempts']) {
+      const { error: cleanupError } = await this.storage.delete(table, { job_id: jobId });
+      if (cleanupError) {
+        throw new Error(`Failed to delete job history: ${cleanupError.message}`);
+      }
+    }
+
+    removeArtifacts(data[0]);
+    return data[0];
+  }
 }
 
+JobQueue.STATES = JOB_STATES;
+JobQueue.SORT_FIELDS = SORT_FIELDS;
+
 module.exports = JobQueue;
 
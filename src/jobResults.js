@@ -0,0 +1,155 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { formatBytes } = require('./sizeUtils');
+
+const DEFAULT_ARTIFACT_DIR = path.join(os.homedir(), '.queuectl', 'artifacts');
+const STREAMS = ['stdout', 'stderr'];
+
+function artifactDir(settings) {
+  return settings.artifactDir || DEFAULT_ARTIFACT_DIR;
+}
+
+// Keeps the last `limit` bytes of a buffer
+function tail(buffer, limit) {
+  return buffer.length > limit ? buffer.subarray(buffer.length - limit) : buffer;
+}
+
+/**
+ * Collects the output of a running attempt without holding all of it in memory.
+ * A stream stays in memory while it fits the inline limit. Past that, it is
+ * appended to an artifact file as it arrives, up to maxArtifactSize bytes, and
+ * only its last inlineLimit bytes are kept as the row's preview.
+ * `settings` holds inlineLimit, maxArtifactSize and artifactDir.
+ */
+class OutputCapture {
+  constructor(job, attemptNumber, settings) {
+    const jobDir = path.join(artifactDir(settings), String(job.id).replace(/[^A-Za-z0-9_.-]/g, '_'));
+    this.settings = settings;
+    this.streams = {};
+    STREAMS.forEach(stream => {
+      this.streams[stream] = {
+        file: path.join(jobDir, `attempt-${attemptNumber}.${stream}`),
+        fd: null,
+        bytes: 0,
+        storedBytes: 0,
+        tail: Buffer.alloc(0),
+        error: null
+      };
+    });
+  }
+
+  write(stream, chunk) {
+    const output = this.streams[stream];
+    const buffer = Buffer.from(chunk);
+    const previous = output.tail;
+    output.bytes += buffer.length;
+    output.tail = tail(Buffer.concat([previous, buffer]), this.settings.inlineLimit);
+
+    if (output.bytes <= this.settings.inlineLimit) {
+      return;
+    }
+    // Until now the tail held the whole stream; it goes to the artifact first
+    const spilled = output.bytes - buffer.length <= this.settings.inlineLimit;
+    this.append(output, spilled ? Buffer.concat([previous, buffer]) : buffer);
+  }
+
+  append(output, data) {
+    const room = this.settings.maxArtifactSize - output.storedBytes;
+    if (output.error || room <= 0) {
+      return;
+    }
+
+    try {
+      if (output.fd === null) {
+        fs.mkdirSync(path.dirname(output.file), { recursive: true, mode: 0o700 });
+        output.fd = fs.openSync(output.file, 'w', 0o600);
+      }
+      const kept = data.subarray(0, room);
+      fs.writeSync(output.fd, kept);
+      output.storedBytes += kept.length;
+    } catch (error) {
+      output.error = error;
+      this.closeStream(output);
+      fs.rmSync(output.file, { force: true });
+    }
+  }
+
+  closeStream(output) {
+    if (output.fd !== null) {
+      fs.closeSync(output.fd);
+      output.fd = null;
+    }
+  }
+
+  close() {
+    Object.values(this.streams).forEach(output => this.closeStream(output));
+  }
+
+  // What goes into the job row for each stream, plus the artifacts written
+  fields() {
+    const fields = { artifacts: null };
+
+    STREAMS.forEach(stream => {
+      const output = this.streams[stream];
+      const preview = output.tail.toString();
+      if (output.bytes <= this.settings.inlineLimit) {
+        fields[stream] = preview || null;
+      } else if (output.error) {
+        fields[stream] = `[artifact could not be written: ${output.error.message}; last ${formatBytes(this.settings.inlineLimit)} kept]\n${preview}`;
+      } else {
+        const truncated = output.storedBytes < output.bytes;
+        const copy = truncated ? `first ${formatBytes(output.storedBytes)} in` : 'full copy in';
+        fields[stream] = `[${formatBytes(output.bytes)} of output, ${copy} ${output.file}]\n${preview}`;
+        fields.artifacts = {
+          ...fields.artifacts,
+          [stream]: { path: output.file, bytes: output.bytes, stored_bytes: output.storedBytes, truncated }
+        };
+      }
+    });
+
+    return fields;
+  }
+}
+
+/**
+ * Builds the result fields of a job from a finished JobProcess run and the
+ * OutputCapture that collected its output: exit code, signal, stdout and
+ * stderr, when the attempt started and how long it took.
+ */
+function buildJobResult(result, startedAt, output) {
+  return {
+    exit_code: result.code,
+    signal: result.signal,
+    started_at: new Date(startedAt).toISOString(),
+    duration_ms: Date.now() - startedAt,
+    ...output.fields()
+  };
+}
+
+// Full output of a stream, read from its artifact when it was spilled to one.
+// Artifacts live on the worker's host; elsewhere only the row's preview is available.
+function readResultOutput(job, stream) {
+  const artifact = job.artifacts && job.artifacts[stream];
+  if (artifact) {
+    if (fs.existsSync(artifact.path)) {
+      return { text: fs.readFileSync(artifact.path, 'utf8'), artifact, missing: false };
+    }
+    return { text: job[stream] || '', artifact, missing: true };
+  }
+  return { text: job[stream] || '', artifact: null, missing: false };
+}
+
+// Deletes the artifact files of a job, and its artifact directory once it is empty
+function removeArtifacts(job) {
+  Object.values(job.artifacts || {}).forEach(artifact => {
+    fs.rmSync(artifact.path, { force: true });
+    try {
+      fs.rmdirSync(path.dirname(artifact.path));
+    } catch (error) {
+      // The directory still holds other attempts
+    }
+  });
+}
+
+module.exports = { OutputCapture, buildJobResult, readResultOutput, removeArtifacts, DEFAULT_ARTIFACT_DIR };
@@ -0,0 +1,160 @@
+const DEFAULT_BUCKETS = [0.01, 0.05, 0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 300, 900, 3600];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  return String(value);
+}
+
+/**
+ * A metric family with one series per distinct set of label values.
+ */
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  labelsFor(labels) {
+    const resolved = {};
+    this.labelNames.forEach(name => {
+      resolved[name] = labels[name] === undefined || labels[name] === null ? '' : labels[name];
+    });
+    return resolved;
+  }
+
+  seriesFor(labels, create) {
+    const resolved = this.labelsFor(labels);
+    const key = JSON.stringify(resolved);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: resolved, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    this.series.forEach(series => lines.push(...this.renderSeries(series)));
+    return lines.join('\n');
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels = {}, by = 1) {
+    this.seriesFor(labels, () => ({ value: 0 })).value += by;
+  }
+
+  renderSeries(series) {
+    return [`${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`];
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super('gauge', name, help, labelNames);
+  }
+
+  set(labels, value) {
+    this.seriesFor(labels, () => ({ value: 0 })).value = value;
+  }
+
+  renderSeries(series) {
+    return [`${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`];
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    const series = this.seriesFor(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) {
+        series.counts[i]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  renderSeries(series) {
+    const lines = this.buckets.map((bound, i) =>
+      `${this.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${series.counts[i]}`);
+
+    lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+    lines.push(`${this.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+    lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    return lines;
+  }
+}
+
+class Registry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  render() {
+    return this.metrics.map(metric => metric.render()).join('\n');
+  }
+}
+
+// Events are counted by the process that observes them, so every worker
+// (and the API server) exports its own counters and histograms
+const registry = new Registry();
+
+const jobMetrics = {
+  enqueued: registry.counter('queuectl_jobs_enqueued_total', 'Jobs enqueued by this process', ['queue']),
+  completed: registry.counter('queuectl_jobs_completed_total', 'Jobs completed by this process', ['queue']),
+  failed: registry.counter('queuectl_jobs_failed_total', 'Job attempts that failed or timed out in this process', ['queue']),
+  retried: registry.counter('queuectl_job_retries_total', 'Failed attempts that were scheduled for a retry', ['queue']),
+  dead: registry.counter('queuectl_jobs_dead_total', 'Jobs moved to the DLQ by this process', ['queue']),
+  waitSeconds: registry.histogram(
+    'queuectl_job_wait_seconds',
+    'Time from when a job became due until a worker claimed it',
+    ['queue']
+  ),
+  durationSeconds: registry.histogram(
+    'queuectl_job_duration_seconds',
+    'Execution time of job attempts',
+    ['queue', 'outcome']
+  )
+};
+
+module.exports = { Registry, Counter, Gauge, Histogram, registry, jobMetrics };
@@ -0,0 +1,95 @@
+const http = require('http');
+const { getStorage } = require('./db');
+const JobQueue = require('./jobQueue');
+const { WorkerManager } = require('./workerManager');
+const { Registry, Gauge, registry } = require('./metrics');
+
+/**
+ * Serves `/metrics` in the Prometheus text format: this process's counters and
+ * histograms, plus gauges read from the store on every scrape.
+ */
+class MetricsServer {
+  constructor(storage = getStorage(), { metricsRegistry = registry } = {}) {
+    this.registry = metricsRegistry;
+    this.jobQueue = new JobQueue(storage);
+    this.workerManager = new WorkerManager(storage);
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  // Unauthenticated, so only local by default
+  listen(port, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.off('error', reject);
+        resolve(this.server.address());
+      });
+    });
+  }
+
+  close() {
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  async handle(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (req.method !== 'GET' || pathname !== '/metrics') {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found. Metrics are served at /metrics\n');
+      return;
+    }
+
+    try {
+      const body = await this.render();
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+      res.end(body);
+    } catch (error) {
+      console.error(`[metrics] Scrape failed: ${error.message}`);
+      res.writeHead(500, { 'Content-Type': 'text/plain' });
+      res.end(`${error.message}\n`);
+    }
+  }
+
+  async render() {
+    const snapshot = new Registry();
+
+    const jobs = snapshot.register(new Gauge('queuectl_jobs', 'Jobs currently in each state, per queue', ['queue', 'state']));
+    const queueStats = await this.jobQueue.getQueueStats();
+    Object.entries(queueStats).forEach(([queue, counts]) => {
+      Object.entries(counts).forEach(([state, count]) => {
+        if (state !== 'total') {
+          jobs.set({ queue, state }, count);
+        }
+      });
+    });
+
+    const heartbeatAge = snapshot.register(new Gauge(
+      'queuectl_worker_heartbeat_age_seconds',
+      'Seconds since each active worker last sent a heartbeat',
+      ['worker', 'status']
+    ));
+    const workers = await this.workerManager.getActiveWorkers();
+    const now = Date.now();
+    workers.forEach(worker => {
+      heartbeatAge.set({ worker: worker.id, status: worker.status }, (now - new Date(worker.last_heartbeat).getTime()) / 1000);
+    });
+
+    const activeWorkers = snapshot.register(new Gauge('queuectl_workers_active', 'Workers with a recent heartbeat', []));
+    activeWorkers.set({}, workers.length);
+
+    const slots = snapshot.register(new Gauge('queuectl_worker_slots', 'Job slots of each active worker', ['worker']));
+    const busySlots = snapshot.register(new Gauge(
+      'queuectl_worker_slots_busy',
+      'Slots running a job at the last heartbeat of each active worker',
+      ['worker']
+    ));
+    workers.forEach(worker => {
+      slots.set({ worker: worker.id }, worker.concurrency || 1);
+      busySlots.set({ worker: worker.id }, worker.active_jobs || 0);
+    });
+
+    return `${snapshot.render()}\n${this.registry.render()}\n`;
+  }
+}
+
+module.exports = { MetricsServer };
@@ -0,0 +1,68 @@
+const { getStorage } = require('./db');
+const { parseDuration } = require('./timeUtils');
+
+// Pausing this name stops pickup from every queue
+const ALL_QUEUES = '*';
+const QUEUE_NAME_PATTERN = /^[A-Za-z0-9_.-]+$/;
+
+function isActive(pause, now = new Date()) {
+  return !pause.paused_until || new Date(pause.paused_until) > now;
+}
+
+class QueuePauses {
+  constructor(storage = getStorage()) {
+    this.storage = storage;
+  }
+
+  // Pausing an already paused queue replaces its expiry and reason
+  async pause(queue, { duration = null, reason = null } = {}) {
+    if (queue !== ALL_QUEUES && !QUEUE_NAME_PATTERN.test(queue)) {
+      throw new Error(`Invalid queue name "${queue}". Use letters, digits, "_", "." or "-"`);
+    }
+
+    const now = new Date();
+    const pausedUntil = duration ? new Date(now.getTime() + parseDuration(duration)) : null;
+
+    const { data, error } = await this.storage.upsert('queue_pauses', {
+      queue,
+      reason,
+      paused_at: now.toISOString(),
+      paused_until: pausedUntil ? pausedUntil.toISOString() : null
+    });
+
+    if (error) {
+      throw new Error(`Failed to pause queue: ${error.message}`);
+    }
+
+    return Array.isArray(data) ? data[0] : data;
+  }
+
+  // Returns whether the queue was paused
+  async resume(queue) {
+    const { data, error } = await this.storage.delete('queue_pauses', { queue });
+
+    if (error) {
+      throw new Error(`Failed to resume queue: ${error.message}`);
+    }
+
+    return data.some(pause => isActive(pause));
+  }
+
+  // Pauses that have not expired; expired rows stay until the queue is paused or resumed again
+  async listPauses() {
+    const { data, error } = await this.storage.select('queue_pauses', { order: [['queue', 'asc']] });
+
+    if (error) {
+      throw new Error(`Failed to list queue pauses: ${error.message}`);
+    }
+
+    const now = new Date();
+    return data.filter(pause => isActive(pause, now));
+  }
+
+  async pausedQueues() {
+    return (await this.listPauses()).map(pause => pause.queue);
+  }
+}
+
+module.exports = { QueuePauses, ALL_QUEUES };
@@ -0,0 +1,239 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { Config } = require('./config');
+const { removeArtifacts } = require('./jobResults');
+const { getStorage } = require('./db');
+
+// Only jobs that will never run again can be purged
+const PURGEABLE_STATES = ['completed', 'dead', 'cancelled'];
+// Keeps `in` filters on ids short enough for a request URL
+const BATCH_SIZE = 100;
+// Jobs in these states may still need their parents to resolve their dependencies
+const DEPENDENT_STATES = ['pending', 'blocked', 'processing', 'failed', 'dead'];
+// Rows per page when scanning jobs; Supabase returns at most 1000 rows per request
+const SCAN_PAGE_SIZE = 1000;
+
+function archiveFileIn(dir) {
+  return path.join(dir, `queuectl-purge-${new Date().toISOString().replace(/[:.]/g, '-')}.jsonl.gz`);
+}
+
+// Each batch is appended as its own gzip member; zcat and gunzip read them as one stream
+function appendToArchive(file, table, rows) {
+  const lines = rows.map(row => JSON.stringify({ table, row })).join('\n') + '\n';
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, zlib.gzipSync(lines), { mode: 0o600 });
+}
+
+/**
+ * Deletes finished jobs and old worker rows, optionally archiving them to a
+ * gzip-compressed JSONL file first. Jobs go together with their logs,
+ * attempts, idempotency keys and output artifacts. Jobs that other jobs still
+ * waiting, running or in the DLQ depend on are kept.
+ */
+class Retention {
+  constructor(storage = getStorage(), { config = null } = {}) {
+    this.storage = storage;
+    this.config = config || new Config(storage);
+  }
+
+  // Completed, dead or cancelled jobs last updated more than olderThanMs ago
+  async purgeJobs({ states, olderThanMs, dryRun = false, archive = null }) {
+    const invalid = states.filter(state => !PURGEABLE_STATES.includes(state));
+    if (states.length === 0) {
+      throw new Error(`Choose the job states to purge: ${PURGEABLE_STATES.join(', ')}`);
+    }
+    if (invalid.length > 0) {
+      throw new Error(`Cannot purge jobs in state "${invalid.join(', ')}". Use ${PURGEABLE_STATES.join(', ')}`);
+    }
+
+    const where = { state: states, updated_at: { lt: new Date(Date.now() - olderThanMs).toISOString() } };
+    const referenced = await this.referencedParents();
+
+    // Kept parents stay at the front of the ordered rows, so later batches skip them
+    let count = 0;
+    let kept = 0;
+    for (;;) {
+      const { data: jobs, error } = await this.storage.select('jobs', {
+        where,
+        order: [['updated_at', 'asc'], ['id', 'asc']],
+        limit: BATCH_SIZE,
+        offset: dryRun ? kept + count : kept
+      });
+
+      if (error) {
+        throw new Error(`Failed to purge jobs: ${error.message}`);
+      }
+
+      if (jobs.length === 0) {
+        break;
+      }
+
+      const purgeable = jobs.filter(job => !referenced.has(job.id));
+      kept += jobs.length - purgeable.length;
+
+      if (dryRun) {
+        count += purgeable.length;
+      } else if (purgeable.length > 0) {
+        if (archive) {
+          appendToArchive(archive, 'jobs', purgeable);
+        }
+
+        // The filter is repeated so a job retried in the meantime is kept
+        const { data: deleted, error: deleteError } = await this.storage.delete('jobs', {
+          ...where,
+          id: purgeable.map(job => job.id)
+        });
+
+        if (deleteError) {
+          throw new Error(`Failed to purge jobs: ${deleteError.message}`);
+        }
+
+        await this.deleteJobData(deleted);
+        count += deleted.length;
+
+        if (deleted.length === 0) {
+          break;
+        }
+      }
+
+      if (jobs.length < BATCH_SIZE) {
+        break;
+      }
+    }
+
+    return { count, archive: count > 0 ? archive : null };
+  }
+
+  // Ids of jobs that unfinished or retryable jobs list in depends_on. Pages
+  // by id, so no dependent is missed however many there are.
+  async referencedParents() {
+    const referenced = new Set();
+    let lastId = null;
+
+    for (;;) {
+      const where = { state: DEPENDENT_STATES };
+      if (lastId !== null) {
+        where.id = { gt: lastId };
+      }
+
+      const { data: jobs, error } = await this.storage.select('jobs', {
+        where,
+        order: [['id', 'asc']],
+        limit: SCAN_PAGE_SIZE,
+        columns: 'id,depends_on'
+      });
+
+      if (error) {
+        throw new Error(`Failed to purge jobs: ${error.message}`);
+      }
+
+      jobs.forEach(job => (job.depends_on || []).forEach(id => referenced.add(id)));
+      if (jobs.length < SCAN_PAGE_SIZE) {
+        return referenced;
+      }
+      lastId = jobs[jobs.length - 1].id;
+    }
+  }
+
+  async deleteJobData(jobs) {
+    if (jobs.length === 0) {
+      return;
+    }
+
+    const ids = jobs.map(job => job.id);
+    for (const table of ['job_logs', 'job_attempts', 'idempotency_keys']) {
+      const { error } = await this.storage.delete(table, { job_id: ids });
+      if (error) {
+        throw new Error(`Failed to purge ${table}: ${error.message}`);
+      }
+    }
+
+    jobs.forEach(removeArtifacts);
+  }
+
+  // Worker rows without a heartbeat for olderThanMs. Only stopped workers go that
+  // early; any other worker must also have missed its heartbeat for
+  // stale_lock_timeout, so live workers stay reachable by `worker stop/pause/resume`.
+  async purgeWorkers({ olderThanMs, dryRun = false, archive = null }) {
+    const staleMs = Math.max(olderThanMs, (await this.config.value('stale_lock_timeout')) * 1000);
+    const heartbeatBefore = ms => ({ lt: new Date(Date.now() - ms).toISOString() });
+    const wheres = [
+      { status: 'stopped', last_heartbeat: heartbeatBefore(olderThanMs) },
+      { status: { neq: 'stopped' }, last_heartbeat: heartbeatBefore(staleMs) }
+    ];
+
+    let count = 0;
+    for (const where of wheres) {
+      count += dryRun
+        ? await this.count('workers', where)
+        : await this.deleteWorkers(where, archive);
+    }
+
+    return { count, archive: count > 0 ? archive : null };
+  }
+
+  async deleteWorkers(where, archive) {
+    const { data: workers, error } = await this.storage.select('workers', { where });
+    if (error) {
+      throw new Error(`Failed to purge workers: ${error.message}`);
+    }
+
+    if (workers.length === 0) {
+      return 0;
+    }
+
+    if (archive) {
+      appendToArchive(archive, 'workers', workers);
+    }
+
+    const { data: deleted, error: deleteError } = await this.storage.delete('workers', {
+      ...where,
+      id: workers.map(worker => worker.id)
+    });
+
+    if (deleteError) {
+      throw new Error(`Failed to purge workers: ${deleteError.message}`);
+    }
+
+    return deleted.length;
+  }
+
+  /**
+   * Applies the retention_* config keys: every state and the workers table
+   * with a retention period set is purged, archiving to retention_archive_dir
+   * when it is set. Returns one { target, count, archive } entry per period.
+   */
+  async applyRetention({ dryRun = false } = {}) {
+    const values = await this.config.values();
+    const archive = values.retention_archive_dir && !dryRun ? archiveFileIn(values.retention_archive_dir) : null;
+    const results = [];
+
+    for (const state of PURGEABLE_STATES) {
+      const seconds = values[`retention_${state}`];
+      if (seconds !== null) {
+        const result = await this.purgeJobs({ states: [state], olderThanMs: seconds * 1000, dryRun, archive });
+        results.push({ target: `${state} jobs`, ...result });
+      }
+    }
+
+    if (values.retention_workers !== null) {
+      const result = await this.purgeWorkers({ olderThanMs: values.retention_workers * 1000, dryRun, archive });
+      results.push({ target: 'workers', ...result });
+    }
+
+    return results;
+  }
+
+  async count(table, where) {
+    const { data, error } = await this.storage.count(table, where);
+
+    if (error) {
+      throw new Error(`Failed to count ${table}: ${error.message}`);
+    }
+
+    return data;
+  }
+}
+
+module.exports = { Retention, PURGEABLE_STATES, archiveFileIn };
@@ -0,0 +1,184 @@
+const { parseDuration } = require('./timeUtils');
+
+const STRATEGIES = ['exponential', 'linear', 'fixed', 'list'];
+const JITTER_MODES = ['none', 'full', 'equal'];
+
+// Config keys holding the global retry policy, and the policy field each one sets
+const RETRY_CONFIG_FIELDS = {
+  retry_strategy: 'strategy',
+  retry_jitter: 'jitter',
+  backoff_base: 'base',
+  retry_delay: 'delay',
+  retry_delays: 'delays',
+  max_delay: 'max_delay',
+  retry_on: 'retry_on',
+  no_retry_on: 'no_retry_on'
+};
+
+const DEFAULT_POLICY = {
+  strategy: 'exponential',
+  jitter: 'none',
+  base: 2,
+  delay: 5,
+  delays: [],
+  max_delay: null,
+  retry_on: [],
+  no_retry_on: []
+};
+
+function toList(value) {
+  if (Array.isArray(value)) {
+    return value;
+  }
+  return String(value).split(',').map(item => item.trim()).filter(item => item !== '');
+}
+
+function toSeconds(value) {
+  return parseDuration(value) / 1000;
+}
+
+function toExitCodes(value, field) {
+  return toList(value).map(code => {
+    const parsed = Number(code);
+    if (!Number.isInteger(parsed) || parsed < 0 || parsed > 255) {
+      throw new Error(`Invalid ${field} exit code "${code}". Exit codes are integers from 0 to 255`);
+    }
+    return parsed;
+  });
+}
+
+/**
+ * Validates a partial retry policy, as given on a job (`retry`) or read from
+ * config, and returns it with durations in seconds and exit codes as numbers.
+ * Fields that are not set are left out so they fall back to the next level.
+ */
+function normalizeRetryPolicy(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('Retry policy must be an object');
+  }
+
+  const unknown = Object.keys(input).filter(key => !Object.prototype.hasOwnProperty.call(DEFAULT_POLICY, key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown retry option(s): ${unknown.join(', ')}`);
+  }
+
+  const policy = {};
+  const isSet = key => input[key] !== undefined && input[key] !== null && input[key] !== '';
+
+  if (isSet('strategy')) {
+    if (!STRATEGIES.includes(input.strategy)) {
+      throw new Error(`Invalid retry strategy "${input.strategy}". Use ${STRATEGIES.join(', ')}`);
+    }
+    policy.strategy = input.strategy;
+  }
+
+  if (isSet('jitter')) {
+    if (!JITTER_MODES.includes(input.jitter)) {
+      throw new Error(`Invalid retry jitter "${input.jitter}". Use ${JITTER_MODES.join(', ')}`);
+    }
+    policy.jitter = input.jitter;
+  }
+
+  if (isSet('base')) {
+    const base = Number(input.base);
+    if (!Number.isFinite(base) || base < 1) {
+      throw new Error(`Invalid backoff base "${input.base}". The base must be a number of at least 1`);
+    }
+    policy.base = base;
+  }
+
+  if (isSet('delay')) {
+    policy.delay = toSeconds(input.delay);
+  }
+
+  if (isSet('delays')) {
+    policy.delays = toList(input.delays).map(toSeconds);
+  }
+
+  if (isSet('max_delay')) {
+    policy.max_delay = toSeconds(input.max_delay);
+  }
+
+  if (isSet('retry_on')) {
+    policy.retry_on = toExitCodes(input.retry_on, 'retry_on');
+  }
+
+  if (isSet('no_retry_on')) {
+    policy.no_retry_on = toExitCodes(input.no_retry_on, 'no_retry_on');
+  }
+
+  if (policy.delays && policy.delays.length === 0) {
+    throw new Error('Retry "delays" must list at least one delay');
+  }
+
+  return policy;
+}
+
+// Builds the global policy from effective config values, ignoring keys that are not set
+function retryPolicyFromConfig(values) {
+  const input = {};
+  Object.entries(RETRY_CONFIG_FIELDS).forEach(([key, field]) => {
+    if (values[key] !== undefined && values[key] !== null) {
+      input[field] = values[key];
+    }
+  });
+  return normalizeRetryPolicy(input);
+}
+
+// Job settings override the global ones field by field
+function resolveRetryPolicy(globalPolicy = {}, jobPolicy = {}) {
+  return { ...DEFAULT_POLICY, ...globalPolicy, ...(jobPolicy || {}) };
+}
+
+// Failures without an exit code (timeouts, signals, spawn errors) are always retryable
+function isRetryableExit(policy, exitCode) {
+  if (exitCode === null || exitCode === undefined) {
+    return true;
+  }
+  if (policy.no_retry_on.includes(exitCode)) {
+    return false;
+  }
+  return policy.retry_on.length === 0 || policy.retry_on.includes(exitCode);
+}
+
+// Seconds to wait before retry number `attempt` (1 for the first retry)
+function computeRetryDelay(policy, attempt, random = Math.random) {
+  let delay;
+
+  switch (policy.strategy) {
+    case 'linear':
+      delay = policy.delay * attempt;
+      break;
+    case 'fixed':
+      delay = policy.delay;
+      break;
+    case 'list':
+      delay = policy.delays.length > 0
+        ? policy.delays[Math.min(attempt, policy.delays.length) - 1]
+        : policy.delay;
+      break;
+    default:
+      delay = Math.pow(policy.base, attempt);
+  }
+
+  if (policy.max_delay !== null && delay > policy.max_delay) {
+    delay = policy.max_delay;
+  }
+
+  if (policy.jitter === 'full') {
+    delay = random() * delay;
+  } else if (policy.jitter === 'equal') {
+    delay = delay / 2 + random() * (delay / 2);
+  }
+
+  return delay;
+}
+
+module.exports = {
+  RETRY_CONFIG_FIELDS,
+  normalizeRetryPolicy,
+  retryPolicyFromConfig,
+  resolveRetryPolicy,
+  isRetryableExit,
+  computeRetryDelay
+};
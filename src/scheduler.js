@@ -0,0 +1,158 @@
+const cronParser = require('cron-parser');
+const JobQueue = require('./jobQueue');
+const { getStorage } = require('./db');
+
+const SCHEDULE_NAME_PATTERN = /^[A-Za-z0-9_.-]+$/;
+
+function nextOccurrence(cron, timezone, after = new Date()) {
+  const options = { currentDate: after };
+  if (timezone) {
+    options.tz = timezone;
+  }
+  return cronParser.parseExpression(cron, options).next().toDate();
+}
+
+class Scheduler {
+  constructor(storage = getStorage()) {
+    this.storage = storage;
+    this.jobQueue = new JobQueue(storage);
+  }
+
+  async addSchedule(name, cron, jobTemplate, { timezone = null } = {}) {
+    if (!SCHEDULE_NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid schedule name "${name}". Use letters, digits, "_", "." or "-"`);
+    }
+
+    let nextRunAt;
+    try {
+      nextRunAt = nextOccurrence(cron, timezone);
+    } catch (error) {
+      throw new Error(`Invalid cron expression "${cron}": ${error.message}`);
+    }
+
+    const { id, ...job } = jobTemplate || {};
+
+    // Checked the way enqueue checks it, so a bad template fails now instead of on every occurrence
+    try {
+      await this.jobQueue.buildJob({ ...job, id: `${name}@${nextRunAt.toISOString()}` });
+    } catch (error) {
+      throw new Error(`Invalid schedule job: ${error.message}`);
+    }
+
+    const now = new Date().toISOString();
+
+    const { data, error } = await this.storage.insert('schedules', {
+      id: name,
+      cron,
+      timezone,
+      job,
+      enabled: true,
+      next_run_at: nextRunAt.toISOString(),
+      last_run_at: null,
+      last_job_id: null,
+      last_error: null,
+      created_at: now,
+      updated_at: now
+    });
+
+    if (error) {
+      throw new Error(`Failed to add schedule: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  async listSchedules() {
+    const { data, error } = await this.storage.select('schedules', { order: [['id', 'asc']] });
+
+    if (error) {
+      throw new Error(`Failed to list schedules: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  async removeSchedule(name) {
+    const { data, error } = await this.storage.delete('schedules', { id: name });
+
+    if (error) {
+      throw new Error(`Failed to remove schedule: ${error.message}`);
+    }
+
+    if (data.length === 0) {
+      throw new Error(`Schedule ${name} not found`);
+    }
+
+    return data[0];
+  }
+
+  // Enqueues one job for every schedule that is due. Safe to call from many workers:
+  // an occurrence only fires for the caller that advances next_run_at first, and the
+  // job id is derived from the occurrence so a repeated enqueue is deduplicated anyway.
+  // A schedule that fails to fire gets last_error set and does not stop the others.
+  // Returns { fired, failed }: the jobs enqueued and { schedule, error } per failure.
+  async fireDueSchedules() {
+    const now = new Date();
+
+    const { data: dueSchedules, error } = await this.storage.select('schedules', {
+      where: { enabled: true, next_run_at: { lte: now.toISOString() } }
+    });
+
+    if (error) {
+      throw new Error(`Failed to find due schedules: ${error.message}`);
+    }
+
+    const fired = [];
+    const failed = [];
+
+    for (const schedule of dueSchedules) {
+      try {
+        const job = await this.fireSchedule(schedule, now);
+        if (job) {
+          fired.push(job);
+        }
+      } catch (fireError) {
+        failed.push({ schedule: schedule.id, error: fireError.message });
+        await this.storage.update('schedules', { id: schedule.id }, {
+          last_job_id: null,
+          last_error: fireError.message,
+          updated_at: new Date().toISOString()
+        });
+      }
+    }
+
+    return { fired, failed };
+  }
+
+  // Returns the enqueued job, or null when another worker fired the occurrence
+  // or the job already exists
+  async fireSchedule(schedule, now) {
+    const occurrence = new Date(schedule.next_run_at).toISOString();
+    const jobId = `${schedule.id}@${occurrence}`;
+
+    const { data: claimed, error: claimError } = await this.storage.update(
+      'schedules',
+      { id: schedule.id, next_run_at: schedule.next_run_at },
+      {
+        next_run_at: nextOccurrence(schedule.cron, schedule.timezone, now).toISOString(),
+        last_run_at: occurrence,
+        last_job_id: jobId,
+        last_error: null,
+        updated_at: now.toISOString()
+      }
+    );
+
+    if (claimError) {
+      throw new Error(`Failed to advance schedule ${schedule.id}: ${claimError.message}`);
+    }
+
+    if (claimed.length === 0) {
+      return null;
+    }
+
+    const { job, deduplicated } = await this.jobQueue.enqueue({ ...schedule.job, id: jobId });
+    return deduplicated ? null : job;
+  }
+}
+
+module.exports = { Scheduler };
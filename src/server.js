@@ -0,0 +1,473 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const crypto = require('crypto');
+const { getStorage } = require('./db');
+const JobQueue = require('./jobQueue');
+const { Config, CONFIG_KEYS, validateConfigValue } = require('./config');
+const { WorkerManager } = require('./workerManager');
+const { JobLogs } = require('./jobLogs');
+const { JobAttempts } = require('./jobAttempts');
+const { MetricsServer } = require('./metricsServer');
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const DASHBOARD_PATH = path.join(__dirname, '..', 'public', 'dashboard.html');
+const KEEPALIVE_MS = 15000;
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function sendJson(res, status, body) {
+  const payload = JSON.stringify(body);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(payload)
+  });
+  res.end(payload);
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size <= MAX_BODY_BYTES) {
+        chunks.push(chunk);
+      }
+    });
+
+    req.on('end', () => {
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, 'Request body too large'));
+        return;
+      }
+
+      const text = Buffer.concat(chunks).toString('utf8');
+      if (text.trim() === '') {
+        resolve({});
+        return;
+      }
+
+      try {
+        resolve(JSON.parse(text));
+      } catch (error) {
+        reject(new HttpError(400, `Invalid JSON body: ${error.message}`));
+      }
+    });
+
+    req.on('error', reject);
+  });
+}
+
+// Reads a non-negative integer query parameter such as limit or offset
+function parsePageParam(query, name, fallback, min) {
+  const value = query.get(name);
+  if (value === null || value === '') {
+    return fallback;
+  }
+  if (!/^\d+$/.test(value) || Number(value) < min) {
+    throw new HttpError(400, `Invalid ${name} "${value}"`);
+  }
+  return Number(value);
+}
+
+function tokensMatch(expected, actual) {
+  const a = Buffer.from(expected);
+  const b = Buffer.from(actual);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Polls the store while clients are connected and pushes each part of the
+ * snapshot as a server-sent event whenever it changes. New clients get the
+ * latest value of every part right away.
+ */
+class EventStream {
+  constructor(loadSnapshot, interval = 1000) {
+    this.loadSnapshot = loadSnapshot;
+    this.interval = interval;
+    this.clients = new Set();
+    this.last = {};
+    this.timer = null;
+    this.polling = false;
+    this.lastWrite = Date.now();
+  }
+
+  add(res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.write('retry: 2000\n\n');
+
+    Object.entries(this.last).forEach(([event, data]) => res.write(`event: ${event}\ndata: ${data}\n\n`));
+    this.clients.add(res);
+
+    res.on('close', () => {
+      this.clients.delete(res);
+      if (this.clients.size === 0) {
+        this.stop();
+      }
+    });
+
+    if (!this.timer) {
+      this.timer = setInterval(() => this.poll(), this.interval);
+      this.poll();
+    }
+  }
+
+  async poll() {
+    if (this.polling) {
+      return;
+    }
+    this.polling = true;
+
+    try {
+      const snapshot = await this.loadSnapshot();
+
+      Object.entries(snapshot).forEach(([event, value]) => {
+        const data = JSON.stringify(value);
+        if (this.last[event] !== data) {
+          this.last[event] = data;
+          this.broadcast(`event: ${event}\ndata: ${data}\n\n`);
+        }
+      });
+
+      if (Date.now() - this.lastWrite > KEEPALIVE_MS) {
+        this.broadcast(': keepalive\n\n');
+      }
+    } catch (error) {
+      console.error(`[api] Failed to refresh live updates: ${error.message}`);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  broadcast(message) {
+    this.lastWrite = Date.now();
+    this.clients.forEach(res => res.write(message));
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.last = {};
+  }
+
+  close() {
+    this.clients.forEach(res => res.end());
+    this.clients.clear();
+    this.stop();
+  }
+}
+
+/**
+ * Exposes the queue over a small JSON REST API and serves the dashboard.
+ * Every API request must carry `Authorization: Bearer <token>`; the dashboard
+ * page itself holds no credentials and asks the user for the token.
+ */
+class ApiServer {
+  constructor({ storage = getStorage(), token }) {
+    if (!token) {
+      throw new Error('An API token is required');
+    }
+
+    this.token = token;
+    this.storage = storage;
+    this.jobQueue = new JobQueue(storage);
+    this.config = new Config(storage);
+    this.workerManager = new WorkerManager(storage);
+    this.jobLogs = new JobLogs(storage);
+    this.jobAttempts = new JobAttempts(storage);
+    this.events = new EventStream(() => this.snapshot());
+    this.metrics = new MetricsServer(storage);
+    this.server = http.createServer((req, res) => this.handle(req, res));
+
+    this.routes = [
+      ['POST', /^\/jobs$/, (req) => this.createJob(req)],
+      ['GET', /^\/jobs$/, (req, params, query) => this.listJobs(query)],
+      ['GET', /^\/jobs\/([^/]+)$/, (req, [jobId]) => this.getJob(jobId)],
+      ['POST', /^\/jobs\/([^/]+)\/retry$/, (req, [jobId]) => this.retryJob(jobId)],
+      ['GET', /^\/jobs\/([^/]+)\/attempts$/, (req, [jobId]) => this.listAttempts(jobId)],
+      ['GET', /^\/jobs\/([^/]+)\/logs$/, (req, [jobId], query) => this.getLogs(jobId, query)],
+      ['GET', /^\/dlq$/, (req, params, query) => this.listDLQ(query)],
+      ['DELETE', /^\/dlq\/([^/]+)$/, (req, [jobId]) => this.deleteDLQJob(jobId)],
+      ['GET', /^\/config$/, () => this.getConfig()],
+      ['PUT', /^\/config$/, (req) => this.updateConfig(req)],
+      ['GET', /^\/workers$/, () => this.listWorkers()],
+      ['GET', /^\/status$/, (req, params, query) => this.getStatus(query)],
+      ['GET', /^\/events$/, (req, params, query, res) => this.events.add(res)],
+      ['GET', /^\/metrics$/, (req, params, query, res) => this.sendMetrics(res)]
+    ];
+  }
+
+  listen(port, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.off('error', reject);
+        resolve(this.server.address());
+      });
+    });
+  }
+
+  close() {
+    this.events.close();
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  async handle(req, res) {
+    try {
+      const url = new URL(req.url, 'http://localhost');
+
+      if (req.method === 'GET' && (url.pathname === '/' || url.pathname === '/dashboard')) {
+        this.serveDashboard(res);
+        return;
+      }
+
+      const header = req.headers.authorization || '';
+      const match = header.match(/^Bearer\s+(.+)$/i);
+      if (!match || !tokensMatch(this.token, match[1].trim())) {
+        res.setHeader('WWW-Authenticate', 'Bearer');
+        throw new HttpError(401, 'Missing or invalid bearer token');
+      }
+
+      const pathRoutes = this.routes.filter(([, pattern]) => pattern.test(url.pathname));
+      if (pathRoutes.length === 0) {
+        throw new HttpError(404, `No route for ${url.pathname}`);
+      }
+
+      const route = pathRoutes.find(([method]) => method === req.method);
+      if (!route) {
+        res.setHeader('Allow', pathRoutes.map(([method]) => method).join(', '));
+        throw new HttpError(405, `Method ${req.method} not allowed on ${url.pathname}`);
+      }
+
+      const [, pattern, handler] = route;
+      let params;
+      try {
+        params = url.pathname.match(pattern).slice(1).map(decodeURIComponent);
+      } catch (error) {
+        if (error instanceof URIError) {
+          throw new HttpError(400, `Malformed path ${url.pathname}`);
+        }
+        throw error;
+      }
+      const response = await handler(req, params, url.searchParams, res);
+
+      // Streaming handlers write the response themselves
+      if (response) {
+        sendJson(res, response.status || 200, response.body);
+      }
+    } catch (error) {
+      const status = error.status || 500;
+      if (status === 500) {
+        console.error(`[api] ${req.method} ${req.url} failed: ${error.message}`);
+      }
+      sendJson(res, status, { error: error.message });
+    }
+  }
+
+  serveDashboard(res) {
+    const html = fs.readFileSync(DASHBOARD_PATH);
+    res.writeHead(200, {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Content-Length': html.length,
+      'Content-Security-Policy': "default-src 'self'; script-src 'unsafe-inline'; style-src 'unsafe-inline'"
+    });
+    res.end(html);
+  }
+
+  async sendMetrics(res) {
+    const body = await this.metrics.render();
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+    res.end(body);
+  }
+
+  async createJob(req) {
+    const jobData = await readJsonBody(req);
+
+    let built;
+    try {
+      built = await this.jobQueue.buildJob(jobData);
+    } catch (error) {
+      throw new HttpError(400, error.message);
+    }
+
+    const { job, deduplicated } = await this.jobQueue.insertJob(built.job, built.uniqueForMs);
+    return { status: deduplicated ? 200 : 201, body: { job, deduplicated } };
+  }
+
+  async listJobs(query) {
+    const state = query.get('state');
+    if (state && !JobQueue.STATES.includes(state)) {
+      throw new HttpError(400, `Invalid state "${state}". Valid states: ${JobQueue.STATES.join(', ')}`);
+    }
+
+    const limit = parsePageParam(query, 'limit', DEFAULT_PAGE_SIZE, 1);
+    const offset = parsePageParam(query, 'offset', 0, 0);
+    if (limit > MAX_PAGE_SIZE) {
+      throw new HttpError(400, `Invalid limit "${limit}". At most ${MAX_PAGE_SIZE} jobs per page`);
+    }
+
+    const { jobs, total } = await this.jobQueue.findJobs({ state, queue: query.get('queue'), limit, offset });
+    return { body: { jobs, total, limit, offset } };
+  }
+
+  async getJob(jobId) {
+    const job = await this.jobQueue.getJob(jobId);
+    if (!job) {
+      throw new HttpError(404, `Job ${jobId} not found`);
+    }
+
+    return { body: { job } };
+  }
+
+  async retryJob(jobId) {
+    const job = await this.jobQueue.getJob(jobId);
+    if (!job) {
+      throw new HttpError(404, `Job ${jobId} not found`);
+    }
+    if (job.state !== 'dead') {
+      throw new HttpError(409, `Job ${jobId} is not in DLQ (current state: ${job.state})`);
+    }
+
+    try {
+      return { body: { job: await this.jobQueue.retryDLQJob(jobId) } };
+    } catch (error) {
+      if (error.dependencyFailed) {
+        throw new HttpError(409, error.message);
+      }
+      throw error;
+    }
+  }
+
+  async listAttempts(jobId) {
+    await this.getJob(jobId);
+    return { body: { attempts: await this.jobAttempts.listAttempts(jobId) } };
+  }
+
+  // Defaults to the latest attempt, like `queuectl logs`
+  async getLogs(jobId, query) {
+    await this.getJob(jobId);
+
+    const requested = query.get('attempt');
+    const attempt = requested ? parseInt(requested) : await this.jobLogs.getLatestAttempt(jobId);
+    if (requested && (!Number.isInteger(attempt) || attempt < 1)) {
+      throw new HttpError(400, `Invalid attempt "${requested}"`);
+    }
+
+    const logs = attempt === null ? [] : await this.jobLogs.getLogs(jobId, { attempt });
+    return { body: { attempt, logs } };
+  }
+
+  async deleteDLQJob(jobId) {
+    const job = await this.jobQueue.getJob(jobId);
+    if (!job) {
+      throw new HttpError(404, `Job ${jobId} not found`);
+    }
+    if (job.state !== 'dead') {
+      throw new HttpError(409, `Job ${jobId} is not in DLQ (current state: ${job.state})`);
+    }
+
+    return { body: { job: await this.jobQueue.deleteDLQJob(jobId) } };
+  }
+
+  async listDLQ(query) {
+    const jobs = await this.jobQueue.listDLQ(query.get('queue'));
+    return { body: { jobs } };
+  }
+
+  // Effective values by key, plus each key's source, type, default and description
+  async getConfig() {
+    const settings = await this.config.resolve({ refresh: true });
+    const config = {};
+    settings.forEach(entry => {
+      config[entry.key] = entry.value;
+    });
+
+    return { body: { config, settings } };
+  }
+
+  // Takes an object of key/value pairs; keys may use "-" or "_"
+  async updateConfig(req) {
+    const changes = await readJsonBody(req);
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+      throw new HttpError(400, 'Body must be an object of configuration keys and values');
+    }
+
+    const normalized = Object.entries(changes).map(([key, value]) => [key.replace(/-/g, '_'), value]);
+    const invalid = normalized.filter(([key]) => !CONFIG_KEYS.includes(key)).map(([key]) => key);
+    if (invalid.length > 0) {
+      throw new HttpError(400, `Invalid config key(s): ${invalid.join(', ')}. Valid keys: ${CONFIG_KEYS.join(', ')}`);
+    }
+
+    const nonScalar = normalized.filter(([, value]) => !['string', 'number'].includes(typeof value)).map(([key]) => key);
+    if (nonScalar.length > 0) {
+      throw new HttpError(400, `Config values must be strings or numbers: ${nonScalar.join(', ')}`);
+    }
+
+    for (const [key, value] of normalized) {
+      try {
+        validateConfigValue(key, value);
+      } catch (error) {
+        throw new HttpError(400, error.message);
+      }
+    }
+
+    for (const [key, value] of normalized) {
+      await this.config.set(key, value);
+    }
+
+    return this.getConfig();
+  }
+
+  async listWorkers() {
+    const workers = await this.workerManager.getActiveWorkers();
+    return { body: { workers } };
+  }
+
+  async getStatus(query) {
+    const queue = query.get('queue');
+    const jobs = await this.jobQueue.getJobStats(queue);
+    const queues = queue ? undefined : await this.jobQueue.getQueueStats();
+    const workers = await this.workerManager.getActiveWorkers();
+    const paused = await this.jobQueue.queuePauses.listPauses();
+
+    return { body: { jobs, queues, workers: workers.length, paused } };
+  }
+
+  // Parts pushed to dashboard clients; `jobs` only signals that the job list changed
+  async snapshot() {
+    const jobs = await this.jobQueue.getJobStats();
+    const queues = await this.jobQueue.getQueueStats();
+    const workers = await this.workerManager.getActiveWorkers();
+
+    const { data: latest, error } = await this.storage.select('jobs', {
+      columns: 'updated_at',
+      order: [['updated_at', 'desc']],
+      limit: 1
+    });
+
+    if (error) {
+      throw new Error(`Failed to read job changes: ${error.message}`);
+    }
+
+    return {
+      status: { jobs, queues, workers: workers.length },
+      workers,
+      jobs: { total: jobs.total, updated_at: latest.length > 0 ? latest[0].updated_at : null }
+    };
+  }
+}
+
+module.exports = { ApiServer, HttpError };
@@ -0,0 +1,24 @@
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 * 1024, gb: 1024 * 1024 * 1024 };
+
+// Parses "512KB", "10MB", "1GB" or a bare number of bytes
+function parseSize(value) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i);
+
+  if (!match) {
+    throw new Error(`Invalid size "${value}". Use a number followed by B, KB, MB or GB (e.g. 10MB)`);
+  }
+
+  return Math.round(parseFloat(match[1]) * SIZE_UNITS[(match[2] || 'b').toLowerCase()]);
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) {
+    return `${bytes}B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)}KB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1)}MB`;
+}
+
+module.exports = { parseSize, formatBytes };
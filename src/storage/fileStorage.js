@@ -0,0 +1,438 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const PRIMARY_KEYS = {
+  config: 'key',
+  idempotency_keys: 'key',
+  queue_pauses: 'queue'
+};
+
+const LOCK_TIMEOUT_MS = 10000;
+const STALE_LOCK_MS = 30000;
+
+function primaryKey(table) {
+  return PRIMARY_KEYS[table] || 'id';
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function isMissing(value) {
+  return value === null || value === undefined;
+}
+
+function compare(a, b) {
+  if (isMissing(a) && isMissing(b)) return 0;
+  if (isMissing(a)) return 1;
+  if (isMissing(b)) return -1;
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+}
+
+function matchesOperator(operator, value, operand) {
+  switch (operator) {
+    case 'eq': return value === operand;
+    case 'neq': return !isMissing(value) && value !== operand;
+    case 'lt': return !isMissing(value) && value < operand;
+    case 'lte': return !isMissing(value) && value <= operand;
+    case 'gt': return !isMissing(value) && value > operand;
+    case 'gte': return !isMissing(value) && value >= operand;
+    case 'in': return operand.includes(value);
+    case 'is': return operand === null ? isMissing(value) : value === operand;
+    case 'not': return operand === null ? !isMissing(value) : value !== operand;
+    case 'contains': return Array.isArray(value) && operand.every(item => value.includes(item));
+    case 'match': return !isMissing(value) && new RegExp(operand).test(value);
+    default:
+      throw new Error(`Unsupported filter operator "${operator}"`);
+  }
+}
+
+function matchesWhere(row, where = {}) {
+  return Object.entries(where).every(([column, condition]) => {
+    const value = row[column];
+
+    if (condition === null) {
+      return isMissing(value);
+    }
+    if (Array.isArray(condition)) {
+      return condition.includes(value);
+    }
+    if (typeof condition === 'object') {
+      return Object.entries(condition).every(([operator, operand]) =>
+        matchesOperator(operator, value, operand)
+      );
+    }
+    return value === condition;
+  });
+}
+
+function sortRows(rows, order = []) {
+  if (order.length === 0) {
+    return rows;
+  }
+
+  return rows.sort((a, b) => {
+    for (const [column, direction = 'asc'] of order) {
+      const result = compare(a[column], b[column]);
+      if (result !== 0) {
+        return direction === 'asc' ? result : -result;
+      }
+    }
+    return 0;
+  });
+}
+
+// Mirrors the claim_job() SQL function: highest priority first, then due pending
+// jobs, retry-due failures and finally jobs whose lock has gone stale.
+function claimKey(job, nowIso, staleBeforeIso) {
+  const priority = -(job.priority || 0);
+
+  if (!isMissing(job.cancel_requested_at)) {
+    return null;
+  }
+
+  if (job.state === 'pending' && isMissing(job.locked_by) && (isMissing(job.run_at) || job.run_at <= nowIso)) {
+    return [priority, 0, job.run_at || job.created_at];
+  }
+  if (job.state === 'failed' && isMissing(job.locked_by) && !isMissing(job.next_retry_at) && job.next_retry_at <= nowIso) {
+    return [priority, 1, job.next_retry_at];
+  }
+  if (job.state === 'processing' && !isMissing(job.locked_at) && job.locked_at < staleBeforeIso) {
+    return [priority, 2, job.locked_at];
+  }
+  return null;
+}
+
+function compareKeys(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    const result = compare(a[i], b[i]);
+    if (result !== 0) {
+      return result;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Embedded storage driver that keeps one JSON file per table in a data directory.
+ * Writes happen under an exclusive lock file so several worker processes on the
+ * same host can share a queue safely. The lock file holds a token unique to
+ * each acquisition, so a lock is only ever removed by the holder or by the one
+ * process that found that very lock stale.
+ */
+class FileStorage {
+  constructor({ dir }) {
+    this.name = 'file';
+    this.dir = dir;
+    this.lockPath = path.join(dir, '.lock');
+    this.lockToken = null;
+    this.cache = new Map();
+
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  tablePath(table) {
+    return path.join(this.dir, `${table}.json`);
+  }
+
+  readTable(table) {
+    const filePath = this.tablePath(table);
+    let stat;
+
+    try {
+      stat = fs.statSync(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { seq: 0, rows: [] };
+      }
+      throw error;
+    }
+
+    const cached = this.cache.get(table);
+    if (cached && cached.ino === stat.ino && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) {
+      return cached.data;
+    }
+
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    this.cache.set(table, { ino: stat.ino, mtimeMs: stat.mtimeMs, size: stat.size, data });
+    return data;
+  }
+
+  writeTable(table, contents) {
+    const filePath = this.tablePath(table);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+
+    fs.writeFileSync(tempPath, contents);
+    fs.renameSync(tempPath, filePath);
+    this.cache.delete(table);
+  }
+
+  // Returns the token of the current lock when its holder is gone or has held it
+  // for too long, otherwise null. Token and age are read from the same file.
+  staleLockToken() {
+    let token;
+    let ageMs;
+    try {
+      const fd = fs.openSync(this.lockPath, 'r');
+      try {
+        token = fs.readFileSync(fd, 'utf8');
+        ageMs = Date.now() - fs.fstatSync(fd).mtimeMs;
+      } finally {
+        fs.closeSync(fd);
+      }
+    } catch (error) {
+      return null;
+    }
+
+    if (ageMs > STALE_LOCK_MS) {
+      return token;
+    }
+
+    const pid = parseInt(token);
+    if (!pid) {
+      return null;
+    }
+    try {
+      process.kill(pid, 0);
+      return null;
+    } catch (error) {
+      return error.code === 'ESRCH' ? token : null;
+    }
+  }
+
+  // Renames the lock aside, which only one process can do for a given lock file,
+  // and removes it if it still holds `token`. A lock that was taken over in the
+  // meantime is put back.
+  removeLock(token) {
+    const aside = `${this.lockPath}.${uuidv4()}`;
+    try {
+      fs.renameSync(this.lockPath, aside);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return;
+      }
+      throw error;
+    }
+
+    if (fs.readFileSync(aside, 'utf8') !== token) {
+      try {
+        fs.linkSync(aside, this.lockPath);
+      } catch (error) {
+        // A newer lock exists already
+      }
+    }
+    fs.rmSync(aside, { force: true });
+  }
+
+  async acquireLock() {
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    const token = `${process.pid}:${uuidv4()}`;
+
+    while (true) {
+      try {
+        const fd = fs.openSync(this.lockPath, 'wx');
+        fs.writeSync(fd, token);
+        fs.closeSync(fd);
+        this.lockToken = token;
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+
+      const staleToken = this.staleLockToken();
+      if (staleToken !== null) {
+        this.removeLock(staleToken);
+        continue;
+      }
+
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for storage lock ${this.lockPath}`);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+  }
+
+  releaseLock() {
+    this.removeLock(this.lockToken);
+    this.lockToken = null;
+  }
+
+  // Runs `mutate` against the latest table contents while holding the lock.
+  // `mutate` must be synchronous so no other caller can interleave with it.
+  async transaction(table, mutate) {
+    try {
+      await this.acquireLock();
+    } catch (error) {
+      return { data: null, error };
+    }
+
+    try {
+      const before = JSON.stringify(this.readTable(table));
+      const tableData = JSON.parse(before);
+      const result = mutate(tableData);
+      const after = JSON.stringify(tableData);
+
+      if (after !== before) {
+        this.writeTable(table, after);
+      }
+      return { data: clone(result), error: null };
+    } catch (error) {
+      return { data: null, error };
+    } finally {
+      this.releaseLock();
+    }
+  }
+
+  async read(table, query) {
+    try {
+      return { data: clone(query(this.readTable(table).rows)), error: null };
+    } catch (error) {
+      return { data: null, error };
+    }
+  }
+
+  insertRows(table, tableData, rows, { upsert = false } = {}) {
+    const key = primaryKey(table);
+
+    return rows.map(input => {
+      const row = { ...input };
+      if (isMissing(row[key])) {
+        tableData.seq += 1;
+        row[key] = tableData.seq;
+      }
+
+      const index = tableData.rows.findIndex(existing => existing[key] === row[key]);
+      if (index === -1) {
+        tableData.rows.push(row);
+        return row;
+      }
+
+      if (!upsert) {
+        throw new Error(`duplicate key value violates unique constraint "${table}_pkey"`);
+      }
+
+      tableData.rows[index] = { ...tableData.rows[index], ...row };
+      return tableData.rows[index];
+    });
+  }
+
+  async insert(table, rows) {
+    return this.transaction(table, tableData => {
+      const inserted = this.insertRows(table, tableData, [].concat(rows));
+      return Array.isArray(rows) ? inserted : inserted[0];
+    });
+  }
+
+  async upsert(table, rows) {
+    return this.transaction(table, tableData => {
+      const saved = this.insertRows(table, tableData, [].concat(rows), { upsert: true });
+      return Array.isArray(rows) ? saved : saved[0];
+    });
+  }
+
+  async select(table, { where, order, limit, offset = 0 } = {}) {
+    return this.read(table, rows => {
+      const matched = sortRows(rows.filter(row => matchesWhere(row, where)), order);
+      return limit === undefined ? matched.slice(offset) : matched.slice(offset, offset + limit);
+    });
+  }
+
+  async selectOne(table, where) {
+    return this.read(table, rows => {
+      const matched = rows.filter(row => matchesWhere(row, where));
+      if (matched.length > 1) {
+        throw new Error('JSON object requested, multiple (or no) rows returned');
+      }
+      return matched[0] || null;
+    });
+  }
+
+  async update(table, where, changes) {
+    return this.transaction(table, tableData => {
+      const updated = [];
+      tableData.rows = tableData.rows.map(row => {
+        if (!matchesWhere(row, where)) {
+          return row;
+        }
+        const next = { ...row, ...changes };
+        updated.push(next);
+        return next;
+      });
+      return updated;
+    });
+  }
+
+  async delete(table, where) {
+    return this.transaction(table, tableData => {
+      const deleted = tableData.rows.filter(row => matchesWhere(row, where));
+      tableData.rows = tableData.rows.filter(row => !matchesWhere(row, where));
+      return deleted;
+    });
+  }
+
+  async claimJobs(workerId, { lockTimeoutMs, queues = null, excludeQueues = null, limit = 1 }) {
+    return this.transaction('jobs', tableData => {
+      const now = new Date();
+      const nowIso = now.toISOString();
+      const staleBeforeIso = new Date(now.getTime() - lockTimeoutMs).toISOString();
+
+      const candidates = [];
+      tableData.rows.forEach((job, index) => {
+        const jobQueue = job.queue || 'default';
+        if ((queues && !queues.includes(jobQueue)) || (excludeQueues && excludeQueues.includes(jobQueue))) {
+          return;
+        }
+
+        const key = claimKey(job, nowIso, staleBeforeIso);
+        if (key) {
+          candidates.push({ index, key });
+        }
+      });
+
+      return candidates
+        .sort((a, b) => compareKeys(a.key, b.key))
+        .slice(0, limit)
+        .map(({ index }) => {
+          tableData.rows[index] = {
+            ...tableData.rows[index],
+            locked_by: workerId,
+            locked_at: nowIso,
+            worker_id: workerId,
+            state: 'processing',
+            updated_at: nowIso
+          };
+          return tableData.rows[index];
+        });
+    });
+  }
+
+  async count(table, where) {
+    return this.read(table, rows => rows.filter(row => matchesWhere(row, where)).length);
+  }
+
+  async countJobsByState({ queue = null } = {}) {
+    return this.read('jobs', rows => {
+      const counts = new Map();
+      rows.forEach(job => {
+        const jobQueue = job.queue || 'default';
+        if (queue && jobQueue !== queue) {
+          return;
+        }
+
+        const key = `${jobQueue}\u0000${job.state}`;
+        const entry = counts.get(key) || { queue: jobQueue, state: job.state, count: 0 };
+        entry.count++;
+        counts.set(key, entry);
+      });
+      return [...counts.values()];
+    });
+  }
+}
+
+module.exports = FileStorage;
@@ -0,0 +1,134 @@
+const { createClient } = require('@supabase/supabase-js');
+
+const OPERATORS = ['eq', 'neq', 'lt', 'lte', 'gt', 'gte'];
+
+class SupabaseStorage {
+  constructor({ url, key }) {
+    if (!url || !key) {
+      throw new Error('❌ Supabase credentials not found in .env file');
+    }
+
+    this.name = 'supabase';
+    this.client = createClient(url, key);
+  }
+
+  applyWhere(query, where = {}) {
+    for (const [column, condition] of Object.entries(where)) {
+      if (condition === null) {
+        query = query.is(column, null);
+      } else if (Array.isArray(condition)) {
+        query = query.in(column, condition);
+      } else if (typeof condition === 'object') {
+        for (const [operator, value] of Object.entries(condition)) {
+          if (OPERATORS.includes(operator)) {
+            query = query[operator](column, value);
+          } else if (operator === 'in') {
+            query = query.in(column, value);
+          } else if (operator === 'is') {
+            query = query.is(column, value);
+          } else if (operator === 'not') {
+            query = query.not(column, 'is', value);
+          } else if (operator === 'contains') {
+            query = query.contains(column, value);
+          } else if (operator === 'match') {
+            query = query.filter(column, 'match', value);
+          } else {
+            throw new Error(`Unsupported filter operator "${operator}"`);
+          }
+        }
+      } else {
+        query = query.eq(column, condition);
+      }
+    }
+    return query;
+  }
+
+  applyOrder(query, order = []) {
+    for (const [column, direction = 'asc'] of order) {
+      query = query.order(column, { ascending: direction === 'asc' });
+    }
+    return query;
+  }
+
+  async run(buildQuery) {
+    try {
+      const { data, error } = await buildQuery();
+      return { data: error ? null : data, error };
+    } catch (error) {
+      return { data: null, error };
+    }
+  }
+
+  async insert(table, rows) {
+    return this.run(() => {
+      const query = this.client.from(table).insert(rows).select();
+      return Array.isArray(rows) ? query : query.single();
+    });
+  }
+
+  async upsert(table, rows) {
+    return this.run(() => {
+      const query = this.client.from(table).upsert(rows).select();
+      return Array.isArray(rows) ? query : query.single();
+    });
+  }
+
+  async select(table, { where, order, limit, offset, columns = '*' } = {}) {
+    return this.run(() => {
+      let query = this.applyWhere(this.client.from(table).select(columns), where);
+      query = this.applyOrder(query, order);
+
+      if (limit !== undefined && offset !== undefined) {
+        query = query.range(offset, offset + limit - 1);
+      } else if (limit !== undefined) {
+        query = query.limit(limit);
+      }
+      return query;
+    });
+  }
+
+  async selectOne(table, where) {
+    return this.run(() => this.applyWhere(this.client.from(table).select('*'), where).maybeSingle());
+  }
+
+  async update(table, where, changes) {
+    return this.run(() => this.applyWhere(this.client.from(table).update(changes), where).select());
+  }
+
+  async delete(table, where) {
+    return this.run(() => this.applyWhere(this.client.from(table).delete(), where).select());
+  }
+
+  async claimJobs(workerId, { lockTimeoutMs, queues = null, excludeQueues = null, limit = 1 }) {
+    return this.run(async () => {
+      const { data, error } = await this.client.rpc('claim_job', {
+        p_worker_id: workerId,
+        p_lock_timeout_seconds: Math.ceil(lockTimeoutMs / 1000),
+        p_queues: queues,
+        p_exclude_queues: excludeQueues,
+        p_limit: limit
+      });
+      return { data: data || [], error };
+    });
+  }
+
+  async count(table, where) {
+    return this.run(async () => {
+      const { count, error } = await this.applyWhere(
+        this.client.from(table).select('*', { count: 'exact', head: true }),
+        where
+      );
+      return { data: count, error };
+    });
+  }
+
+  // Grouped in the database so stats do not have to fetch every job
+  async countJobsByState({ queue = null } = {}) {
+    return this.run(async () => {
+      const { data, error } = await this.client.rpc('count_jobs_by_state', { p_queue: queue });
+      return { data: data && data.map(row => ({ ...row, count: Number(row.count) })), error };
+    });
+  }
+}
+
+module.exports = SupabaseStorage;
@@ -0,0 +1,32 @@
+const DURATION_UNITS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+// Parses "500ms", "30s", "10m", "2h", "7d", "1w" or a bare number of seconds into milliseconds
+function parseDuration(value) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d|w)?$/i);
+
+  if (!match) {
+    throw new Error(`Invalid duration "${value}". Use a number followed by ms, s, m, h, d or w (e.g. 10m)`);
+  }
+
+  return Math.round(parseFloat(match[1]) * DURATION_UNITS[(match[2] || 's').toLowerCase()]);
+}
+
+// Accepts an ISO timestamp, anything Date can parse, or a Date instance
+function parseTime(value) {
+  const date = value instanceof Date ? value : new Date(value);
+
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid time "${value}". Use an ISO 8601 timestamp (e.g. 2025-01-31T09:00:00Z)`);
+  }
+
+  return date;
+}
+
+module.exports = { parseDuration, parseTime };
@@ -1,65 +1,208 @@
-const { exec } = require('child_process');
-const util = require('util');
-const execPromise = util.promisify(exec);
 const JobQueue = require('./jobQueue');
-const { supabase } = require('./db');
+const JobProcess = require('./jobProcess');
+const { JobLogs } = require('./jobLogs');
+const { JobAttempts, OUTPUT_LIMIT } = require('./jobAttempts');
+const { Scheduler } = require('./scheduler');
+const { Hooks } = require('./hooks');
+const { Retention } = require('./retention');
+const { jobMetrics } = require('./metrics');
+const { Config } = require('./config');
+const { prepareExecution } = require('./jobExecution');
+const { OutputCapture, buildJobResult } = require('./jobResults');
+const { loadExecutionPolicy, checkExecutionPolicy, applyResourceLimits } = require('./executionPolicy');
+const { getStorage } = require('./db');
 const { v4: uuidv4 } = require('uuid');
+const os = require('os');
+const { version } = require('../package.json');
 
 class Worker {
-  constructor(workerId = null) {
+  constructor(workerId = null, storage = getStorage(), options = {}) {
     this.workerId = workerId || `worker-${uuidv4()}`;
-    this.jobQueue = new JobQueue();
+    this.storage = storage;
+    // Workers refresh their config on every heartbeat instead of on a timer
+    this.config = new Config(storage, { cacheTtlMs: Infinity });
+    this.jobQueue = new JobQueue(storage, { config: this.config });
+    this.scheduler = new Scheduler(storage);
+    this.jobLogs = new JobLogs(storage);
+    this.jobAttempts = new JobAttempts(storage);
+    this.retention = new Retention(storage, { config: this.config });
+    this.queues = options.queues && options.queues.length > 0 ? options.queues : null;
+    this.concurrency = options.concurrency || 1;
+    // Commands this worker accepts and the limits it runs them under, hooks included
+    this.policy = options.policy || loadExecutionPolicy();
+    this.hooks = options.hooks || new Hooks(storage, { policy: this.policy });
     this.isRunning = false;
-    this.currentJob = null;
+    this.paused = false;
+    // Job id -> { job, process, promise } for every busy slot
+    this.activeJobs = new Map();
+    this.loopDone = null;
+    this.wake = null;
     this.jobsProcessed = 0;
     this.pollInterval = 1000;
     this.heartbeatInterval = 5000;
     this.heartbeatTimer = null;
+    this.staleLockTimeout = 300000;
+    this.jobTimeout = 60;
+    this.scheduleInterval = 1000;
+    this.lastScheduleCheck = 0;
+    this.retentionInterval = 3600000;
+    this.lastRetentionRun = 0;
+    this.cancelCheckInterval = 1000;
+    this.controlCheckInterval = 1000;
+    this.controlTimer = null;
+    this.shutdownTimer = null;
+    this.killGracePeriod = 5000;
   }
 
   async start() {
     this.isRunning = true;
+    this.applyConfig(await this.config.values());
 
-    await supabase.from('workers').insert({
+    await this.storage.insert('workers', {
       id: this.workerId,
       status: 'active',
       started_at: new Date().toISOString(),
       last_heartbeat: new Date().toISOString(),
-      jobs_processed: 0
+      jobs_processed: 0,
+      queues: this.queues,
+      concurrency: this.concurrency,
+      active_jobs: 0,
+      host: os.hostname(),
+      pid: process.pid,
+      version
     });
 
-    console.log(`Worker ${this.workerId} started`);
+    const queueInfo = this.queues ? ` (queues: ${this.queues.join(', ')})` : '';
+    const slotInfo = this.concurrency > 1 ? ` with ${this.concurrency} slots` : '';
+    console.log(`Worker ${this.workerId} started${slotInfo}${queueInfo}`);
 
     this.startHeartbeat();
-    await this.processLoop();
+    this.startControlWatcher();
+    this.loopDone = this.processLoop();
+    await this.loopDone;
   }
 
+  applyConfig(values) {
+    this.pollInterval = values.poll_interval * 1000;
+    this.heartbeatInterval = values.heartbeat_interval * 1000;
+    this.staleLockTimeout = values.stale_lock_timeout * 1000;
+    this.jobTimeout = values.job_timeout;
+    this.retentionInterval = values.retention_interval * 1000;
+    this.resultSettings = {
+      inlineLimit: values.result_inline_limit,
+      maxArtifactSize: values.artifact_max_size,
+      artifactDir: values.artifact_dir
+    };
+  }
+
+  // Reloads the config and logs the keys whose values changed since the last load
+  async refreshConfig() {
+    const previous = this.config.cache || [];
+    const entries = await this.config.resolve({ refresh: true });
+
+    entries.forEach(entry => {
+      const before = previous.find(item => item.key === entry.key);
+      if (before && JSON.stringify(before.value) !== JSON.stringify(entry.value)) {
+        console.log(`[${this.workerId}] Config changed: ${entry.key} = ${JSON.stringify(entry.value)} (${entry.source})`);
+      }
+    });
+
+    this.applyConfig(await this.config.values());
+  }
+
+  // Each heartbeat also renews the locks of the running jobs, often enough that
+  // they never look stale to other workers, however long the jobs run
   startHeartbeat() {
-    this.heartbeatTimer = setInterval(async () => {
+    this.heartbeatTimer = setTimeout(async () => {
       try {
-        await supabase
-          .from('workers')
-          .update({
-            last_heartbeat: new Date().toISOString(),
-            jobs_processed: this.jobsProcessed
-          })
-          .eq('id', this.workerId);
+        await this.storage.update('workers', { id: this.workerId }, {
+          last_heartbeat: new Date().toISOString(),
+          jobs_processed: this.jobsProcessed,
+          active_jobs: this.activeJobs.size
+        });
+        await this.jobQueue.renewJobLocks(this.workerId, [...this.activeJobs.keys()]);
+        await this.refreshConfig();
       } catch (error) {
         console.error(`Heartbeat failed: ${error.message}`);
       }
-    }, this.heartbeatInterval);
+
+      if (this.heartbeatTimer) {
+        this.startHeartbeat();
+      }
+    }, Math.min(this.heartbeatInterval, this.staleLockTimeout / 2));
+  }
+
+  // Polls the worker's row for commands sent with `worker stop/pause/resume`
+  startControlWatcher() {
+    this.controlTimer = setInterval(async () => {
+      try {
+        await this.checkControl();
+      } catch (error) {
+        console.error(`Control check failed: ${error.message}`);
+      }
+    }, this.controlCheckInterval);
+  }
+
+  async checkControl() {
+    const { data: row, error } = await this.storage.selectOne('workers', { id: this.workerId });
+    if (error) {
+      throw new Error(error.message);
+    }
+    if (!row || !row.control_command || !this.isRunning) {
+      return;
+    }
+
+    // Clear the command before acting on it so it is handled once
+    const { data: taken } = await this.storage.update('workers', {
+      id: this.workerId,
+      control_command: row.control_command,
+      control_requested_at: row.control_requested_at
+    }, { control_command: null, control_requested_at: null });
+    if (!taken || taken.length === 0) {
+      return;
+    }
+
+    if (row.control_command === 'stop') {
+      this.stop({ deadline: row.stop_deadline }).catch(stopError => {
+        console.error(`[${this.workerId}] Stop failed: ${stopError.message}`);
+      });
+    } else if (row.control_command === 'pause' && !this.paused) {
+      this.paused = true;
+      await this.storage.update('workers', { id: this.workerId }, { status: 'paused' });
+      console.log(`[${this.workerId}] Paused; running jobs will finish, no new jobs will be claimed`);
+    } else if (row.control_command === 'resume' && this.paused) {
+      this.paused = false;
+      await this.storage.update('workers', { id: this.workerId }, { status: 'active' });
+      console.log(`[${this.workerId}] Resumed`);
+    }
   }
 
+  // Claims as many jobs as there are free slots, then waits for a slot to free up
+  // or, when nothing was due, for the poll interval
   async processLoop() {
     while (this.isRunning) {
       try {
-        const job = await this.jobQueue.acquireJobLock(this.workerId);
+        if (!this.paused) {
+          await this.fireSchedules();
+        }
+        await this.applyRetention();
+
+        const freeSlots = this.paused ? 0 : this.concurrency - this.activeJobs.size;
+        const jobs = freeSlots > 0
+          ? await this.jobQueue.acquireJobLocks(this.workerId, this.queues, freeSlots)
+          : [];
+        jobs.forEach(job => {
+          // Reclaimed from this worker itself; the slot running it keeps the job
+          if (this.activeJobs.has(job.id)) {
+            console.error(`[${this.workerId}] Job ${job.id} was reclaimed while still running here; skipping it`);
+            return;
+          }
+          this.runInSlot(job);
+        });
 
-        if (job) {
-          this.currentJob = job;
-          await this.executeJob(job);
-          this.currentJob = null;
-        } else {
+        if (this.activeJobs.size >= this.concurrency) {
+          await Promise.race([...this.activeJobs.values()].map(slot => slot.promise));
+        } else if (jobs.length === 0) {
           await this.sleep(this.pollInterval);
         }
       } catch (error) {
@@ -68,86 +211,303 @@ class Worker {
       }
     }
 
+    await this.drain();
     await this.cleanup();
   }
 
+  runInSlot(job) {
+    const slot = { job, process: null };
+    slot.promise = this.executeJob(job, slot)
+      .catch(error => console.error(`[${this.workerId}] Job ${job.id} crashed: ${error.message}`))
+      .finally(() => this.activeJobs.delete(job.id));
+    this.activeJobs.set(job.id, slot);
+  }
+
+  async drain() {
+    if (this.activeJobs.size > 0) {
+      console.log(`[${this.workerId}] Waiting for ${this.activeJobs.size} running job(s) to finish...`);
+      await Promise.all([...this.activeJobs.values()].map(slot => slot.promise));
+    }
+    if (this.hooks.pending.size > 0) {
+      console.log(`[${this.workerId}] Waiting for ${this.hooks.pending.size} hook delivery(s) to finish...`);
+      await this.hooks.idle();
+    }
+  }
+
+  // A failing hook never changes the outcome of the job
+  async notifyHooks(event, job) {
+    try {
+      await this.hooks.notify(event, job);
+    } catch (error) {
+      console.error(`[${this.workerId}] Hooks for job ${job.id} failed: ${error.message}`);
+    }
+  }
+
+  async fireSchedules() {
+    if (Date.now() - this.lastScheduleCheck < this.scheduleInterval) {
+      return;
+    }
+    this.lastScheduleCheck = Date.now();
+
+    const { fired, failed } = await this.scheduler.fireDueSchedules();
+    fired.forEach(job => {
+      console.log(`[${this.workerId}] Schedule fired: enqueued job ${job.id}`);
+    });
+    failed.forEach(({ schedule, error }) => {
+      console.error(`[${this.workerId}] Schedule ${schedule} failed to fire: ${error}`);
+    });
+  }
+
+  // Purges old rows according to the retention_* config keys every retention_interval
+  async applyRetention() {
+    if (Date.now() - this.lastRetentionRun < this.retentionInterval) {
+      return;
+    }
+    this.lastRetentionRun = Date.now();
+
+    try {
+      const results = await this.retention.applyRetention();
+      results.filter(result => result.count > 0).forEach(result => {
+        const archived = result.archive ? ` (archived to ${result.archive})` : '';
+        console.log(`[${this.workerId}] Retention: purged ${result.count} ${result.target}${archived}`);
+      });
+    } catch (error) {
+      console.error(`[${this.workerId}] Retention failed: ${error.message}`);
+    }
+  }
+
+  // Polls the job row while it runs and stops the process once a cancel is requested
+  watchForCancellation(jobId, slot) {
+    return setInterval(async () => {
+      try {
+        const job = await this.jobQueue.getJob(jobId);
+        if (job && job.cancel_requested_at && slot.process) {
+          console.log(`[${this.workerId}] Cancelling job ${jobId}...`);
+          slot.process.terminate('cancelled');
+        }
+      } catch (error) {
+        console.error(`Cancellation check failed: ${error.message}`);
+      }
+    }, this.cancelCheckInterval);
+  }
+
+  // A retry becomes due at next_retry_at; anything else at run_at or creation
+  recordWaitTime(job) {
+    const dueAt = job.attempts > 0 && job.next_retry_at ? job.next_retry_at : job.run_at || job.created_at;
+    const waitMs = new Date(job.locked_at).getTime() - new Date(dueAt).getTime();
+    jobMetrics.waitSeconds.observe({ queue: job.queue }, Math.max(0, waitMs) / 1000);
+  }
+
+  recordDuration(job, outcome, startedAt) {
+    jobMetrics.durationSeconds.observe({ queue: job.queue, outcome }, (Date.now() - startedAt) / 1000);
+  }
+
   // === Updated method with output logging ===
-  async executeJob(job) {
+  async executeJob(job, slot = { job, process: null }) {
     console.log(`[${this.workerId}] Processing job ${job.id}: ${job.command}`);
 
+    let attempt = null;
+    let result = null;
+    let resultFields = {};
+    let startedAt = null;
+    this.recordWaitTime(job);
+
     try {
-      // Fetch backoff base from config
-      const { data: configData } = await supabase
-        .from('config')
-        .select('value')
-        .eq('key', 'backoff_base')
-        .maybeSingle();
+      attempt = await this.jobAttempts.startAttempt(job, this.workerId);
 
-      const backoffBase = configData ? parseInt(configData.value) : 2;
+      const violation = checkExecutionPolicy(this.policy, job);
+      if (violation) {
+        const error = new Error(`Rejected by execution policy: ${violation}`);
+        error.rejected = true;
+        throw error;
+      }
 
       // Run the job command and capture output
-      const { stdout, stderr } = await execPromise(job.command, { timeout: 60000 });
-      const output = stdout || stderr || "No output";
-          console.log(`[${this.workerId}] Output:\n${output}`);
+      const timeoutSeconds = this.policy.max_runtime !== null
+        ? Math.min(job.timeout || this.jobTimeout, this.policy.max_runtime)
+        : job.timeout || this.jobTimeout;
+      const logWriter = this.jobLogs.createWriter(job.id, job.attempts + 1);
+      const output = new OutputCapture(job, job.attempts + 1, this.resultSettings);
+      const execution = applyResourceLimits(this.policy, prepareExecution(job, job.attempts + 1, {
+        uid: this.policy.uid,
+        gid: this.policy.gid
+      }));
+      slot.process = new JobProcess(execution.command, {
+        ...execution.options,
+        timeoutMs: timeoutSeconds * 1000,
+        killGraceMs: this.killGracePeriod,
+        maxOutputBytes: this.policy.max_output,
+        // Artifacts and logs take the full output; only the end stays in memory
+        keepOutputChars: OUTPUT_LIMIT,
+        onOutput: (stream, chunk) => {
+          logWriter.write(stream, chunk);
+          output.write(stream, chunk);
+        }
+      });
+
+      logWriter.start();
+      const cancelWatcher = this.watchForCancellation(job.id, slot);
+      startedAt = Date.now();
+      try {
+        result = await slot.process.run();
+      } finally {
+        // Also when spawning throws, e.g. on an invalid command or uid
+        clearInterval(cancelWatcher);
+        execution.cleanup();
+        slot.process = null;
+        output.close();
+        await logWriter.close();
+      }
+      resultFields = buildJobResult(result, startedAt, output);
 
+      if (result.terminationReason === 'cancelled') {
+        this.recordDuration(job, 'cancelled', startedAt);
+        await this.jobAttempts.finishAttempt(attempt, result, { outcome: 'cancelled' });
+        await this.jobQueue.markJobCancelled(job.id, resultFields, { workerId: this.workerId });
+        console.log(`[${this.workerId}] Job ${job.id} cancelled`);
+        return;
+      }
+
+      if (result.terminationReason === 'timeout') {
+        throw new Error(`Job timed out after ${timeoutSeconds}s`);
+      }
 
-      // Update job state with output stored in Supabase
-      await this.jobQueue.markJobCompleted(job.id);
-      await this.jobQueue.updateJobState(job.id, 'completed', { output });
+      if (result.terminationReason === 'output_limit') {
+        throw new Error(`Job output exceeded the limit of ${this.policy.max_output} bytes`);
+      }
+
+      if (result.terminationReason === 'shutdown') {
+        throw new Error('Job was stopped because its worker shut down');
+      }
+
+      if (result.error) {
+        throw result.error;
+      }
+
+      if (result.code !== 0) {
+        const error = new Error(result.signal
+          ? `Command terminated by ${result.signal}`
+          : `Command failed with exit code ${result.code}`);
+        error.stderr = result.stderr;
+        throw error;
+      }
+
+      console.log(`[${this.workerId}] Output:\n${result.stdout || result.stderr || 'No output'}`);
+
+      this.recordDuration(job, 'completed', startedAt);
+      await this.jobAttempts.finishAttempt(attempt, result, { outcome: 'completed' });
+      const completedJob = await this.jobQueue.markJobCompleted(job.id, resultFields, { workerId: this.workerId });
+      await this.notifyHooks('completed', completedJob);
 
       this.jobsProcessed++;
       console.log(`[${this.workerId}] Job ${job.id} completed successfully`);
     } catch (error) {
+      slot.process = null;
+
+      if (error.lockLost) {
+        console.error(`[${this.workerId}] Discarding the result of job ${job.id}: ${error.message}`);
+        return;
+      }
+
+      if (error.completedJob) {
+        console.error(`[${this.workerId}] ${error.message}`);
+        await this.notifyHooks('completed', error.completedJob);
+        this.jobsProcessed++;
+        return;
+      }
+
       const errMsg = error.stderr || error.message || "Unknown error";
 
-      // On failure, mark job as failed and backoff
-      const { data: configData } = await supabase
-        .from('config')
-        .select('value')
-        .eq('key', 'backoff_base')
-        .maybeSingle();
-      const backoffBase = configData ? parseInt(configData.value) : 2;
+      if (attempt) {
+        const timedOut = result && result.terminationReason === 'timeout';
+        if (startedAt !== null) {
+          this.recordDuration(job, timedOut ? 'timed_out' : 'failed', startedAt);
+        }
+        await this.jobAttempts.finishAttempt(attempt, result, {
+          outcome: timedOut ? 'timed_out' : 'failed',
+          error: error.message
+        });
+      }
 
-      await this.jobQueue.markJobFailed(job.id, errMsg, backoffBase);
+      // Only a normal exit carries an exit code for the retry rules
+      const exitCode = result && !result.terminationReason && !result.error && !result.signal ? result.code : null;
+      let failedJob;
+      try {
+        failedJob = await this.jobQueue.markJobFailed(job.id, errMsg, {
+          exitCode,
+          retryable: !error.rejected,
+          result: resultFields,
+          workerId: this.workerId
+        });
+      } catch (failError) {
+        if (!failError.lockLost) {
+          throw failError;
+        }
+        console.error(`[${this.workerId}] Discarding the failure of job ${job.id}: ${failError.message}`);
+        return;
+      }
       console.error(`[${this.workerId}] Job ${job.id} failed: ${errMsg}`);
+      if (failedJob.state === 'failed' || failedJob.state === 'dead') {
+        await this.notifyHooks(failedJob.state, failedJob);
+      }
     }
   }
 
-  async stop() {
+  // Stops claiming new jobs and resolves once every running job has finished.
+  // Jobs still running at the deadline are terminated and go back for a retry.
+  async stop({ deadline = null } = {}) {
     console.log(`[${this.workerId}] Stopping gracefully...`);
     this.isRunning = false;
+    if (this.wake) {
+      this.wake();
+    }
 
-    await supabase
-      .from('workers')
-      .update({ status: 'stopping' })
-      .eq('id', this.workerId);
+    if (deadline) {
+      this.shutdownTimer = setTimeout(() => {
+        this.activeJobs.forEach(slot => {
+          if (slot.process) {
+            console.log(`[${this.workerId}] Stop timeout reached, terminating job ${slot.job.id}`);
+            slot.process.terminate('shutdown');
+          }
+        });
+      }, Math.max(0, new Date(deadline).getTime() - Date.now()));
+    }
 
-    if (this.currentJob) {
-      console.log(`[${this.workerId}] Waiting for current job to finish...`);
-      while (this.currentJob) {
-        await this.sleep(100);
-      }
+    await this.storage.update('workers', { id: this.workerId }, { status: 'stopping' });
+
+    if (this.loopDone) {
+      await this.loopDone;
     }
   }
 
   async cleanup() {
     if (this.heartbeatTimer) {
-      clearInterval(this.heartbeatTimer);
+      clearTimeout(this.heartbeatTimer);
+      this.heartbeatTimer = null;
     }
+    clearInterval(this.controlTimer);
+    clearTimeout(this.shutdownTimer);
 
-    await supabase
-      .from('workers')
-      .update({
-        status: 'stopped',
-        jobs_processed: this.jobsProcessed
-      })
-      .eq('id', this.workerId);
+    await this.storage.update('workers', { id: this.workerId }, {
+      status: 'stopped',
+      jobs_processed: this.jobsProcessed,
+      active_jobs: 0
+    });
 
     console.log(`[${this.workerId}] Worker stopped. Processed ${this.jobsProcessed} jobs.`);
   }
 
+  // stop() ends the sleep early
   sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+    return new Promise(resolve => {
+      const timer = setTimeout(resolve, ms);
+      this.wake = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    }).finally(() => {
+      this.wake = null;
+    });
   }
 }
 
@@ -1,22 +1,28 @@
 const Worker = require('./worker');
 
-const { supabase } = require('./db');
+const { getStorage } = require('./db');
+
+const LIVE_STATUSES = ['active', 'paused', 'stopping'];
+const CONTROL_COMMANDS = ['stop', 'pause', 'resume'];
+const HEARTBEAT_WINDOW_MS = 5 * 60 * 1000;
 
 class WorkerManager {
-  constructor() {
+  constructor(storage = getStorage()) {
+    this.storage = storage;
     this.workers = [];
+    this.running = [];
   }
 
-  async startWorkers(count = 1) {
+  async startWorkers(count = 1, options = {}) {
     console.log(`Starting ${count} worker(s)...`);
 
     for (let i = 0; i < count; i++) {
-      const worker = new Worker();
+      const worker = new Worker(null, this.storage, options);
       this.workers.push(worker);
 
-      worker.start().catch(error => {
+      this.running.push(worker.start().catch(error => {
         console.error(`Worker ${worker.workerId} crashed: ${error.message}`);
-      });
+      }));
 
       await this.sleep(100);
     }
@@ -35,15 +41,19 @@ class WorkerManager {
     console.log('All workers stopped');
   }
 
-  async getActiveWorkers() {
-    const fiveMinutesAgo = new Date(Date.now() - 5 * 60 * 1000).toISOString();
+  // Resolves once every worker started by this manager has stopped, including remote stops
+  async waitUntilStopped() {
+    await Promise.all(this.running);
+  }
 
-    const { data, error } = await supabase
-      .from('workers')
-      .select('*')
-      .in('status', ['active', 'stopping'])
-      .gte('last_heartbeat', fiveMinutesAgo)
-      .order('started_at', { ascending: false });
+  async getActiveWorkers() {
+    const { data, error } = await this.storage.select('workers', {
+      where: {
+        status: LIVE_STATUSES,
+        last_heartbeat: { gte: new Date(Date.now() - HEARTBEAT_WINDOW_MS).toISOString() }
+      },
+      order: [['started_at', 'desc']]
+    });
 
     if (error) {
       throw new Error(`Failed to get active workers: ${error.message}`);
@@ -52,9 +62,98 @@ class WorkerManager {
     return data;
   }
 
+  // Active workers, or every worker row with all, each with the ids of the jobs it is running
+  async listWorkers({ all = false } = {}) {
+    let workers;
+    if (all) {
+      const { data, error } = await this.storage.select('workers', { order: [['started_at', 'desc']] });
+      if (error) {
+        throw new Error(`Failed to list workers: ${error.message}`);
+      }
+      workers = data;
+    } else {
+      workers = await this.getActiveWorkers();
+    }
+
+    const { data: jobs, error } = await this.storage.select('jobs', {
+      where: { state: 'processing', locked_by: workers.map(worker => worker.id) },
+      columns: 'id, locked_by'
+    });
+    if (error) {
+      throw new Error(`Failed to list worker jobs: ${error.message}`);
+    }
+
+    return workers.map(worker => ({
+      ...worker,
+      current_jobs: jobs.filter(job => job.locked_by === worker.id).map(job => job.id)
+    }));
+  }
+
+  // Picks the active workers a command applies to: the given ids, or all of them
+  async resolveTargets({ ids = null, all = false } = {}) {
+    if (!all && (!ids || ids.length === 0)) {
+      throw new Error('Specify worker ids with --id, or --all');
+    }
+
+    const active = await this.getActiveWorkers();
+    if (all) {
+      return active;
+    }
+
+    const missing = ids.filter(id => !active.some(worker => worker.id === id));
+    if (missing.length > 0) {
+      throw new Error(`No active worker with id: ${missing.join(', ')}`);
+    }
+    return active.filter(worker => ids.includes(worker.id));
+  }
+
+  // Workers pick up the command within a second; a stop deadline bounds how long they drain
+  async sendCommand(workerIds, command, { deadline = null } = {}) {
+    if (!CONTROL_COMMANDS.includes(command)) {
+      throw new Error(`Unknown worker command "${command}". Valid commands: ${CONTROL_COMMANDS.join(', ')}`);
+    }
+    if (workerIds.length === 0) {
+      return [];
+    }
+
+    const { data, error } = await this.storage.update('workers', { id: workerIds, status: ['active', 'paused'] }, {
+      control_command: command,
+      control_requested_at: new Date().toISOString(),
+      stop_deadline: command === 'stop' && deadline ? new Date(deadline).toISOString() : null
+    });
+
+    if (error) {
+      throw new Error(`Failed to send worker command: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  // Polls until every worker has one of the statuses or stopped sending heartbeats.
+  // Returns the workers still not there when timeoutMs (if any) runs out.
+  async waitForStatus(workerIds, statuses, { timeoutMs = null, interval = 500 } = {}) {
+    const deadline = timeoutMs === null ? Infinity : Date.now() + timeoutMs;
+
+    for (;;) {
+      const { data, error } = await this.storage.select('workers', { where: { id: workerIds } });
+      if (error) {
+        throw new Error(`Failed to read workers: ${error.message}`);
+      }
+
+      const staleBefore = Date.now() - HEARTBEAT_WINDOW_MS;
+      const pending = data.filter(worker =>
+        !statuses.includes(worker.status) && new Date(worker.last_heartbeat).getTime() >= staleBefore);
+
+      if (pending.length === 0 || Date.now() >= deadline) {
+        return pending;
+      }
+      await this.sleep(interval);
+    }
+  }
+
   sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 }
 
-module.exports = { WorkerManager };
+module.exports = { WorkerManager, CONTROL_COMMANDS };
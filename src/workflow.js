@@ -0,0 +1,159 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { v4: uuidv4 } = require('uuid');
+const JobQueue = require('./jobQueue');
+const { getStorage } = require('./db');
+
+const NODE_NAME_PATTERN = /^[A-Za-z0-9_.-]+$/;
+
+function parseWorkflowFile(filePath) {
+  const contents = fs.readFileSync(filePath, 'utf8');
+  const extension = path.extname(filePath).toLowerCase();
+
+  try {
+    return extension === '.json' ? JSON.parse(contents) : YAML.parse(contents);
+  } catch (error) {
+    throw new Error(`Failed to parse workflow file ${filePath}: ${error.message}`);
+  }
+}
+
+// Accepts `jobs` as a map of name -> job or as a list of jobs with an `id`
+function normalizeNodes(definition) {
+  if (!definition || !definition.jobs) {
+    throw new Error('Workflow must have a "jobs" section');
+  }
+
+  const entries = Array.isArray(definition.jobs)
+    ? definition.jobs.map(job => [job && job.id, job])
+    : Object.entries(definition.jobs);
+
+  if (entries.length === 0) {
+    throw new Error('Workflow must contain at least one job');
+  }
+
+  const nodes = new Map();
+  entries.forEach(([name, job]) => {
+    if (!name || !NODE_NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid workflow job name "${name}". Use letters, digits, "_", "." or "-"`);
+    }
+    if (nodes.has(name)) {
+      throw new Error(`Duplicate workflow job "${name}"`);
+    }
+    if (!job || !job.command) {
+      throw new Error(`Workflow job "${name}" must have a "command" field`);
+    }
+
+    nodes.set(name, { ...job, depends_on: job.depends_on ? [].concat(job.depends_on) : [] });
+  });
+
+  return nodes;
+}
+
+// Returns node names grouped by depth; parents always appear in an earlier level
+function topologicalLevels(nodes) {
+  const remaining = new Map();
+  nodes.forEach((node, name) => {
+    node.depends_on.forEach(parent => {
+      if (!nodes.has(parent)) {
+        throw new Error(`Workflow job "${name}" depends on unknown job "${parent}"`);
+      }
+    });
+    remaining.set(name, new Set(node.depends_on));
+  });
+
+  const levels = [];
+  while (remaining.size > 0) {
+    const level = [...remaining.keys()].filter(name => remaining.get(name).size === 0);
+
+    if (level.length === 0) {
+      throw new Error(`Workflow has a dependency cycle between: ${[...remaining.keys()].join(', ')}`);
+    }
+
+    level.forEach(name => remaining.delete(name));
+    remaining.forEach(parents => level.forEach(name => parents.delete(name)));
+    levels.push(level);
+  }
+
+  return levels;
+}
+
+class WorkflowManager {
+  constructor(storage = getStorage()) {
+    this.storage = storage;
+    this.jobQueue = new JobQueue(storage);
+  }
+
+  async submitWorkflow(definition) {
+    const nodes = normalizeNodes(definition);
+    const levels = topologicalLevels(nodes);
+    const workflowId = definition.id || `wf-${uuidv4()}`;
+    const jobId = name => `${workflowId}.${name}`;
+
+    const { data: workflow, error } = await this.storage.insert('workflows', {
+      id: workflowId,
+      name: definition.name || workflowId,
+      nodes: levels.flat(),
+      created_at: new Date().toISOString()
+    });
+
+    if (error) {
+      throw new Error(`Failed to create workflow: ${error.message}`);
+    }
+
+    const jobs = [];
+    for (const level of levels) {
+      for (const name of level) {
+        const { depends_on: dependsOn, ...node } = nodes.get(name);
+
+        jobs.push(await this.jobQueue.enqueueJob({
+          queue: definition.queue,
+          priority: definition.priority,
+          max_retries: definition.max_retries,
+          ...node,
+          id: jobId(name),
+          depends_on: dependsOn.map(jobId),
+          workflow_id: workflowId
+        }));
+      }
+    }
+
+    return { workflow, jobs };
+  }
+
+  async getWorkflowStatus(workflowId) {
+    const { data: workflow, error } = await this.storage.selectOne('workflows', { id: workflowId });
+
+    if (error) {
+      throw new Error(`Failed to get workflow: ${error.message}`);
+    }
+
+    if (!workflow) {
+      throw new Error(`Workflow ${workflowId} not found`);
+    }
+
+    const { data: jobs, error: jobsError } = await this.storage.select('jobs', {
+      where: { workflow_id: workflowId }
+    });
+
+    if (jobsError) {
+      throw new Error(`Failed to get workflow jobs: ${jobsError.message}`);
+    }
+
+    const prefix = `${workflowId}.`;
+    const jobIds = new Set(jobs.map(job => job.id));
+    const nodes = new Map(jobs.map(job => [
+      job.id.slice(prefix.length),
+      {
+        ...job,
+        depends_on: (job.depends_on || [])
+          .filter(id => jobIds.has(id))
+          .map(id => id.slice(prefix.length))
+      }
+    ]));
+
+    return { workflow, nodes, levels: topologicalLevels(nodes) };
+  }
+}
+
+module.exports = { WorkflowManager, parseWorkflowFile };
@@ -0,0 +1,52 @@
+/*
+  # Atomic job claiming
+
+  ## Overview
+  Replaces the select-then-update claiming done by workers with a single
+  `claim_job` function called over RPC. Each eligible job goes to exactly one worker.
+
+  ## New Functions
+
+  ### `claim_job(p_worker_id text, p_lock_timeout_seconds integer)`
+  Locks and returns at most one job, in this order:
+  1. `pending` jobs that are not locked, oldest `created_at` first
+  2. `failed` jobs whose `next_retry_at` has passed, earliest first
+  3. `processing` jobs whose lock is older than `p_lock_timeout_seconds` (crashed workers)
+
+  Candidate rows are selected `FOR UPDATE SKIP LOCKED`, so concurrent callers never
+  wait on or receive the same row. The chosen job is moved to `processing` with
+  `locked_by` / `locked_at` set in the same statement.
+
+  ## Indexes
+  - Jobs indexed by (state, created_at) for unlocked jobs to speed up claiming
+*/
+
+CREATE INDEX IF NOT EXISTS idx_jobs_claim ON jobs(state, created_at) WHERE locked_by IS NULL;
+
+CREATE OR REPLACE FUNCTION claim_job(p_worker_id text, p_lock_timeout_seconds integer DEFAULT 300)
+RETURNS SETOF jobs
+LANGUAGE sql
+AS $$
+  WITH candidate AS (
+    SELECT id
+    FROM jobs
+    WHERE (state = 'pending' AND locked_by IS NULL)
+       OR (state = 'failed' AND locked_by IS NULL AND next_retry_at <= now())
+       OR (state = 'processing' AND locked_at < now() - make_interval(secs => p_lock_timeout_seconds))
+    ORDER BY
+      CASE state WHEN 'pending' THEN 0 WHEN 'failed' THEN 1 ELSE 2 END,
+      CASE state WHEN 'pending' THEN created_at WHEN 'failed' THEN next_retry_at ELSE locked_at END
+    LIMIT 1
+    FOR UPDATE SKIP LOCKED
+  )
+  UPDATE jobs
+  SET locked_by = p_worker_id,
+      locked_at = now(),
+      state = 'processing',
+      updated_at = now()
+  FROM candidate
+  WHERE jobs.id = candidate.id
+  RETURNING jobs.*;
+$$;
+
+GRANT EXECUTE ON FUNCTION claim_job(text, integer) TO service_role;
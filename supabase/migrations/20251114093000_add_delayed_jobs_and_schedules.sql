@@ -0,0 +1,105 @@
+/*
+  # Delayed jobs and recurring schedules
+
+  ## Overview
+  Jobs can be enqueued to run at a later time, and cron schedules produce a job
+  each time they are due.
+
+  ## Modified Tables
+
+  ### `jobs`
+  - `run_at` (timestamptz, nullable) - Earliest time the job may be claimed; null means immediately
+
+  ## New Tables
+
+  ### `schedules`
+  Recurring job definitions
+  - `id` (text, primary key) - Schedule name
+  - `cron` (text, required) - Five or six field cron expression
+  - `timezone` (text, nullable) - IANA timezone the expression is evaluated in (server time when null)
+  - `job` (jsonb, required) - Job template (command, queue, priority, max_retries)
+  - `enabled` (boolean, default true) - Disabled schedules never fire
+  - `next_run_at` (timestamptz, required) - Next occurrence that has not fired yet
+  - `last_run_at` (timestamptz, nullable) - Last occurrence that fired
+  - `last_job_id` (text, nullable) - Job created by the last occurrence
+  - `created_at` (timestamptz, default now()) - Creation timestamp
+  - `updated_at` (timestamptz, default now()) - Last update timestamp
+
+  Workers fire a due schedule by moving `next_run_at` forward with a conditional
+  update on its current value, so each occurrence fires once no matter how many
+  workers are running. The job id is `<schedule>@<occurrence>` as a second guard.
+
+  ## Modified Functions
+
+  ### `claim_job`
+  - Pending jobs are only eligible once `run_at` has passed
+
+  ## Security
+  - RLS enabled on `schedules` with service role access
+
+  ## Indexes
+  - Pending jobs indexed by run_at for delayed job lookup
+  - Schedules indexed by next_run_at for enabled schedules
+*/
+
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS run_at timestamptz;
+
+CREATE INDEX IF NOT EXISTS idx_jobs_run_at ON jobs(run_at) WHERE run_at IS NOT NULL AND state = 'pending';
+
+CREATE TABLE IF NOT EXISTS schedules (
+  id text PRIMARY KEY,
+  cron text NOT NULL,
+  timezone text,
+  job jsonb NOT NULL,
+  enabled boolean NOT NULL DEFAULT true,
+  next_run_at timestamptz NOT NULL,
+  last_run_at timestamptz,
+  last_job_id text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_schedules_next_run ON schedules(next_run_at) WHERE enabled;
+
+ALTER TABLE schedules ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role full access to schedules"
+  ON schedules
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+CREATE OR REPLACE FUNCTION claim_job(
+  p_worker_id text,
+  p_lock_timeout_seconds integer DEFAULT 300,
+  p_queues text[] DEFAULT NULL
+)
+RETURNS SETOF jobs
+LANGUAGE sql
+AS $$
+  WITH candidate AS (
+    SELECT id
+    FROM jobs
+    WHERE (p_queues IS NULL OR queue = ANY(p_queues))
+      AND (
+        (state = 'pending' AND locked_by IS NULL AND (run_at IS NULL OR run_at <= now()))
+        OR (state = 'failed' AND locked_by IS NULL AND next_retry_at <= now())
+        OR (state = 'processing' AND locked_at < now() - make_interval(secs => p_lock_timeout_seconds))
+      )
+    ORDER BY
+      priority DESC,
+      CASE state WHEN 'pending' THEN 0 WHEN 'failed' THEN 1 ELSE 2 END,
+      CASE state WHEN 'pending' THEN COALESCE(run_at, created_at) WHEN 'failed' THEN next_retry_at ELSE locked_at END
+    LIMIT 1
+    FOR UPDATE SKIP LOCKED
+  )
+  UPDATE jobs
+  SET locked_by = p_worker_id,
+      locked_at = now(),
+      state = 'processing',
+      updated_at = now()
+  FROM candidate
+  WHERE jobs.id = candidate.id
+  RETURNING jobs.*;
+$$;
@@ -0,0 +1,56 @@
+/*
+  # Job dependencies and DAG workflows
+
+  ## Overview
+  A job can depend on other jobs. It stays `blocked` until every parent is
+  `completed`, and moves to `dead` when a parent ends up in the DLQ. Workflows
+  group the jobs of one submitted dependency graph.
+
+  ## Modified Tables
+
+  ### `jobs`
+  - `depends_on` (text[], default '{}') - IDs of jobs that must complete first
+  - `workflow_id` (text, nullable) - Workflow the job was submitted with
+  - `state` now also allows `blocked`
+
+  ## New Tables
+
+  ### `workflows`
+  - `id` (text, primary key) - Workflow identifier
+  - `name` (text, required) - Name from the workflow definition
+  - `nodes` (text[], required) - Job names in topological order
+  - `created_at` (timestamptz, default now()) - Submission timestamp
+
+  ## Security
+  - RLS enabled on `workflows` with service role access
+
+  ## Indexes
+  - GIN index on jobs.depends_on to find the dependents of a job
+  - Jobs indexed by workflow_id
+*/
+
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS depends_on text[] NOT NULL DEFAULT '{}';
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS workflow_id text;
+
+ALTER TABLE jobs DROP CONSTRAINT IF EXISTS valid_state;
+ALTER TABLE jobs ADD CONSTRAINT valid_state
+  CHECK (state IN ('pending', 'blocked', 'processing', 'completed', 'failed', 'dead'));
+
+CREATE INDEX IF NOT EXISTS idx_jobs_depends_on ON jobs USING GIN (depends_on);
+CREATE INDEX IF NOT EXISTS idx_jobs_workflow ON jobs(workflow_id) WHERE workflow_id IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS workflows (
+  id text PRIMARY KEY,
+  name text NOT NULL,
+  nodes text[] NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+ALTER TABLE workflows ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role full access to workflows"
+  ON workflows
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
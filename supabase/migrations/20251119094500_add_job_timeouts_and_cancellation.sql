@@ -0,0 +1,71 @@
+/*
+  # Per-job timeouts and cancellation
+
+  ## Overview
+  Jobs can carry their own timeout, falling back to the `job_timeout` config
+  value. Jobs can be cancelled: waiting jobs directly, running jobs by asking
+  the owning worker to stop the process tree. Cancelled jobs are never retried.
+
+  ## Modified Tables
+
+  ### `jobs`
+  - `timeout` (integer, nullable) - Timeout in seconds; null uses `job_timeout`
+  - `cancel_requested_at` (timestamptz, nullable) - Set when a running job should be stopped
+  - `cancelled_at` (timestamptz, nullable) - When the job reached the `cancelled` state
+  - `state` now also allows `cancelled`
+
+  ## Modified Functions
+
+  ### `claim_job`
+  - Jobs with a pending cancellation request are never claimed, including stale ones
+
+  ## Default Configuration
+  - `job_timeout` = 60 (seconds)
+*/
+
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS timeout integer;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS cancel_requested_at timestamptz;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS cancelled_at timestamptz;
+
+ALTER TABLE jobs DROP CONSTRAINT IF EXISTS valid_state;
+ALTER TABLE jobs ADD CONSTRAINT valid_state
+  CHECK (state IN ('pending', 'blocked', 'processing', 'completed', 'failed', 'dead', 'cancelled'));
+
+INSERT INTO config (key, value) VALUES
+  ('job_timeout', '60')
+ON CONFLICT (key) DO NOTHING;
+
+CREATE OR REPLACE FUNCTION claim_job(
+  p_worker_id text,
+  p_lock_timeout_seconds integer DEFAULT 300,
+  p_queues text[] DEFAULT NULL
+)
+RETURNS SETOF jobs
+LANGUAGE sql
+AS $$
+  WITH candidate AS (
+    SELECT id
+    FROM jobs
+    WHERE (p_queues IS NULL OR queue = ANY(p_queues))
+      AND cancel_requested_at IS NULL
+      AND (
+        (state = 'pending' AND locked_by IS NULL AND (run_at IS NULL OR run_at <= now()))
+        OR (state = 'failed' AND locked_by IS NULL AND next_retry_at <= now())
+        OR (state = 'processing' AND locked_at < now() - make_interval(secs => p_lock_timeout_seconds))
+      )
+    ORDER BY
+      priority DESC,
+      CASE state WHEN 'pending' THEN 0 WHEN 'failed' THEN 1 ELSE 2 END,
+      CASE state WHEN 'pending' THEN COALESCE(run_at, created_at) WHEN 'failed' THEN next_retry_at ELSE locked_at END
+    LIMIT 1
+    FOR UPDATE SKIP LOCKED
+  )
+  UPDATE jobs
+  SET locked_by = p_worker_id,
+      locked_at = now(),
+      state = 'processing',
+      updated_at = now()
+  FROM candidate
+  WHERE jobs.id = candidate.id
+  RETURNING jobs.*;
+$$;
@@ -0,0 +1,45 @@
+/*
+  # Streaming job logs
+
+  ## Overview
+  Workers stream the stdout and stderr of every job attempt into `job_logs`
+  while the command runs, so output can be tailed live with `queuectl logs -f`.
+
+  ## New Tables
+
+  ### `job_logs`
+  One row per line of output
+  - `id` (bigserial, primary key) - Insertion order, used as the follow cursor
+  - `job_id` (text, required) - Job the output belongs to
+  - `attempt` (integer, required) - Attempt number, starting at 1
+  - `stream` (text, required) - `stdout` or `stderr`
+  - `message` (text, required) - Line of output without the trailing newline
+  - `created_at` (timestamptz, default now()) - When the worker received the line
+
+  ## Security
+  - RLS enabled on `job_logs` with service role access
+
+  ## Indexes
+  - Logs indexed by (job_id, attempt, id) for reading and following an attempt
+*/
+
+CREATE TABLE IF NOT EXISTS job_logs (
+  id bigserial PRIMARY KEY,
+  job_id text NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+  attempt integer NOT NULL,
+  stream text NOT NULL,
+  message text NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT valid_log_stream CHECK (stream IN ('stdout', 'stderr'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_logs_job_attempt ON job_logs(job_id, attempt, id);
+
+ALTER TABLE job_logs ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role full access to job_logs"
+  ON job_logs
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
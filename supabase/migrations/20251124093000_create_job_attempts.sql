@@ -0,0 +1,60 @@
+/*
+  # Per-attempt execution history
+
+  ## Overview
+  Every execution of a job is recorded in `job_attempts` with its worker,
+  timing, exit status and a bounded copy of its output, so the full history
+  of a job survives retries and can be shown with `queuectl show`.
+
+  ## New Tables
+
+  ### `job_attempts`
+  One row per execution
+  - `id` (bigserial, primary key) - Insertion order
+  - `job_id` (text, required) - Job that was executed
+  - `attempt` (integer, required) - Attempt number, starting at 1
+  - `worker_id` (text, required) - Worker that ran the attempt
+  - `outcome` (text, required) - `running`, `completed`, `failed`, `timed_out` or `cancelled`
+  - `started_at` (timestamptz, default now()) - When the command was started
+  - `finished_at` (timestamptz, nullable) - When the attempt ended
+  - `duration_ms` (integer, nullable) - Wall clock duration of the attempt
+  - `exit_code` (integer, nullable) - Exit code of the command
+  - `signal` (text, nullable) - Signal that ended the command, if any
+  - `stdout` (text, nullable) - Last 4000 characters of stdout
+  - `stderr` (text, nullable) - Last 4000 characters of stderr
+  - `error` (text, nullable) - Failure reason recorded by the worker
+
+  ## Security
+  - RLS enabled on `job_attempts` with service role access
+
+  ## Indexes
+  - Attempts indexed by (job_id, started_at) for the job timeline
+*/
+
+CREATE TABLE IF NOT EXISTS job_attempts (
+  id bigserial PRIMARY KEY,
+  job_id text NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+  attempt integer NOT NULL,
+  worker_id text NOT NULL,
+  outcome text NOT NULL DEFAULT 'running',
+  started_at timestamptz NOT NULL DEFAULT now(),
+  finished_at timestamptz,
+  duration_ms integer,
+  exit_code integer,
+  signal text,
+  stdout text,
+  stderr text,
+  error text,
+  CONSTRAINT valid_attempt_outcome CHECK (outcome IN ('running', 'completed', 'failed', 'timed_out', 'cancelled'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_attempts_job ON job_attempts(job_id, started_at);
+
+ALTER TABLE job_attempts ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role full access to job_attempts"
+  ON job_attempts
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
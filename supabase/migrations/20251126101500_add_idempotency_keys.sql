@@ -0,0 +1,49 @@
+/*
+  # Idempotent enqueue
+
+  ## Overview
+  Producers can attach an idempotency key to a job, optionally with a
+  `unique_for` window. Submitting the same key again while it is live returns
+  the existing job instead of creating a duplicate. Reusing a job id is
+  deduplicated the same way instead of failing on the primary key.
+
+  ## Modified Tables
+
+  ### `jobs`
+  - `idempotency_key` (text, nullable) - Key the job was submitted with
+
+  ## New Tables
+
+  ### `idempotency_keys`
+  One row per key, pointing at the job that currently owns it
+  - `key` (text, primary key) - Idempotency key; the primary key settles concurrent submissions
+  - `job_id` (text, required) - Job created for the key
+  - `expires_at` (timestamptz, nullable) - End of the `unique_for` window; null never expires
+  - `created_at` (timestamptz, default now()) - When the key was (re)assigned
+
+  ## Security
+  - RLS enabled on `idempotency_keys` with service role access
+
+  ## Indexes
+  - Jobs indexed by idempotency_key
+*/
+
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS idempotency_key text;
+
+CREATE INDEX IF NOT EXISTS idx_jobs_idempotency_key ON jobs(idempotency_key) WHERE idempotency_key IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  key text PRIMARY KEY,
+  job_id text NOT NULL,
+  expires_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+ALTER TABLE idempotency_keys ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role full access to idempotency_keys"
+  ON idempotency_keys
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
@@ -0,0 +1,26 @@
+/*
+  # Grouped job counts
+
+  ## Overview
+  `status`, the API and the Prometheus metrics need job counts per state and
+  queue. Counting used to fetch the state of every job and group it in the
+  client; this function groups in the database instead, using the existing
+  (queue, state) index.
+
+  ## New Functions
+
+  ### `count_jobs_by_state`
+  - `p_queue` (text, default null) - Only count jobs in this queue
+  - Returns one row of (`queue`, `state`, `count`) per combination present
+*/
+
+CREATE OR REPLACE FUNCTION count_jobs_by_state(p_queue text DEFAULT NULL)
+RETURNS TABLE (queue text, state text, count bigint)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT jobs.queue, jobs.state, count(*)
+  FROM jobs
+  WHERE p_queue IS NULL OR jobs.queue = p_queue
+  GROUP BY jobs.queue, jobs.state;
+$$;
@@ -0,0 +1,27 @@
+/*
+  # Retry strategies
+
+  ## Overview
+  The delay before a retry used to be `backoff_base ^ attempts` seconds. The
+  retry policy is now configurable globally (config) and per job (`retry`):
+  exponential, linear, fixed or an explicit list of delays, optional full or
+  equal jitter, a `max_delay` cap, and exit-code rules. A job whose exit code
+  is not retryable goes straight to the DLQ.
+
+  ## Modified Tables
+
+  ### `jobs`
+  - `retry` (jsonb, nullable) - Per-job retry policy; fields left out use the
+    global configuration. Durations are stored in seconds.
+
+  ## Default Configuration
+  - `retry_strategy` = exponential
+  - `retry_jitter` = none
+*/
+
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS retry jsonb;
+
+INSERT INTO config (key, value) VALUES
+  ('retry_strategy', 'exponential'),
+  ('retry_jitter', 'none')
+ON CONFLICT (key) DO NOTHING;
@@ -0,0 +1,61 @@
+/*
+  # Worker concurrency
+
+  ## Overview
+  A worker can run several jobs at once (`worker start --concurrency N`). It
+  claims up to as many jobs as it has free slots in one call and reports how
+  many slots are busy in its heartbeat.
+
+  ## Modified Tables
+
+  ### `workers`
+  - `concurrency` (integer, default 1) - Number of job slots
+  - `active_jobs` (integer, default 0) - Slots running a job at the last heartbeat
+
+  ## Modified Functions
+
+  ### `claim_job`
+  - New `p_limit` parameter (default 1) claims up to that many jobs, in the
+    same order as before
+*/
+
+ALTER TABLE workers ADD COLUMN IF NOT EXISTS concurrency integer NOT NULL DEFAULT 1;
+ALTER TABLE workers ADD COLUMN IF NOT EXISTS active_jobs integer NOT NULL DEFAULT 0;
+
+DROP FUNCTION IF EXISTS claim_job(text, integer, text[]);
+
+CREATE OR REPLACE FUNCTION claim_job(
+  p_worker_id text,
+  p_lock_timeout_seconds integer DEFAULT 300,
+  p_queues text[] DEFAULT NULL,
+  p_limit integer DEFAULT 1
+)
+RETURNS SETOF jobs
+LANGUAGE sql
+AS $$
+  WITH candidate AS (
+    SELECT id
+    FROM jobs
+    WHERE (p_queues IS NULL OR queue = ANY(p_queues))
+      AND cancel_requested_at IS NULL
+      AND (
+        (state = 'pending' AND locked_by IS NULL AND (run_at IS NULL OR run_at <= now()))
+        OR (state = 'failed' AND locked_by IS NULL AND next_retry_at <= now())
+        OR (state = 'processing' AND locked_at < now() - make_interval(secs => p_lock_timeout_seconds))
+      )
+    ORDER BY
+      priority DESC,
+      CASE state WHEN 'pending' THEN 0 WHEN 'failed' THEN 1 ELSE 2 END,
+      CASE state WHEN 'pending' THEN COALESCE(run_at, created_at) WHEN 'failed' THEN next_retry_at ELSE locked_at END
+    LIMIT p_limit
+    FOR UPDATE SKIP LOCKED
+  )
+  UPDATE jobs
+  SET locked_by = p_worker_id,
+      locked_at = now(),
+      state = 'processing',
+      updated_at = now()
+  FROM candidate
+  WHERE jobs.id = candidate.id
+  RETURNING jobs.*;
+$$;
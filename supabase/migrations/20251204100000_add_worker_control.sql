@@ -0,0 +1,36 @@
+/*
+  # Worker control
+
+  ## Overview
+  Workers can be stopped, paused and resumed from any shell or host with
+  `worker stop/pause/resume`. The command is written to the worker's row and
+  the worker polls for it. Paused workers finish their running jobs but claim
+  no new ones. `worker list` shows where each worker runs.
+
+  ## Modified Tables
+
+  ### `workers`
+  - `host` (text, nullable) - Hostname of the worker process
+  - `pid` (integer, nullable) - Process id of the worker process
+  - `version` (text, nullable) - queuectl version the worker runs
+  - `control_command` (text, nullable) - Pending `stop`, `pause` or `resume`
+  - `control_requested_at` (timestamptz, nullable) - When the command was sent
+  - `stop_deadline` (timestamptz, nullable) - Jobs still running at this time
+    are terminated by a stopping worker
+  - `status` now also allows `paused`
+*/
+
+ALTER TABLE workers ADD COLUMN IF NOT EXISTS host text;
+ALTER TABLE workers ADD COLUMN IF NOT EXISTS pid integer;
+ALTER TABLE workers ADD COLUMN IF NOT EXISTS version text;
+ALTER TABLE workers ADD COLUMN IF NOT EXISTS control_command text;
+ALTER TABLE workers ADD COLUMN IF NOT EXISTS control_requested_at timestamptz;
+ALTER TABLE workers ADD COLUMN IF NOT EXISTS stop_deadline timestamptz;
+
+ALTER TABLE workers DROP CONSTRAINT IF EXISTS valid_worker_status;
+ALTER TABLE workers ADD CONSTRAINT valid_worker_status
+  CHECK (status IN ('active', 'paused', 'stopping', 'stopped'));
+
+ALTER TABLE workers DROP CONSTRAINT IF EXISTS valid_control_command;
+ALTER TABLE workers ADD CONSTRAINT valid_control_command
+  CHECK (control_command IS NULL OR control_command IN ('stop', 'pause', 'resume'));
@@ -0,0 +1,81 @@
+/*
+  # Queue pauses
+
+  ## Overview
+  Job pickup can be paused per queue, or for every queue at once, without
+  stopping workers. Pauses are stored so they survive restarts, and can expire
+  on their own. Workers read the active pauses before each claim and pass the
+  paused queues to `claim_job`.
+
+  ## New Tables
+
+  ### `queue_pauses`
+  - `queue` (text, primary key) - Paused queue, or `*` for all queues
+  - `reason` (text, nullable) - Why the queue was paused
+  - `paused_at` (timestamptz) - When the pause started
+  - `paused_until` (timestamptz, nullable) - When the pause expires; null pauses until resumed
+
+  ## Modified Functions
+
+  ### `claim_job`
+  - New `p_exclude_queues` parameter skips jobs in those queues
+
+  ## Security
+  - RLS enabled on `queue_pauses`, with full access for the service role
+*/
+
+CREATE TABLE IF NOT EXISTS queue_pauses (
+  queue text PRIMARY KEY,
+  reason text,
+  paused_at timestamptz NOT NULL DEFAULT now(),
+  paused_until timestamptz
+);
+
+ALTER TABLE queue_pauses ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role full access to queue_pauses"
+  ON queue_pauses
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+DROP FUNCTION IF EXISTS claim_job(text, integer, text[], integer);
+
+CREATE OR REPLACE FUNCTION claim_job(
+  p_worker_id text,
+  p_lock_timeout_seconds integer DEFAULT 300,
+  p_queues text[] DEFAULT NULL,
+  p_limit integer DEFAULT 1,
+  p_exclude_queues text[] DEFAULT NULL
+)
+RETURNS SETOF jobs
+LANGUAGE sql
+AS $$
+  WITH candidate AS (
+    SELECT id
+    FROM jobs
+    WHERE (p_queues IS NULL OR queue = ANY(p_queues))
+      AND (p_exclude_queues IS NULL OR queue <> ALL(p_exclude_queues))
+      AND cancel_requested_at IS NULL
+      AND (
+        (state = 'pending' AND locked_by IS NULL AND (run_at IS NULL OR run_at <= now()))
+        OR (state = 'failed' AND locked_by IS NULL AND next_retry_at <= now())
+        OR (state = 'processing' AND locked_at < now() - make_interval(secs => p_lock_timeout_seconds))
+      )
+    ORDER BY
+      priority DESC,
+      CASE state WHEN 'pending' THEN 0 WHEN 'failed' THEN 1 ELSE 2 END,
+      CASE state WHEN 'pending' THEN COALESCE(run_at, created_at) WHEN 'failed' THEN next_retry_at ELSE locked_at END
+    LIMIT p_limit
+    FOR UPDATE SKIP LOCKED
+  )
+  UPDATE jobs
+  SET locked_by = p_worker_id,
+      locked_at = now(),
+      state = 'processing',
+      updated_at = now()
+  FROM candidate
+  WHERE jobs.id = candidate.id
+  RETURNING jobs.*;
+$$;
@@ -0,0 +1,35 @@
+/*
+  # Per-job execution settings
+
+  ## Overview
+  Jobs can choose how their command runs instead of inheriting everything
+  from the worker: extra environment variables, a working directory, the
+  shell, and a payload passed on stdin or as a JSON file. A command given as
+  an argv array runs the program directly, without a shell.
+
+  ## Modified Tables
+
+  ### `jobs`
+  - `argv` (jsonb, nullable) - Program and arguments for argv mode; `command`
+    then holds a quoted copy for display
+  - `shell` (text, nullable) - Shell for string commands; null uses the system shell
+  - `env` (jsonb, nullable) - Environment variables added to the worker's environment
+  - `cwd` (text, nullable) - Absolute working directory
+  - `payload` (jsonb, nullable) - Input data for the job
+  - `payload_mode` (text, nullable) - `stdin` or `file`
+
+  ## Security
+  - `env` and `payload` are stored in plain text like the rest of the job row;
+    do not put secrets in them
+*/
+
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS argv jsonb;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS shell text;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS env jsonb;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS cwd text;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS payload jsonb;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS payload_mode text;
+
+ALTER TABLE jobs DROP CONSTRAINT IF EXISTS valid_payload_mode;
+ALTER TABLE jobs ADD CONSTRAINT valid_payload_mode
+  CHECK (payload_mode IS NULL OR payload_mode IN ('stdin', 'file'));
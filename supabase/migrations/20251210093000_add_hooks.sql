@@ -0,0 +1,92 @@
+/*
+  # Notification hooks
+
+  ## Overview
+  Workers notify external systems when a job completes, fails an attempt or
+  moves to the DLQ. A hook is either a webhook, which receives an HMAC-signed
+  JSON POST, or a shell command, which receives the same JSON on stdin.
+  Failed deliveries are retried, and every delivery attempt is logged.
+
+  ## New Tables
+
+  ### `hooks`
+  - `id` (text, primary key) - Hook name
+  - `type` (text, required) - `webhook` or `command`
+  - `url` (text, nullable) - Webhook URL
+  - `command` (text, nullable) - Shell command of a command hook
+  - `secret` (text, nullable) - HMAC-SHA256 key used to sign webhook bodies
+  - `events` (text[], required) - Subscribed events: `completed`, `failed`, `dead`
+  - `queues` (text[], nullable) - Only notify for jobs in these queues; null for all
+  - `enabled` (boolean, default true)
+  - `created_at` (timestamptz, default now())
+
+  ### `hook_deliveries`
+  One row per delivery attempt
+  - `id` (bigserial, primary key) - Insertion order
+  - `hook_id` (text, required) - Hook that was notified
+  - `delivery_id` (text, required) - Shared by the retries of one delivery
+  - `job_id` (text, required) - Job the event is about
+  - `event` (text, required) - `completed`, `failed`, `dead` or `test`
+  - `attempt` (integer, required) - Delivery attempt, starting at 1
+  - `status` (text, required) - `delivered` or `failed`
+  - `response_status` (integer, nullable) - HTTP status, or exit code of a command hook
+  - `error` (text, nullable) - Why the attempt failed
+  - `duration_ms` (integer, nullable) - Time taken by the attempt
+  - `created_at` (timestamptz, default now())
+
+  ## Security
+  - RLS enabled on `hooks` and `hook_deliveries`, with full access for the service role
+
+  ## Indexes
+  - Deliveries indexed by (hook_id, id) for the per-hook delivery log
+*/
+
+CREATE TABLE IF NOT EXISTS hooks (
+  id text PRIMARY KEY,
+  type text NOT NULL,
+  url text,
+  command text,
+  secret text,
+  events text[] NOT NULL DEFAULT ARRAY['completed', 'failed', 'dead'],
+  queues text[],
+  enabled boolean NOT NULL DEFAULT true,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT valid_hook_type CHECK (type IN ('webhook', 'command')),
+  CONSTRAINT hook_target CHECK (
+    (type = 'webhook' AND url IS NOT NULL) OR (type = 'command' AND command IS NOT NULL)
+  )
+);
+
+CREATE TABLE IF NOT EXISTS hook_deliveries (
+  id bigserial PRIMARY KEY,
+  hook_id text NOT NULL REFERENCES hooks(id) ON DELETE CASCADE,
+  delivery_id text NOT NULL,
+  job_id text NOT NULL,
+  event text NOT NULL,
+  attempt integer NOT NULL DEFAULT 1,
+  status text NOT NULL,
+  response_status integer,
+  error text,
+  duration_ms integer,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT valid_delivery_status CHECK (status IN ('delivered', 'failed'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_hook_deliveries_hook ON hook_deliveries(hook_id, id);
+
+ALTER TABLE hooks ENABLE ROW LEVEL SECURITY;
+ALTER TABLE hook_deliveries ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role full access to hooks"
+  ON hooks
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+CREATE POLICY "Service role full access to hook_deliveries"
+  ON hook_deliveries
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
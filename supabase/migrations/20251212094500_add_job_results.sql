@@ -0,0 +1,39 @@
+/*
+  # Structured job results
+
+  ## Overview
+  Workers used to write `output` (stdout, or stderr when stdout was empty) to
+  a column no migration created. Each job now records the result of its
+  latest attempt in separate columns. Output above `result_inline_limit` is
+  written to an artifact file on the worker host, capped at
+  `artifact_max_size`, and the row keeps the end of it as a preview.
+
+  ## Modified Tables
+
+  ### `jobs`
+  - `exit_code` (integer, nullable) - Exit code of the latest attempt
+  - `signal` (text, nullable) - Signal that ended the latest attempt, if any
+  - `stdout` (text, nullable) - stdout of the latest attempt, or its end when spilled to an artifact
+  - `stderr` (text, nullable) - stderr of the latest attempt, or its end when spilled to an artifact
+  - `started_at` (timestamptz, nullable) - When the latest attempt started
+  - `duration_ms` (integer, nullable) - Wall clock duration of the latest attempt
+  - `artifacts` (jsonb, nullable) - Artifact files per stream:
+    `{ "stdout": { "path", "bytes", "stored_bytes", "truncated" }, ... }`
+
+  ## Default Configuration
+  - `result_inline_limit` = 65536
+  - `artifact_max_size` = 10485760
+*/
+
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS exit_code integer;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS signal text;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS stdout text;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS stderr text;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS started_at timestamptz;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS duration_ms integer;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS artifacts jsonb;
+
+INSERT INTO config (key, value) VALUES
+  ('result_inline_limit', '65536'),
+  ('artifact_max_size', '10485760')
+ON CONFLICT (key) DO NOTHING;
@@ -0,0 +1,23 @@
+/*
+  # Retention
+
+  ## Overview
+  `queuectl purge` and the retention periods in config delete completed, dead
+  and cancelled jobs by the time they were last updated, and worker rows by
+  their last heartbeat. Job logs and attempts are removed through their
+  `ON DELETE CASCADE` foreign keys; idempotency keys are deleted by the CLI.
+
+  ## Indexes
+  - Jobs indexed by (state, updated_at) to find purgeable jobs
+  - Workers indexed by last_heartbeat
+
+  ## Default Configuration
+  - `retention_interval` = 3600
+*/
+
+CREATE INDEX IF NOT EXISTS idx_jobs_state_updated_at ON jobs(state, updated_at);
+CREATE INDEX IF NOT EXISTS idx_workers_last_heartbeat ON workers(last_heartbeat);
+
+INSERT INTO config (key, value) VALUES
+  ('retention_interval', '3600')
+ON CONFLICT (key) DO NOTHING;
@@ -0,0 +1,14 @@
+/*
+  # Schedule errors
+
+  ## Overview
+  A schedule whose job cannot be enqueued no longer stops the other due
+  schedules from firing. The error is kept on the schedule instead.
+
+  ## Modified Tables
+
+  ### `schedules`
+  - `last_error` (text, nullable) - Why the last occurrence failed to enqueue its job; cleared when one fires
+*/
+
+ALTER TABLE schedules ADD COLUMN IF NOT EXISTS last_error text;
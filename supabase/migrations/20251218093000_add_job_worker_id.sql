@@ -0,0 +1,75 @@
+/*
+  # Job worker
+
+  ## Overview
+  Jobs remember the worker that claimed them last, so `queuectl list --worker`
+  filters in the database instead of collecting job ids from `job_attempts`.
+
+  ## Modified Tables
+
+  ### `jobs`
+  - `worker_id` (text, nullable) - Worker that claimed the job last; unlike `locked_by` it is kept once the job finishes
+
+  ## Modified Functions
+
+  ### `claim_job`
+  - Sets `worker_id` together with `locked_by`
+
+  ## Indexes
+  - Jobs indexed by worker_id
+
+  Existing jobs are backfilled from their latest attempt.
+*/
+
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS worker_id text;
+
+UPDATE jobs
+SET worker_id = latest.worker_id
+FROM (
+  SELECT DISTINCT ON (job_id) job_id, worker_id
+  FROM job_attempts
+  ORDER BY job_id, started_at DESC
+) AS latest
+WHERE jobs.id = latest.job_id
+  AND jobs.worker_id IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_jobs_worker_id ON jobs(worker_id) WHERE worker_id IS NOT NULL;
+
+CREATE OR REPLACE FUNCTION claim_job(
+  p_worker_id text,
+  p_lock_timeout_seconds integer DEFAULT 300,
+  p_queues text[] DEFAULT NULL,
+  p_limit integer DEFAULT 1,
+  p_exclude_queues text[] DEFAULT NULL
+)
+RETURNS SETOF jobs
+LANGUAGE sql
+AS $$
+  WITH candidate AS (
+    SELECT id
+    FROM jobs
+    WHERE (p_queues IS NULL OR queue = ANY(p_queues))
+      AND (p_exclude_queues IS NULL OR queue <> ALL(p_exclude_queues))
+      AND cancel_requested_at IS NULL
+      AND (
+        (state = 'pending' AND locked_by IS NULL AND (run_at IS NULL OR run_at <= now()))
+        OR (state = 'failed' AND locked_by IS NULL AND next_retry_at <= now())
+        OR (state = 'processing' AND locked_at < now() - make_interval(secs => p_lock_timeout_seconds))
+      )
+    ORDER BY
+      priority DESC,
+      CASE state WHEN 'pending' THEN 0 WHEN 'failed' THEN 1 ELSE 2 END,
+      CASE state WHEN 'pending' THEN COALESCE(run_at, created_at) WHEN 'failed' THEN next_retry_at ELSE locked_at END
+    LIMIT p_limit
+    FOR UPDATE SKIP LOCKED
+  )
+  UPDATE jobs
+  SET locked_by = p_worker_id,
+      locked_at = now(),
+      worker_id = p_worker_id,
+      state = 'processing',
+      updated_at = now()
+  FROM candidate
+  WHERE jobs.id = candidate.id
+  RETURNING jobs.*;
+$$;
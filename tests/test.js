@@ -1,7 +1,35 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const zlib = require('zlib');
+const { spawn, spawnSync } = require('child_process');
+
+// Run against a throwaway local store unless a backend is chosen explicitly
+if (!process.env.QUEUECTL_STORAGE) {
+  process.env.QUEUECTL_STORAGE = 'file';
+  process.env.QUEUECTL_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'queuectl-test-'));
+}
+
 const JobQueue = require('../src/jobQueue');
 
 const  Worker  = require('../src/worker');
-const { Config } = require('../src/config');
+const { Config, CONFIG_KEYS } = require('../src/config');
+const { WorkerManager } = require('../src/workerManager');
+const { QueuePauses, ALL_QUEUES } = require('../src/queuePauses');
+const FileStorage = require('../src/storage/fileStorage');
+const { Scheduler } = require('../src/scheduler');
+const { WorkflowManager } = require('../src/workflow');
+const { JobLogs, JobLogWriter } = require('../src/jobLogs');
+const { JobAttempts } = require('../src/jobAttempts');
+const { parseJobFile } = require('../src/jobImport');
+const { ApiServer } = require('../src/server');
+const { MetricsServer } = require('../src/metricsServer');
+const { Retention } = require('../src/retention');
+const { readResultOutput } = require('../src/jobResults');
+const { Hooks, signPayload } = require('../src/hooks');
+const { normalizeExecutionPolicy, checkExecutionPolicy } = require('../src/executionPolicy');
+const { normalizeRetryPolicy, resolveRetryPolicy, computeRetryDelay } = require('../src/retryPolicy');
 
 async function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
@@ -207,6 +235,1446 @@ async function testJobPersistence() {
   }
 }
 
+async function testFileStorageLocking() {
+  console.log('\n=== Test 7: File Storage Locking ===');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'queuectl-storage-'));
+  const storageA = new FileStorage({ dir });
+  const storageB = new FileStorage({ dir });
+
+  await storageA.insert('jobs', { id: 'lock-test', state: 'pending', locked_by: null });
+
+  const results = await Promise.all(
+    ['a', 'b', 'c', 'd'].map((owner, i) =>
+      (i % 2 ? storageA : storageB).update('jobs', { id: 'lock-test', locked_by: null }, { locked_by: owner })
+    )
+  );
+
+  const winners = results.filter(result => !result.error && result.data.length === 1);
+  const { data: job } = await storageB.selectOne('jobs', { id: 'lock-test' });
+
+  // A lock is only removed while it still holds the token it was found with
+  const lockPath = path.join(dir, '.lock');
+  fs.writeFileSync(lockPath, 'live-token');
+  storageA.removeLock('other-token');
+  const keptLive = fs.readFileSync(lockPath, 'utf8');
+  fs.rmSync(lockPath);
+
+  // Processes that all find the same dead holder's lock break it once between them
+  await storageA.insert('jobs', { id: 'stale-lock-test', state: 'pending', locked_by: null });
+  const deadPid = spawnSync('true').pid;
+  fs.writeFileSync(lockPath, `${deadPid}:dead`);
+  const script = `
+    const FileStorage = require(${JSON.stringify(path.join(__dirname, '../src/storage/fileStorage'))});
+    new FileStorage({ dir: process.argv[1] })
+      .update('jobs', { id: 'stale-lock-test', locked_by: null }, { locked_by: process.argv[2] })
+      .then(({ data, error }) => console.log(error ? 'error' : data.length));
+  `;
+  const outputs = await Promise.all(['p1', 'p2', 'p3', 'p4'].map(owner => new Promise(resolve => {
+    const child = spawn(process.execPath, ['-e', script, dir, owner]);
+    let out = '';
+    child.stdout.on('data', chunk => { out += chunk; });
+    child.on('close', () => resolve(out.trim()));
+  })));
+  const { data: staleJob } = await storageA.selectOne('jobs', { id: 'stale-lock-test' });
+  const leftovers = fs.readdirSync(dir).filter(name => name.startsWith('.lock'));
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  console.log(`✓ Foreign lock kept: ${keptLive}; stale lock claims: ${outputs.join(', ')} -> ${staleJob.locked_by}`);
+
+  if (winners.length === 1 && job.locked_by === winners[0].data[0].locked_by &&
+      keptLive === 'live-token' && outputs.sort().join(',') === '0,0,0,1' && staleJob.locked_by &&
+      leftovers.length === 0) {
+    console.log('✓ Exactly one conditional update acquired the row');
+    return true;
+  } else {
+    console.log(`✗ Expected one winner, got ${winners.length}`);
+    return false;
+  }
+}
+
+async function testAtomicClaiming() {
+  console.log('\n=== Test 8: Atomic Job Claiming ===');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'queuectl-claim-'));
+  const queueA = new JobQueue(new FileStorage({ dir }));
+  const queueB = new JobQueue(new FileStorage({ dir }));
+
+  for (let i = 1; i <= 6; i++) {
+    await queueA.enqueueJob({ id: `claim-job-${i}`, command: 'true' });
+  }
+
+  const staleJob = await queueA.enqueueJob({ id: 'claim-job-stale', command: 'true' });
+  await queueA.updateJobState(staleJob.id, 'processing', {
+    locked_by: 'crashed-worker',
+    locked_at: new Date(Date.now() - 10 * 60 * 1000).toISOString()
+  });
+
+  const claims = await Promise.all(
+    Array.from({ length: 20 }, (_, i) => (i % 2 ? queueA : queueB).acquireJobLock(`claim-worker-${i}`))
+  );
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  const claimedIds = claims.filter(Boolean).map(job => job.id);
+  const uniqueIds = new Set(claimedIds);
+
+  console.log(`✓ ${claimedIds.length} claims for ${uniqueIds.size} distinct job(s)`);
+
+  if (claimedIds.length === 7 && uniqueIds.size === 7) {
+    console.log('✓ Every job, including the stale one, was claimed exactly once');
+    return true;
+  } else {
+    console.log('✗ Jobs were claimed more than once or not at all');
+    return false;
+  }
+}
+
+async function testQueuesAndPriorities() {
+  console.log('\n=== Test 9: Named Queues and Priorities ===');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'queuectl-queues-'));
+  const jobQueue = new JobQueue(new FileStorage({ dir }));
+
+  await jobQueue.enqueueJob({ id: 'low', command: 'true', queue: 'reports' });
+  await jobQueue.enqueueJob({ id: 'high', command: 'true', queue: 'reports', priority: 10 });
+  await jobQueue.enqueueJob({ id: 'email', command: 'true', queue: 'emails', priority: 100 });
+
+  const first = await jobQueue.acquireJobLock('queue-worker', ['reports']);
+  const second = await jobQueue.acquireJobLock('queue-worker', ['reports']);
+  const third = await jobQueue.acquireJobLock('queue-worker', ['reports']);
+  const queueStats = await jobQueue.getQueueStats();
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  console.log(`✓ Claim order: ${[first, second].map(job => job.id).join(', ')}`);
+
+  if (first.id === 'high' && second.id === 'low' && third === null &&
+      queueStats.emails.pending === 1 && queueStats.reports.processing === 2) {
+    console.log('✓ Claiming respected priority and queue selection');
+    return true;
+  } else {
+    console.log('✗ Queue or priority ordering was not respected');
+    return false;
+  }
+}
+
+async function testDelayedJobsAndSchedules() {
+  console.log('\n=== Test 10: Delayed Jobs and Cron Schedules ===');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'queuectl-schedules-'));
+  const storage = new FileStorage({ dir });
+  const jobQueue = new JobQueue(storage);
+
+  await jobQueue.enqueueJob({
+    id: 'delayed-job',
+    command: 'true',
+    run_at: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+  });
+  const claimedEarly = await jobQueue.acquireJobLock('delay-worker');
+
+  const schedulerA = new Scheduler(storage);
+  const schedulerB = new Scheduler(new FileStorage({ dir }));
+  await schedulerA.addSchedule('every-minute', '* * * * *', { command: 'echo tick' });
+  await storage.update('schedules', { id: 'every-minute' }, {
+    next_run_at: new Date(Date.now() - 1000).toISOString()
+  });
+
+  let invalidTemplate = false;
+  try {
+    await schedulerA.addSchedule('bad-template', '* * * * *', { command: 'echo bad', priority: 'high' });
+  } catch (error) {
+    invalidTemplate = true;
+  }
+
+  // A template stored without validation fails on its own without stopping the others
+  await storage.insert('schedules', {
+    id: 'a-stale', cron: '* * * * *', timezone: null, job: { command: 'echo stale', priority: 'high' },
+    enabled: true, next_run_at: new Date(Date.now() - 1000).toISOString()
+  });
+
+  const fired = await Promise.all([
+    schedulerA.fireDueSchedules(),
+    schedulerB.fireDueSchedules(),
+    schedulerA.fireDueSchedules()
+  ]);
+  const [stale, schedule] = await schedulerA.listSchedules();
+  const { data: scheduledJobs } = await storage.select('jobs', { where: { command: 'echo tick' } });
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  const firedCount = fired.reduce((total, result) => total + result.fired.length, 0);
+  const failedCount = fired.reduce((total, result) => total + result.failed.length, 0);
+  console.log(`✓ Delayed job claimed early: ${claimedEarly !== null}`);
+  console.log(`✓ Schedule fired ${firedCount} time(s), ${scheduledJobs.length} job(s) created`);
+  console.log(`✓ Invalid template rejected: ${invalidTemplate}; stale schedule failed ${failedCount} time(s): ${stale.last_error}`);
+
+  if (claimedEarly === null && firedCount === 1 && scheduledJobs.length === 1 &&
+      new Date(schedule.next_run_at) > new Date() &&
+      invalidTemplate && failedCount === 1 && stale.last_error.includes('Invalid priority')) {
+    console.log('✓ Delayed job waited and the schedule fired exactly once');
+    return true;
+  } else {
+    console.log('✗ Delayed job or schedule deduplication failed');
+    return false;
+  }
+}
+
+async function testDependenciesAndWorkflows() {
+  console.log('\n=== Test 11: Job Dependencies and Workflows ===');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'queuectl-workflow-'));
+  const storage = new FileStorage({ dir });
+  const jobQueue = new JobQueue(storage);
+  const workflows = new WorkflowManager(storage);
+
+  let cycleRejected = false;
+  try {
+    await workflows.submitWorkflow({
+      jobs: { a: { command: 'true', depends_on: ['b'] }, b: { command: 'true', depends_on: ['a'] } }
+    });
+  } catch (error) {
+    cycleRejected = /cycle/.test(error.message);
+  }
+
+  const { workflow } = await workflows.submitWorkflow({
+    name: 'etl',
+    jobs: {
+      extract: { command: 'true' },
+      audit: { command: 'true' },
+      transform: { command: 'true', depends_on: ['extract', 'audit'] },
+      load: { command: 'true', depends_on: ['transform'] }
+    }
+  });
+  const id = name => `${workflow.id}.${name}`;
+
+  const blockedBefore = (await jobQueue.getJob(id('transform'))).state;
+  await jobQueue.markJobCompleted(id('extract'));
+  const blockedAfterOne = (await jobQueue.getJob(id('transform'))).state;
+  await jobQueue.markJobCompleted(id('audit'));
+  const afterBoth = (await jobQueue.getJob(id('transform'))).state;
+
+  await jobQueue.updateJobState(id('transform'), 'processing', { attempts: 2, max_retries: 3 });
+  await jobQueue.markJobFailed(id('transform'), 'boom');
+  const { nodes } = await workflows.getWorkflowStatus(workflow.id);
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  console.log(`✓ transform: ${blockedBefore} -> ${blockedAfterOne} -> ${afterBoth}`);
+  console.log(`✓ load after transform died: ${nodes.get('load').state}`);
+
+  if (cycleRejected && blockedBefore === 'blocked' && blockedAfterOne === 'blocked' &&
+      afterBoth === 'pending' && nodes.get('transform').state === 'dead' && nodes.get('load').state === 'dead') {
+    console.log('✓ Dependencies gated execution and failures cascaded');
+    return true;
+  } else {
+    console.log('✗ Dependency handling did not behave as expected');
+    return false;
+  }
+}
+
+async function testTimeoutsAndCancellation() {
+  console.log('\n=== Test 12: Job Timeouts and Cancellation ===');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'queuectl-cancel-'));
+  const storage = new FileStorage({ dir });
+  const jobQueue = new JobQueue(storage);
+
+  const waiting = await jobQueue.enqueueJob({ id: 'cancel-waiting', command: 'true', run_at: new Date(Date.now() + 60000) });
+  const cancelledWaiting = await jobQueue.cancelJob(waiting.id);
+
+  await jobQueue.enqueueJob({ id: 'cancel-timeout', command: 'sleep 30', timeout: 1, max_retries: 1 });
+  await jobQueue.enqueueJob({ id: 'cancel-running', command: 'sleep 30', timeout: 60 });
+
+  const worker = new Worker('cancel-worker', storage);
+  worker.start().catch(console.error);
+
+  await sleep(3000);
+  const timedOut = await jobQueue.getJob('cancel-timeout');
+
+  const startedAt = Date.now();
+  const requested = await jobQueue.cancelJob('cancel-running');
+  while ((await jobQueue.getJob('cancel-running')).state === 'processing' && Date.now() - startedAt < 10000) {
+    await sleep(200);
+  }
+  const cancelledRunning = await jobQueue.getJob('cancel-running');
+  await worker.stop();
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  console.log(`✓ Waiting job: ${cancelledWaiting.state}; timed out job: ${timedOut.state} (${timedOut.error_message})`);
+  console.log(`✓ Running job: ${cancelledRunning.state} after ${Date.now() - startedAt}ms`);
+
+  if (cancelledWaiting.state === 'cancelled' && timedOut.state === 'dead' &&
+      /timed out/.test(timedOut.error_message) && requested.cancel_requested_at &&
+      cancelledRunning.state === 'cancelled' && cancelledRunning.attempts === 0) {
+    console.log('✓ Timeouts and cancellations ended jobs as expected');
+    return true;
+  } else {
+    console.log('✗ Timeout or cancellation did not behave as expected');
+    return false;
+  }
+}
+
+async function testStreamingLogs() {
+  console.log('\n=== Test 13: Streaming Job Logs ===');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'queuectl-logs-'));
+  const storage = new FileStorage({ dir });
+  const jobQueue = new JobQueue(storage);
+  const jobLogs = new JobLogs(storage);
+
+  await jobQueue.enqueueJob({
+    id: 'logs-job',
+    command: 'echo first; echo oops 1>&2; sleep 3; printf last'
+  });
+  await jobQueue.enqueueJob({ id: 'logs-many', command: 'seq 1 2000' });
+
+  const worker = new Worker('logs-worker', storage);
+  worker.start().catch(console.error);
+
+  await sleep(1800);
+  const whileRunning = await jobLogs.getLogs('logs-job', { attempt: 1 });
+  await sleep(3000);
+  await worker.stop();
+
+  const afterId = whileRunning.length > 0 ? whileRunning[whileRunning.length - 1].id : null;
+  const remaining = await jobLogs.getLogs('logs-job', { attempt: 1, afterId });
+  const all = await jobLogs.getLogs('logs-job');
+  const many = await jobLogs.getLogs('logs-many');
+
+  // Output past the per-attempt limit is dropped, even without a newline
+  const capped = new JobLogWriter(storage, 'logs-job', 2, 500, 1000);
+  capped.write('stdout', 'x'.repeat(600));
+  capped.write('stdout', 'y'.repeat(3000000));
+  capped.write('stderr', 'late\n');
+  await capped.close();
+  const cappedRows = await jobLogs.getLogs('logs-job', { attempt: 2 });
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  const lines = all.map(entry => `${entry.stream}:${entry.message}`);
+  const manyLines = many.map(entry => entry.message).join('\n').split('\n');
+  console.log(`✓ ${whileRunning.length} row(s) while running, ${remaining.length} after; all: ${lines.join(', ')}`);
+  console.log(`✓ ${manyLines.length} line(s) in ${many.length} row(s); capped: ${cappedRows.map(entry => entry.message.length).join(', ')} char(s)`);
+
+  if (whileRunning.length === 2 && remaining.length === 1 &&
+      lines.join(',') === 'stdout:first,stderr:oops,stdout:last' && all.every(entry => entry.created_at) &&
+      manyLines.length === 2000 && manyLines[1999] === '2000' && many.length <= 3 &&
+      cappedRows.length === 1 &&
+      cappedRows[0].message === `${'x'.repeat(600)}${'y'.repeat(400)}\n[log limit of 1000B reached; later output is not logged]`) {
+    console.log('✓ Output was streamed per stream with timestamps');
+    return true;
+  } else {
+    console.log('✗ Logs were not streamed as expected');
+    return false;
+  }
+}
+
+async function testAttemptHistory() {
+  console.log('\n=== Test 14: Per-Attempt Execution History ===');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'queuectl-attempts-'));
+  const storage = new FileStorage({ dir });
+  const jobQueue = new JobQueue(storage);
+  const jobAttempts = new JobAttempts(storage);
+
+  await jobQueue.enqueueJob({ id: 'attempts-job', command: 'echo out; echo err 1>&2; exit 3', max_retries: 2 });
+
+  const worker = new Worker('attempts-worker', storage);
+  worker.start().catch(console.error);
+
+  const startedAt = Date.now();
+  while ((await jobQueue.getJob('attempts-job')).state !== 'dead' && Date.now() - startedAt < 15000) {
+    await sleep(200);
+  }
+  await worker.stop();
+
+  const attempts = await jobAttempts.listAttempts('attempts-job');
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  attempts.forEach(attempt => {
+    console.log(`✓ #${attempt.attempt} ${attempt.outcome} exit ${attempt.exit_code} in ${attempt.duration_ms}ms by ${attempt.worker_id}`);
+  });
+
+  if (attempts.length === 2 && attempts.map(a => a.attempt).join(',') === '1,2' &&
+      attempts.every(a => a.outcome === 'failed' && a.exit_code === 3 && a.worker_id === 'attempts-worker' &&
+        a.stdout === 'out\n' && a.stderr === 'err\n' && a.finished_at && a.duration_ms >= 0)) {
+    console.log('✓ Every attempt was recorded with its outcome and output');
+    return true;
+  } else {
+    console.log('✗ Attempt history was not recorded as expected');
+    return false;
+  }
+}
+
+async function testIdempotentEnqueue() {
+  console.log('\n=== Test 15: Idempotent Enqueue ===');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'queuectl-idempotency-'));
+  const storage = new FileStorage({ dir });
+  const jobQueue = new JobQueue(storage);
+
+  const submissions = await Promise.all([1, 2, 3, 4, 5].map(() =>
+    jobQueue.enqueue({ command: 'echo once', idempotency_key: 'order-42' })
+  ));
+  const created = submissions.filter(result => !result.deduplicated);
+  const ids = new Set(submissions.map(result => result.job.id));
+
+  const first = await jobQueue.enqueue({ id: 'idem-job', command: 'echo first' });
+  const reused = await jobQueue.enqueue({ id: 'idem-job', command: 'echo second' });
+
+  const windowed = await jobQueue.enqueue({ command: 'echo windowed', unique_for: '500ms' });
+  const within = await jobQueue.enqueue({ command: 'echo windowed', unique_for: '500ms' });
+  await sleep(700);
+  const after = await jobQueue.enqueue({ command: 'echo windowed', unique_for: '500ms' });
+
+  const keyedJobs = (await jobQueue.listJobs()).filter(job => job.idempotency_key === 'order-42');
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  console.log(`✓ 5 concurrent submissions: ${created.length} created, ${ids.size} distinct job(s)`);
+  console.log(`✓ Reused id: deduplicated=${reused.deduplicated}, command "${reused.job.command}"`);
+  console.log(`✓ unique_for: within=${within.deduplicated}, after expiry=${after.deduplicated}`);
+
+  if (created.length === 1 && ids.size === 1 && keyedJobs.length === 1 &&
+      !first.deduplicated && reused.deduplicated && reused.job.command === 'echo first' &&
+      !windowed.deduplicated && within.deduplicated && within.job.id === windowed.job.id &&
+      !after.deduplicated && after.job.id !== windowed.job.id) {
+    console.log('✓ Repeated submissions returned the existing job');
+    return true;
+  } else {
+    console.log('✗ Enqueue was not deduplicated as expected');
+    return false;
+  }
+}
+
+async function testBulkEnqueue() {
+  console.log('\n=== Test 16: Bulk Enqueue ===');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'queuectl-bulk-'));
+  const storage = new FileStorage({ dir });
+  const jobQueue = new JobQueue(storage);
+
+  const csv = parseJobFile('id,command,priority,depends_on\nbulk-1,"echo ""a, b""",5,\nbulk-2,echo two,,bulk-1\n', 'csv');
+  const lines = [
+    ...Array.from({ length: 120 }, (_, i) => JSON.stringify({ id: `bulk-many-${i}`, command: `echo ${i}` })),
+    '{"command":"echo bad","priority":"high"}',
+    'not json',
+    '{"id":"bulk-many-0","command":"echo again"}'
+  ].join('\n');
+  const jsonl = parseJobFile(lines, 'jsonl');
+  const jobs = [...csv, ...jsonl].filter(entry => !entry.error).map(entry => entry.data);
+
+  const dryRun = await jobQueue.enqueueBatch(jobs, { batchSize: 50, dryRun: true });
+  const countAfterDryRun = (await jobQueue.listJobs()).length;
+  const result = await jobQueue.enqueueBatch(jobs, { batchSize: 50 });
+  const again = await jobQueue.enqueueBatch(jobs.slice(0, 3), { batchSize: 50 });
+  const child = await jobQueue.getJob('bulk-2');
+  const parent = await jobQueue.getJob('bulk-1');
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  const summary = r => `${r.created.length}/${r.skipped.length}/${r.rejected.length}`;
+  console.log(`✓ Parse errors: ${jsonl.filter(entry => entry.error).length}; dry run ${summary(dryRun)}, stored ${countAfterDryRun}`);
+  console.log(`✓ Created/skipped/rejected: ${summary(result)}, resubmitted: ${summary(again)}`);
+
+  if (summary(dryRun) === '122/1/1' && countAfterDryRun === 0 && summary(result) === '122/1/1' &&
+      summary(again) === '0/3/0' && jsonl.filter(entry => entry.error).length === 1 &&
+      parent.command === 'echo "a, b"' && parent.priority === 5 && child.state === 'blocked') {
+    console.log('✓ Jobs were validated and enqueued in batches');
+    return true;
+  } else {
+    console.log('✗ Bulk enqueue did not behave as expected');
+    return false;
+  }
+}
+
+async function testRestApi() {
+  console.log('\n=== Test 17: REST API Server ===');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'queuectl-api-'));
+  const storage = new FileStorage({ dir });
+  const server = new ApiServer({ storage, token: 'test-token' });
+  const { port } = await server.listen(0);
+
+  const call = async (method, route, body, token = 'test-token') => {
+    const response = await fetch(`http://127.0.0.1:${port}${route}`, {
+      method,
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  try {
+    const unauthorized = await call('GET', '/status', undefined, 'wrong');
+    const created = await call('POST', '/jobs', { id: 'api-job', command: 'echo api', queue: 'api' });
+    const repeated = await call('POST', '/jobs', { id: 'api-job', command: 'echo api' });
+    const invalid = await call('POST', '/jobs', { command: 'echo bad', priority: 'high' });
+    const listed = await call('GET', '/jobs?state=pending&queue=api');
+    await call('POST', '/jobs', { id: 'api-job-2', command: 'echo two', queue: 'other' });
+    const paged = await call('GET', '/jobs?limit=1&offset=1');
+    const badLimit = await call('GET', '/jobs?limit=0');
+    const malformed = await call('GET', '/jobs/%E0%A4%A');
+    const missing = await call('GET', '/jobs/nope');
+    const notDead = await call('POST', '/jobs/api-job/retry');
+    await storage.update('jobs', { id: 'api-job' }, { state: 'dead' });
+    const dlq = await call('GET', '/dlq');
+    const retried = await call('POST', '/jobs/api-job/retry');
+    const config = await call('PUT', '/config', { 'max-retries': 7 });
+    const badConfig = await call('PUT', '/config', { bogus: 1 });
+    const status = await call('GET', '/status');
+
+    console.log(`✓ Statuses: ${[unauthorized, created, repeated, invalid, badLimit, malformed, missing, notDead, badConfig].map(r => r.status).join(', ')}`);
+    console.log(`✓ Page 2 of size 1: ${paged.body.jobs.map(job => job.id).join(',')} of ${paged.body.total}`);
+    console.log(`✓ Listed ${listed.body.jobs.length} job(s), DLQ ${dlq.body.jobs.length}, retried to ${retried.body.job.state}`);
+
+    if (unauthorized.status === 401 && created.status === 201 && repeated.status === 200 && repeated.body.deduplicated &&
+        invalid.status === 400 && listed.body.jobs.length === 1 && missing.status === 404 && notDead.status === 409 &&
+        paged.body.jobs.length === 1 && paged.body.jobs[0].id === 'api-job' && paged.body.total === 2 &&
+        badLimit.status === 400 && malformed.status === 400 &&
+        dlq.body.jobs.length === 1 && retried.body.job.state === 'pending' && config.body.config.max_retries === 7 &&
+        badConfig.status === 400 && status.body.jobs.pending === 2 && status.body.queues.api.total === 1) {
+      console.log('✓ API served queue operations with proper status codes');
+      return true;
+    } else {
+      console.log('✗ API did not behave as expected');
+      return false;
+    }
+  } finally {
+    await server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function testDashboard() {
+  console.log('\n=== Test 18: Dashboard and Live Updates ===');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'queuectl-dashboard-'));
+  const storage = new FileStorage({ dir });
+  const jobQueue = new JobQueue(storage);
+  const server = new ApiServer({ storage, token: 'dash-token' });
+  const { port } = await server.listen(0);
+  const base = `http://127.0.0.1:${port}`;
+  const headers = { Authorization: 'Bearer dash-token' };
+
+  try {
+    const page = await fetch(`${base}/`);
+    const html = await page.text();
+
+    const controller = new AbortController();
+    const stream = await fetch(`${base}/events`, { headers, signal: controller.signal });
+    const reader = stream.body.pipeThrough(new TextDecoderStream()).getReader();
+    const events = [];
+    const reading = (async () => {
+      let buffer = '';
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) {
+          return;
+        }
+        buffer += value;
+        const blocks = buffer.split('\n\n');
+        buffer = blocks.pop();
+        blocks.forEach(block => {
+          const match = block.match(/^event: (\w+)\ndata: (.*)$/);
+          if (match) {
+            events.push({ event: match[1], data: JSON.parse(match[2]) });
+          }
+        });
+      }
+    })().catch(() => {});
+
+    await sleep(1500);
+    await jobQueue.enqueueJob({ id: 'dash-job', command: 'echo dash' });
+    await storage.update('jobs', { id: 'dash-job' }, { state: 'dead', updated_at: new Date().toISOString() });
+    await sleep(1500);
+
+    const deleted = await fetch(`${base}/dlq/dash-job`, { method: 'DELETE', headers });
+    const gone = await fetch(`${base}/jobs/dash-job`, { headers });
+    controller.abort();
+    await reading;
+
+    const statuses = events.filter(e => e.event === 'status').map(e => e.data.jobs);
+    console.log(`✓ Page ${page.status}, ${events.length} event(s): ${[...new Set(events.map(e => e.event))].join(', ')}`);
+    console.log(`✓ Live dead count: ${statuses.map(s => s.dead).join(' -> ')}; delete ${deleted.status}, then ${gone.status}`);
+
+    if (page.status === 200 && /QueueCTL Dashboard/.test(html) && !/supabase/i.test(html) &&
+        events.some(e => e.event === 'workers') && statuses.length >= 2 &&
+        statuses[0].total === 0 && statuses[statuses.length - 1].dead === 1 &&
+        deleted.status === 200 && gone.status === 404) {
+      console.log('✓ Dashboard was served and received live updates');
+      return true;
+    } else {
+      console.log('✗ Dashboard did not behave as expected');
+      return false;
+    }
+  } finally {
+    await server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function testMetrics() {
+  console.log('\n=== Test 19: Prometheus Metrics ===');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'queuectl-metrics-'));
+  const storage = new FileStorage({ dir });
+  const jobQueue = new JobQueue(storage);
+
+  await jobQueue.enqueueJob({ id: 'metrics-ok', command: 'echo ok', queue: 'metrics' });
+  await jobQueue.enqueueJob({ id: 'metrics-fail', command: 'exit 1', queue: 'metrics', max_retries: 1 });
+
+  const worker = new Worker('metrics-worker', storage);
+  worker.start().catch(console.error);
+  await sleep(2500);
+  await worker.stop();
+
+  const metricsServer = new MetricsServer(storage);
+  const { address, port } = await metricsServer.listen(0);
+  const response = await fetch(`http://127.0.0.1:${port}/metrics`);
+  const text = await response.text();
+  await metricsServer.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  const value = name => {
+    const line = text.split('\n').find(l => l.startsWith(`${name} `));
+    return line ? Number(line.split(' ')[1]) : null;
+  };
+
+  const expected = {
+    'queuectl_jobs{queue="metrics",state="completed"}': 1,
+    'queuectl_jobs{queue="metrics",state="dead"}': 1,
+    'queuectl_jobs_enqueued_total{queue="metrics"}': 2,
+    'queuectl_jobs_completed_total{queue="metrics"}': 1,
+    'queuectl_jobs_failed_total{queue="metrics"}': 1,
+    'queuectl_jobs_dead_total{queue="metrics"}': 1,
+    'queuectl_job_wait_seconds_count{queue="metrics"}': 2,
+    'queuectl_job_duration_seconds_count{queue="metrics",outcome="completed"}': 1,
+    'queuectl_job_duration_seconds_bucket{queue="metrics",outcome="failed",le="+Inf"}': 1
+  };
+  const mismatched = Object.entries(expected).filter(([name, count]) => value(name) !== count);
+
+  console.log(`✓ Scrape of ${address} returned ${response.status} (${response.headers.get('content-type')}), ${text.split('\n').length} lines`);
+
+  if (response.status === 200 && address === '127.0.0.1' && mismatched.length === 0 && /# TYPE queuectl_job_wait_seconds histogram/.test(text)) {
+    console.log('✓ Metrics reported job counts, counters and histograms');
+    return true;
+  } else {
+    console.log(`✗ Unexpected metric values: ${mismatched.map(([name]) => `${name}=${value(name)}`).join(', ')}`);
+    return false;
+  }
+}
+
+async function testRetryStrategies() {
+  console.log('\n=== Test 20: Retry Strategies ===');
+
+  const policies = {
+    exponential: resolveRetryPolicy({}, normalizeRetryPolicy({ base: 3 })),
+    linear: resolveRetryPolicy({}, normalizeRetryPolicy({ strategy: 'linear', delay: '10s' })),
+    fixed: resolveRetryPolicy({}, normalizeRetryPolicy({ strategy: 'fixed', delay: '1m' })),
+    list: resolveRetryPolicy({}, normalizeRetryPolicy({ strategy: 'list', delays: '5s,30s' })),
+    capped: resolveRetryPolicy({}, normalizeRetryPolicy({ max_delay: '5s' }))
+  };
+  const delays = Object.entries(policies).map(([name, policy]) =>
+    `${name}:${[1, 2, 3].map(n => computeRetryDelay(policy, n)).join(',')}`);
+  const expectedDelays = ['exponential:3,9,27', 'linear:10,20,30', 'fixed:60,60,60', 'list:5,30,30', 'capped:2,4,5'];
+
+  const full = resolveRetryPolicy({}, { jitter: 'full' });
+  const equal = resolveRetryPolicy({}, { jitter: 'equal' });
+  const jitterOk = computeRetryDelay(full, 3, () => 0) === 0 &&
+    computeRetryDelay(full, 3, () => 0.5) === 4 &&
+    computeRetryDelay(equal, 3, () => 0) === 4 &&
+    computeRetryDelay(equal, 3, () => 0.99) < 8;
+
+  let rejected = false;
+  try {
+    normalizeRetryPolicy({ strategy: 'random' });
+  } catch (error) {
+    rejected = true;
+  }
+
+  console.log(`✓ Delays: ${delays.join(' ')}`);
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'queuectl-retry-'));
+  const storage = new FileStorage({ dir });
+  const jobQueue = new JobQueue(storage);
+  await new Config(storage).set('retry_strategy', 'fixed');
+  await new Config(storage).set('retry_delay', '1m');
+
+  await jobQueue.enqueueJob({ id: 'retry-fatal', command: 'exit 2', queue: 'retry', retry: { no_retry_on: [2] } });
+  await jobQueue.enqueueJob({ id: 'retry-again', command: 'exit 1', queue: 'retry', retry: { no_retry_on: [2] } });
+
+  const worker = new Worker('retry-worker', storage);
+  worker.start().catch(console.error);
+  await sleep(2500);
+  await worker.stop();
+
+  const fatal = await jobQueue.getJob('retry-fatal');
+  const again = await jobQueue.getJob('retry-again');
+  const retryIn = (new Date(again.next_retry_at).getTime() - new Date(again.updated_at).getTime()) / 1000;
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  console.log(`✓ Exit 2: ${fatal.state} after ${fatal.attempts} attempt(s); exit 1: ${again.state}, retry in ${Math.round(retryIn)}s`);
+
+  if (delays.join(' ') === expectedDelays.join(' ') && jitterOk && rejected &&
+      fatal.state === 'dead' && fatal.attempts === 1 &&
+      again.state === 'failed' && Math.round(retryIn) === 60) {
+    console.log('✓ Retry policies computed delays and honoured exit-code rules');
+    return true;
+  } else {
+    console.log('✗ Retry policy behaved unexpectedly');
+    return false;
+  }
+}
+
+async function testLayeredConfig() {
+  console.log('\n=== Test 21: Layered Configuration ===');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'queuectl-config-'));
+  const storage = new FileStorage({ dir });
+  const configFile = path.join(dir, 'queuectl.config.json');
+  fs.writeFileSync(configFile, JSON.stringify({ config: { 'poll-interval': '250ms', job_timeout: 30 } }));
+
+  const previous = { QUEUECTL_CONFIG: process.env.QUEUECTL_CONFIG, QUEUECTL_JOB_TIMEOUT: process.env.QUEUECTL_JOB_TIMEOUT };
+  process.env.QUEUECTL_CONFIG = configFile;
+  process.env.QUEUECTL_JOB_TIMEOUT = '2m';
+
+  try {
+    const dbConfig = new Config(storage);
+    await dbConfig.set('max_retries', '4');
+    await dbConfig.set('stale_lock_timeout', '10m');
+    await dbConfig.set('heartbeat_interval', '200ms');
+
+    let rejected = false;
+    try {
+      await dbConfig.set('max_retries', 'many');
+    } catch (error) {
+      rejected = true;
+    }
+
+    // Rows written before values were validated must not break resolve()
+    await storage.upsert('config', { key: 'backoff_base', value: 'fast', updated_at: new Date().toISOString() });
+
+    const entries = await new Config(storage, { overrides: { stale_lock_timeout: '1m' } }).resolve();
+    const staleRow = entries.find(entry => entry.key === 'backoff_base').invalid;
+    const sources = Object.fromEntries(entries.map(entry => [entry.key, `${entry.value}@${entry.source}`]));
+    const expected = {
+      max_retries: '4@database',
+      job_timeout: '120@env',
+      poll_interval: '0.25@file',
+      stale_lock_timeout: '60@cli',
+      backoff_base: '2@default'
+    };
+    const mismatched = Object.entries(expected).filter(([key, value]) => sources[key] !== value);
+
+    const job = await new JobQueue(storage).enqueueJob({ id: 'config-job', command: 'echo hi' });
+
+    const worker = new Worker('config-worker', storage);
+    worker.start().catch(console.error);
+    await sleep(300);
+    await dbConfig.set('heartbeat_interval', '1s');
+    await sleep(500);
+    const refreshed = worker.heartbeatInterval;
+    await worker.stop();
+
+    console.log(`✓ Sources: ${Object.keys(expected).map(key => `${key}=${sources[key]}`).join(', ')}`);
+    console.log(`✓ Job max_retries ${job.max_retries}; worker poll ${worker.pollInterval}ms, heartbeat ${refreshed}ms after change`);
+
+    if (mismatched.length === 0 && rejected && entries.length === CONFIG_KEYS.length &&
+        staleRow.length === 1 && staleRow[0].source === 'database' &&
+        job.max_retries === 4 && worker.pollInterval === 250 && refreshed === 1000) {
+      console.log('✓ Config layers, validation and worker refresh behaved as expected');
+      return true;
+    } else {
+      console.log('✗ Layered configuration behaved unexpectedly');
+      return false;
+    }
+  } finally {
+    Object.entries(previous).forEach(([name, value]) => {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    });
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function testWorkerConcurrency() {
+  console.log('\n=== Test 22: Worker Concurrency ===');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'queuectl-slots-'));
+  const storage = new FileStorage({ dir });
+  const jobQueue = new JobQueue(storage);
+  await new Config(storage).set('heartbeat_interval', '200ms');
+
+  for (let i = 0; i < 4; i++) {
+    await jobQueue.enqueueJob({ id: `slot-${i}`, command: 'sleep 1', queue: 'slots' });
+  }
+
+  const worker = new Worker('slot-worker', storage, { concurrency: 4 });
+  const startedAt = Date.now();
+  worker.start().catch(console.error);
+  await sleep(700);
+
+  const { data: running } = await storage.select('jobs', { where: { queue: 'slots', state: 'processing' } });
+  const { data: row } = await storage.selectOne('workers', { id: 'slot-worker' });
+
+  await worker.stop();
+  const elapsed = Date.now() - startedAt;
+  const { data: done } = await storage.select('jobs', { where: { queue: 'slots', state: 'completed' } });
+  const { data: stopped } = await storage.selectOne('workers', { id: 'slot-worker' });
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  console.log(`✓ ${running.length} job(s) running at once; heartbeat slots ${row.active_jobs}/${row.concurrency}`);
+  console.log(`✓ Stop drained ${done.length} job(s) in ${elapsed}ms; worker ${stopped.status}`);
+
+  if (running.length === 4 && row.active_jobs === 4 && row.concurrency === 4 &&
+      done.length === 4 && elapsed < 3000 && stopped.status === 'stopped' && stopped.active_jobs === 0) {
+    console.log('✓ One worker ran jobs in parallel slots and drained them on stop');
+    return true;
+  } else {
+    console.log('✗ Worker concurrency behaved unexpectedly');
+    return false;
+  }
+}
+
+async function testWorkerControl() {
+  console.log('\n=== Test 23: Remote Worker Control ===');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'queuectl-control-'));
+  const storage = new FileStorage({ dir });
+  const jobQueue = new JobQueue(storage);
+  const manager = new WorkerManager(storage);
+
+  await jobQueue.enqueueJob({ id: 'control-long', command: 'sleep 5', queue: 'control' });
+
+  const worker = new Worker('control-worker', storage, { concurrency: 2 });
+  worker.controlCheckInterval = 200;
+  const finished = worker.start();
+  await sleep(500);
+
+  const [listed] = await manager.listWorkers();
+
+  await manager.sendCommand(['control-worker'], 'pause');
+  const notPaused = await manager.waitForStatus(['control-worker'], ['paused'], { timeoutMs: 3000, interval: 100 });
+  await jobQueue.enqueueJob({ id: 'control-quick', command: 'echo hi', queue: 'control' });
+  await sleep(1200);
+  const whilePaused = await jobQueue.getJob('control-quick');
+
+  await manager.sendCommand(['control-worker'], 'resume');
+  await sleep(1500);
+  const afterResume = await jobQueue.getJob('control-quick');
+
+  await manager.sendCommand(['control-worker'], 'stop', { deadline: new Date(Date.now() + 300) });
+  const notStopped = await manager.waitForStatus(['control-worker'], ['stopped'], { timeoutMs: 8000, interval: 100 });
+  await finished;
+  const long = await jobQueue.getJob('control-long');
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  console.log(`✓ Listed ${listed.id} on ${listed.host} (pid ${listed.pid}, v${listed.version}) running ${listed.current_jobs.join(', ')}`);
+  console.log(`✓ Quick job while paused: ${whilePaused.state}; after resume: ${afterResume.state}`);
+  console.log(`✓ Long job after stop timeout: ${long.state} (${long.error_message})`);
+
+  if (listed.pid === process.pid && listed.current_jobs.includes('control-long') && notPaused.length === 0 &&
+      whilePaused.state === 'pending' && afterResume.state === 'completed' &&
+      notStopped.length === 0 && long.state === 'failed') {
+    console.log('✓ Workers followed pause, resume and stop commands');
+    return true;
+  } else {
+    console.log('✗ Worker control behaved unexpectedly');
+    return false;
+  }
+}
+
+async function testQueuePause() {
+  console.log('\n=== Test 24: Queue Pause and Resume ===');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'queuectl-pause-'));
+  const jobQueue = new JobQueue(new FileStorage({ dir }));
+  const pauses = new QueuePauses(new FileStorage({ dir }));
+
+  await jobQueue.enqueueJob({ id: 'pause-a1', command: 'echo a', queue: 'pause-a' });
+  await jobQueue.enqueueJob({ id: 'pause-a2', command: 'echo a', queue: 'pause-a' });
+  await jobQueue.enqueueJob({ id: 'pause-b1', command: 'echo b', queue: 'pause-b' });
+  await jobQueue.enqueueJob({ id: 'pause-b2', command: 'echo b', queue: 'pause-b' });
+
+  await pauses.pause('pause-a', { reason: 'downstream outage' });
+  const anyQueue = await jobQueue.acquireJobLocks('pause-worker', null, 5);
+  const onlyPaused = await jobQueue.acquireJobLocks('pause-worker', ['pause-a'], 5);
+
+  await pauses.pause(ALL_QUEUES);
+  await pauses.resume('pause-a');
+  await jobQueue.enqueueJob({ id: 'pause-b3', command: 'echo b', queue: 'pause-b' });
+  const globallyPaused = await jobQueue.acquireJobLocks('pause-worker', null, 5);
+  const listed = await new QueuePauses(new FileStorage({ dir })).pausedQueues();
+
+  await pauses.resume(ALL_QUEUES);
+  await pauses.pause('pause-a', { duration: '200ms' });
+  const beforeExpiry = await jobQueue.acquireJobLocks('pause-worker', ['pause-a'], 1);
+  await sleep(300);
+  const afterExpiry = await jobQueue.acquireJobLocks('pause-worker', ['pause-a'], 1);
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  const ids = jobs => jobs.map(job => job.id).join(',') || 'none';
+  console.log(`✓ With pause-a paused: ${ids(anyQueue)}; from pause-a only: ${ids(onlyPaused)}`);
+  console.log(`✓ Global pause: ${ids(globallyPaused)} claimed, stored pauses: ${listed.join(',')}`);
+  console.log(`✓ Expiring pause: before ${ids(beforeExpiry)}, after ${ids(afterExpiry)}`);
+
+  if (ids(anyQueue) === 'pause-b1,pause-b2' && onlyPaused.length === 0 && globallyPaused.length === 0 &&
+      listed.join(',') === ALL_QUEUES && beforeExpiry.length === 0 && afterExpiry.length === 1) {
+    console.log('✓ Paused queues were skipped until resumed or expired');
+    return true;
+  } else {
+    console.log('✗ Queue pauses behaved unexpectedly');
+    return false;
+  }
+}
+
+async function testExecutionEnvironment() {
+  console.log('\n=== Test 25: Job Execution Environment ===');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'queuectl-exec-'));
+  const storage = new FileStorage({ dir });
+  const jobQueue = new JobQueue(storage);
+  const workDir = fs.realpathSync(os.tmpdir());
+
+  await jobQueue.enqueueJob({ id: 'exec-argv', command: ['echo', '$(echo injected); rm -rf /nowhere'], queue: 'exec' });
+  await jobQueue.enqueueJob({
+    id: 'exec-env',
+    command: 'printf "%s %s %s " "$GREETING" "$QUEUECTL_ATTEMPT" "$(pwd)"; cat',
+    env: { GREETING: 'hello' },
+    cwd: workDir,
+    payload: { name: 'stdin' },
+    queue: 'exec'
+  });
+  await jobQueue.enqueueJob({
+    id: 'exec-file',
+    command: 'cat "$QUEUECTL_PAYLOAD_FILE"; echo " $QUEUECTL_PAYLOAD_FILE"',
+    shell: '/bin/sh',
+    payload: [1, 2, 3],
+    payload_mode: 'file',
+    queue: 'exec'
+  });
+
+  // Spawning throws on the NUL byte; its payload file and timers must still be cleaned up
+  await jobQueue.enqueueJob({
+    id: 'exec-spawn-error',
+    command: ['echo', 'a\u0000b'],
+    payload: { x: 1 },
+    payload_mode: 'file',
+    max_retries: 1,
+    queue: 'exec'
+  });
+  const payloadDirs = () => fs.readdirSync(os.tmpdir()).filter(name => name.startsWith('queuectl-payload-')).length;
+  const payloadDirsBefore = payloadDirs();
+
+  let rejected = false;
+  try {
+    await jobQueue.enqueueJob({ command: 'env', env: { 'BAD-NAME': 'x' } });
+  } catch (error) {
+    rejected = true;
+  }
+
+  const worker = new Worker('exec-worker', storage, { concurrency: 3 });
+  worker.start().catch(console.error);
+  await sleep(2000);
+  await worker.stop();
+
+  const argvJob = await jobQueue.getJob('exec-argv');
+  const envJob = await jobQueue.getJob('exec-env');
+  const fileJob = await jobQueue.getJob('exec-file');
+  const spawnErrorJob = await jobQueue.getJob('exec-spawn-error');
+  const leftoverPayloads = payloadDirs() - payloadDirsBefore;
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  const [payloadText, payloadPath] = (fileJob.stdout || '').trim().split(' ');
+
+  console.log(`✓ argv: ${argvJob.command} -> ${(argvJob.stdout || '').trim()}`);
+  console.log(`✓ env/cwd/stdin: ${(envJob.stdout || '').trim()}`);
+  console.log(`✓ file payload: ${payloadText}, removed afterwards: ${!fs.existsSync(payloadPath)}`);
+  console.log(`✓ spawn error: ${spawnErrorJob.state}, leftover payload dirs: ${leftoverPayloads}`);
+
+  if (argvJob.stdout.trim() === '$(echo injected); rm -rf /nowhere' &&
+      envJob.stdout.trim() === `hello 1 ${workDir} {"name":"stdin"}` &&
+      payloadText === '[1,2,3]' && !fs.existsSync(payloadPath) && rejected &&
+      spawnErrorJob.state === 'dead' && leftoverPayloads === 0) {
+    console.log('✓ Jobs ran with their own argv, env, cwd, shell and payload');
+    return true;
+  } else {
+    console.log('✗ Job execution settings were not applied');
+    return false;
+  }
+}
+
+async function testExecutionPolicy() {
+  console.log('\n=== Test 26: Execution Policy ===');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'queuectl-policy-'));
+  const storage = new FileStorage({ dir });
+  const jobQueue = new JobQueue(storage);
+  const policy = normalizeExecutionPolicy({
+    allow: ['echo', 'sh', '/^printf /'],
+    deny: ['rm'],
+    max_output: '100b',
+    cpu_time: '1s'
+  });
+
+  await jobQueue.enqueueJob({ id: 'policy-ok', command: ['echo', 'allowed'] });
+  await jobQueue.enqueueJob({ id: 'policy-chain', command: 'echo hi; curl example.com' });
+  await jobQueue.enqueueJob({ id: 'policy-deny', command: 'printf x && rm -f /tmp/queuectl-none' });
+  await jobQueue.enqueueJob({ id: 'policy-output', command: ['printf', '%0500d', '0'] });
+  await jobQueue.enqueueJob({ id: 'policy-cpu', command: ['sh', '-c', 'while :; do :; done'], max_retries: 1, timeout: 20 });
+
+  let invalid = false;
+  try {
+    normalizeExecutionPolicy({ allowlist: ['echo'] });
+  } catch (error) {
+    invalid = true;
+  }
+
+  // A fake echo outside PATH must not pass for the allowed one
+  const fakeEcho = path.join(dir, 'echo');
+  fs.writeFileSync(fakeEcho, '#!/bin/sh\ntouch "$0.ran"\n', { mode: 0o755 });
+  const bypasses = [
+    { command: 'echo hi', shell: '/bin/bash', env: { BASH_ENV: '$(touch /tmp/queuectl-none)' } },
+    { command: 'echo hi', env: { PATH: dir } },
+    { command: 'echo hi', env: { LD_PRELOAD: '/tmp/evil.so' } },
+    { command: "'rm' -rf x" },
+    { command: '"rm" -rf x' },
+    { command: 'r\\m -rf x' },
+    { command: '$CMD -rf x', env: { CMD: 'rm' } },
+    { command: './echo hi', cwd: dir },
+    { command: `${fakeEcho} hi` },
+    { command: 'echo', argv: [fakeEcho, 'hi'] }
+  ].map(job => checkExecutionPolicy(policy, job));
+  const plainEcho = checkExecutionPolicy(policy, { command: 'echo hi', env: { GREETING: 'hi' } });
+
+  const worker = new Worker('policy-worker', storage, { concurrency: 5, policy });
+  worker.start().catch(console.error);
+  await sleep(4000);
+  await worker.stop();
+
+  // Switching users needs root; elsewhere the payload check is skipped
+  let payloadAsUser = null;
+  if (process.getuid && process.getuid() === 0) {
+    await jobQueue.enqueueJob({ id: 'policy-payload', command: 'cat "$QUEUECTL_PAYLOAD_FILE"', payload: { n: 1 }, payload_mode: 'file' });
+    const userWorker = new Worker('policy-user-worker', storage, { policy: normalizeExecutionPolicy({ uid: 65534, gid: 65534 }) });
+    userWorker.start().catch(console.error);
+    await sleep(1500);
+    await userWorker.stop();
+    payloadAsUser = await jobQueue.getJob('policy-payload');
+  }
+
+  const [ok, chain, deny, output, cpu] = await Promise.all(
+    ['policy-ok', 'policy-chain', 'policy-deny', 'policy-output', 'policy-cpu'].map(id => jobQueue.getJob(id)));
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  console.log(`✓ allowed: ${ok.state}`);
+  console.log(`✓ chained: ${chain.state} after ${chain.attempts} attempt(s) - ${chain.error_message}`);
+  console.log(`✓ denied: ${deny.state} - ${deny.error_message}`);
+  console.log(`✓ output limit: ${output.state} - ${output.error_message}`);
+  console.log(`✓ cpu limit: ${cpu.state} - ${cpu.error_message}`);
+  console.log(`✓ file payload as uid 65534: ${payloadAsUser ? `${payloadAsUser.state} ${(payloadAsUser.stdout || payloadAsUser.error_message || '').trim()}` : 'skipped, not root'}`);
+  console.log(`✓ bypasses rejected: ${bypasses.filter(Boolean).length}/${bypasses.length}, plain echo: ${plainEcho || 'allowed'}`);
+
+  if (ok.state === 'completed' &&
+      chain.state === 'dead' && chain.attempts === 1 && chain.error_message.startsWith('Rejected by execution policy') &&
+      deny.state === 'dead' && deny.error_message.includes('deny rule rm') &&
+      output.state === 'failed' && output.error_message.includes('exceeded the limit of 100 bytes') &&
+      cpu.state === 'dead' && cpu.error_message.includes('SIGXCPU') && invalid &&
+      bypasses.every(Boolean) && plainEcho === null &&
+      (!payloadAsUser || (payloadAsUser.state === 'completed' && payloadAsUser.stdout.trim() === '{"n":1}'))) {
+    console.log('✓ Worker enforced its allow list, deny list and resource limits');
+    return true;
+  } else {
+    console.log('✗ Execution policy was not enforced');
+    return false;
+  }
+}
+
+async function testHooks() {
+  console.log('\n=== Test 27: Notification Hooks ===');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'queuectl-hooks-'));
+  const storage = new FileStorage({ dir });
+  const jobQueue = new JobQueue(storage);
+  const hooks = new Hooks(storage, { retryDelaysMs: [100, 100] });
+  const secret = 'test-secret';
+  const received = [];
+  let requests = 0;
+
+  // The first request fails so the delivery is retried
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests++;
+      const expected = signPayload(secret, req.headers['x-queuectl-timestamp'], body);
+      received.push({ valid: req.headers['x-queuectl-signature'] === expected, body: JSON.parse(body) });
+      res.writeHead(requests === 1 ? 500 : 204);
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  const logFile = path.join(dir, 'events.log');
+  await hooks.addHook('dlq-webhook', { url: `http://127.0.0.1:${server.address().port}/hook`, events: 'dead', secret });
+  await hooks.addHook('log-command', { command: `cat >> "${logFile}"; echo >> "${logFile}"`, events: ['completed', 'dead'] });
+
+  await jobQueue.enqueueJob({ id: 'hook-ok', command: 'echo done' });
+  await jobQueue.enqueueJob({ id: 'hook-dead', command: 'exit 3', max_retries: 1 });
+
+  const worker = new Worker('hooks-worker', storage, { concurrency: 2, hooks });
+  worker.start().catch(console.error);
+  await sleep(2500);
+  await worker.stop();
+  server.close();
+
+  const logged = fs.readFileSync(logFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  const deliveries = await hooks.listDeliveries({ hook: 'dlq-webhook' });
+
+  // A locked-down worker holds command hooks to its execution policy
+  const policy = normalizeExecutionPolicy({ allow_shell: false });
+  const lockedWorker = new Worker('hooks-locked-worker', storage, { policy });
+  const marker = path.join(dir, 'hook-ran');
+  await hooks.addHook('shell-command', { command: `touch "${marker}"` });
+  const rejected = await lockedWorker.hooks.testHook('shell-command');
+  const ranAnyway = fs.existsSync(marker);
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  const events = logged.map(entry => `${entry.event}:${entry.job.id}`).sort();
+  console.log(`✓ Command hook events: ${events.join(', ')}`);
+  console.log(`✓ Webhook requests: ${requests}, signatures valid: ${received.every(request => request.valid)}`);
+  console.log(`✓ Delivery log: ${deliveries.map(delivery => `#${delivery.attempt} ${delivery.status}`).reverse().join(', ')}`);
+  console.log(`✓ Shell hook under allow_shell: false: ${rejected.status} (${rejected.error}), ran: ${ranAnyway}`);
+
+  if (events.join(',') === 'completed:hook-ok,dead:hook-dead' &&
+      rejected.status === 'failed' && /^Rejected by execution policy/.test(rejected.error) && !ranAnyway &&
+      requests === 2 && received.every(request => request.valid) &&
+      received[1].body.event === 'dead' && received[1].body.job.id === 'hook-dead' &&
+      deliveries.length === 2 && deliveries[0].status === 'delivered' && deliveries[1].status === 'failed') {
+    console.log('✓ Hooks were notified, signed and retried');
+    return true;
+  } else {
+    console.log('✗ Hooks were not delivered as expected');
+    return false;
+  }
+}
+
+async function testJobResults() {
+  console.log('\n=== Test 28: Structured Job Results ===');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'queuectl-results-'));
+  const storage = new FileStorage({ dir });
+  const jobQueue = new JobQueue(storage);
+  const config = new Config(storage);
+  await config.set('result_inline_limit', '1KB');
+  await config.set('artifact_max_size', '4KB');
+  await config.set('artifact_dir', path.join(dir, 'artifacts'));
+
+  await jobQueue.enqueueJob({ id: 'result-ok', command: 'echo out; echo err >&2' });
+  await jobQueue.enqueueJob({ id: 'result-big', command: "printf 'x%.0s' $(seq 1 3000); printf 'y%.0s' $(seq 1 3000)" });
+  await jobQueue.enqueueJob({ id: 'result-fail', command: 'echo partial; exit 4', max_retries: 1 });
+  await jobQueue.enqueueJob({ id: 'result-chatty', command: "head -c 3000000 /dev/zero | tr '\\0' z" });
+
+  const worker = new Worker('results-worker', storage, { concurrency: 4 });
+  worker.start().catch(console.error);
+  await sleep(2000);
+  await worker.stop();
+
+  const [ok, big, fail, chatty] = await Promise.all(['result-ok', 'result-big', 'result-fail', 'result-chatty'].map(id => jobQueue.getJob(id)));
+  const full = readResultOutput(big, 'stdout');
+  const chattyArtifact = fs.statSync(chatty.artifacts.stdout.path).size;
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  console.log(`✓ ok: exit ${ok.exit_code}, stdout ${JSON.stringify(ok.stdout)}, stderr ${JSON.stringify(ok.stderr)}, ${ok.duration_ms}ms`);
+  console.log(`✓ big: ${big.artifacts.stdout.bytes} bytes, ${full.text.length} kept in artifact, row preview ${Buffer.byteLength(big.stdout)} bytes`);
+  console.log(`✓ failed: ${fail.state}, exit ${fail.exit_code}, stdout ${JSON.stringify(fail.stdout)}`);
+  console.log(`✓ chatty: ${chatty.artifacts.stdout.bytes} bytes, artifact file ${chattyArtifact} bytes`);
+
+  if (ok.exit_code === 0 && ok.signal === null && ok.stdout === 'out\n' && ok.stderr === 'err\n' &&
+      ok.started_at && ok.duration_ms >= 0 && ok.artifacts === null &&
+      big.artifacts.stdout.bytes === 6000 && big.artifacts.stdout.truncated &&
+      full.text === 'x'.repeat(3000) + 'y'.repeat(1096) && big.stdout.endsWith('y'.repeat(1024)) &&
+      fail.state === 'dead' && fail.exit_code === 4 && fail.stdout === 'partial\n' &&
+      chatty.state === 'completed' && chatty.artifacts.stdout.bytes === 3000000 && chattyArtifact === 4096 &&
+      chatty.artifacts.stdout.stored_bytes === 4096 && chatty.stdout.endsWith('z'.repeat(1024))) {
+    console.log('✓ Results recorded with exit code, separate streams, timing and artifacts');
+    return true;
+  } else {
+    console.log('✗ Job results were not recorded as expected');
+    return false;
+  }
+}
+
+async function testRetention() {
+  console.log('\n=== Test 29: Retention and Purge ===');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'queuectl-retention-'));
+  const storage = new FileStorage({ dir });
+  const retention = new Retention(storage);
+  const old = new Date(Date.now() - 10 * 24 * 3600 * 1000).toISOString();
+  const recent = new Date().toISOString();
+  const job = (id, state, updatedAt) => ({
+    id, command: 'true', state, queue: 'default', attempts: 1, max_retries: 3, created_at: updatedAt, updated_at: updatedAt
+  });
+
+  await storage.insert('jobs', [
+    job('old-done', 'completed', old),
+    job('new-done', 'completed', recent),
+    job('old-dead', 'dead', old),
+    job('old-pending', 'pending', old),
+    // chain-a -> chain-b -> chain-c, and an orphan whose other parent is already gone
+    job('chain-a', 'completed', old),
+    { ...job('chain-b', 'processing', old), depends_on: ['chain-a'] },
+    { ...job('chain-c', 'blocked', recent), depends_on: ['chain-b'] },
+    { ...job('orphan', 'blocked', recent), depends_on: ['chain-b', 'purged-parent'] },
+    // A full page of pending jobs sorts before chain-b, so its dependency is only seen on the second page
+    ...Array.from({ length: 1000 }, (_, i) => ({ ...job(`a-filler-${String(i).padStart(4, '0')}`, 'pending', recent), depends_on: [] }))
+  ]);
+  await storage.insert('job_attempts', { job_id: 'old-done', attempt: 1, worker_id: 'w', outcome: 'completed', started_at: old });
+  await storage.insert('workers', [
+    { id: 'gone', status: 'stopped', last_heartbeat: old },
+    { id: 'crashed', status: 'active', last_heartbeat: old },
+    { id: 'alive', status: 'active', last_heartbeat: recent },
+    { id: 'slow', status: 'active', last_heartbeat: new Date(Date.now() - 120 * 1000).toISOString() }
+  ]);
+
+  const weekMs = 7 * 24 * 3600 * 1000;
+  const dryRun = await retention.purgeJobs({ states: ['completed', 'dead'], olderThanMs: weekMs, dryRun: true });
+  const archive = path.join(dir, 'archive.jsonl.gz');
+  const purged = await retention.purgeJobs({ states: ['completed'], olderThanMs: weekMs, archive });
+  const workers = await retention.purgeWorkers({ olderThanMs: weekMs, archive });
+  // Live workers are kept until their heartbeat is older than stale_lock_timeout
+  const early = await retention.purgeWorkers({ olderThanMs: 1000 });
+  let shortRetention = null;
+  try {
+    await new Config(storage).set('retention_workers', '10s');
+  } catch (error) {
+    shortRetention = error.message;
+  }
+
+  await retention.config.set('retention_dead', '7d');
+  const applied = await retention.applyRetention();
+
+  const { data: remaining } = await storage.select('jobs', { order: [['id', 'asc']] });
+  const jobQueue = new JobQueue(storage);
+  await jobQueue.markJobCompleted('chain-b');
+  const lateFailure = await jobQueue.markJobFailed('chain-b', 'error after completion');
+  const [chainC, orphan] = await Promise.all([jobQueue.getJob('chain-c'), jobQueue.getJob('orphan')]);
+  const { data: attempts } = await storage.select('job_attempts');
+  const { data: workerRows } = await storage.select('workers');
+  const archived = zlib.gunzipSync(fs.readFileSync(archive)).toString().trim().split('\n').map(line => JSON.parse(line));
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  const ids = remaining.map(row => row.id).filter(id => !id.startsWith('a-filler-')).join(',');
+  console.log(`✓ Dry run counted ${dryRun.count}, purged ${purged.count} job(s) and ${workers.count} worker(s), then ${early.count} with a 1s period`);
+  console.log(`✓ retention_workers=10s: ${shortRetention}`);
+  console.log(`✓ Archived: ${archived.map(line => `${line.table}/${line.row.id}`).join(', ')}`);
+  console.log(`✓ Retention: ${applied.map(result => `${result.count} ${result.target}`).join(', ')}; remaining jobs: ${ids}`);
+  console.log(`✓ After the kept parent's child completed: chain-c ${chainC.state}, orphan ${orphan.state}`);
+
+  if (dryRun.count === 2 && purged.count === 1 && workers.count === 2 && early.count === 0 &&
+      /at least 60s/.test(shortRetention) &&
+      archived.length === 3 && archived[0].row.id === 'old-done' &&
+      archived.slice(1).map(line => line.row.id).join(',') === 'gone,crashed' &&
+      applied.length === 1 && applied[0].count === 1 &&
+      ids === 'chain-a,chain-b,chain-c,new-done,old-pending,orphan' && attempts.length === 0 &&
+      chainC.state === 'pending' && orphan.state === 'pending' && lateFailure.state === 'completed' &&
+      workerRows.map(row => row.id).join(',') === 'alive,slow') {
+    console.log('✓ Old rows were archived and purged; recent and unfinished ones were kept');
+    return true;
+  } else {
+    console.log('✗ Retention did not purge the expected rows');
+    return false;
+  }
+}
+
+async function testBulkDLQ() {
+  console.log('\n=== Test 30: Bulk DLQ Operations ===');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'queuectl-bulk-dlq-'));
+  const storage = new FileStorage({ dir });
+  const jobQueue = new JobQueue(storage);
+  const hourAgo = new Date(Date.now() - 3600 * 1000).toISOString();
+  const dead = (id, command, error, updatedAt = new Date().toISOString()) => ({
+    id, command, state: 'dead', queue: 'default', attempts: 3, max_retries: 3,
+    error_message: error, created_at: hourAgo, updated_at: updatedAt
+  });
+
+  await storage.insert('jobs', [
+    dead('dlq-timeout-1', 'curl https://api.example.com/a', 'Job timed out after 60s'),
+    dead('dlq-timeout-2', 'curl https://api.example.com/b', 'Job timed out after 60s'),
+    dead('dlq-exit', 'python3 etl.py', 'Command failed with exit code 2'),
+    dead('dlq-old', 'curl https://api.example.com/c', 'Job timed out after 60s', hourAgo),
+    dead('dlq-parent', 'echo parent', 'Command failed with exit code 1'),
+    { ...dead('dlq-child', 'echo child', 'Dependency dlq-parent is dead'), depends_on: ['dlq-parent'] },
+    { ...dead('dlq-orphan', 'echo orphan', 'Command failed with exit code 1'), depends_on: ['purged-parent'] }
+  ]);
+
+  const byError = await jobQueue.findDLQJobs({ errorMatch: 'timed out' });
+  const byCommand = await jobQueue.findDLQJobs({ commandMatch: '^python3 ' });
+  const recent = await jobQueue.findDLQJobs({ errorMatch: 'timed out', since: new Date(Date.now() - 60 * 1000) });
+
+  let invalid = false;
+  try {
+    await jobQueue.findDLQJobs({ errorMatch: '(' });
+  } catch (error) {
+    invalid = true;
+  }
+
+  await jobQueue.retryDLQJob('dlq-timeout-1');
+  await jobQueue.retryDLQJob('dlq-timeout-2', { resetAttempts: false });
+  await jobQueue.deleteDLQJob('dlq-exit');
+
+  // A dead parent must be retried first; a purged one counts as completed
+  let childRefused = null;
+  try {
+    await jobQueue.retryDLQJob('dlq-child');
+  } catch (error) {
+    childRefused = error.message;
+  }
+  await jobQueue.retryDLQJob('dlq-parent');
+  const child = await jobQueue.retryDLQJob('dlq-child');
+  const orphan = await jobQueue.retryDLQJob('dlq-orphan');
+
+  const reset = await jobQueue.getJob('dlq-timeout-1');
+  const kept = await jobQueue.getJob('dlq-timeout-2');
+  const deleted = await jobQueue.getJob('dlq-exit');
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  console.log(`✓ Error filter: ${byError.length}, command filter: ${byCommand.length}, since filter: ${recent.length}`);
+  console.log(`✓ Reset attempts: ${reset.state} ${reset.attempts}, kept attempts: ${kept.state} ${kept.attempts}`);
+  console.log(`✓ Child of a dead parent: ${childRefused}; after the parent: ${child.state}; orphan: ${orphan.state}`);
+
+  if (byError.length === 3 && byCommand.length === 1 && byCommand[0].id === 'dlq-exit' &&
+      recent.length === 2 && invalid &&
+      reset.state === 'pending' && reset.attempts === 0 &&
+      kept.state === 'pending' && kept.attempts === 3 && !deleted &&
+      /dependency dlq-parent is dead/i.test(childRefused) && child.state === 'blocked' && orphan.state === 'pending') {
+    console.log('✓ Dead jobs were selected by filters, retried and deleted');
+    return true;
+  } else {
+    console.log('✗ Bulk DLQ operations did not behave as expected');
+    return false;
+  }
+}
+
+async function testListJobs() {
+  console.log('\n=== Test 31: Job Listing ===');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'queuectl-list-'));
+  const storage = new FileStorage({ dir });
+  const jobQueue = new JobQueue(storage);
+  const created = minutesAgo => new Date(Date.now() - minutesAgo * 60 * 1000).toISOString();
+  const job = (id, command, priority, minutesAgo) => ({
+    id, command, priority, state: 'completed', queue: 'default', attempts: 1, max_retries: 3,
+    created_at: created(minutesAgo), updated_at: created(minutesAgo)
+  });
+
+  await storage.insert('jobs', [
+    job('list-a', 'echo a', 1, 50),
+    { ...job('list-b', 'python3 b.py', 3, 40), worker_id: 'worker-1' },
+    job('list-c', 'echo c', 2, 30),
+    { ...job('list-d', 'python3 d.py', 2, 20), worker_id: 'worker-1' },
+    { ...job('list-e', 'echo e', 0, 10), worker_id: 'worker-2' }
+  ]);
+
+  const firstPage = await jobQueue.findJobs({ limit: 2 });
+  const secondPage = await jobQueue.findJobs({ limit: 2, offset: 2 });
+  const byPriority = await jobQueue.findJobs({ sort: 'priority:desc' });
+  const python = await jobQueue.findJobs({ commandMatch: '^python3 ' });
+  const window = await jobQueue.findJobs({ since: new Date(created(45)), until: new Date(created(25)) });
+  const onWorker = await jobQueue.findJobs({ worker: 'worker-1', sort: 'created_at:asc' });
+  const unknownWorker = await jobQueue.findJobs({ worker: 'worker-9' });
+
+  // Claiming records the worker, and it is kept once the job is done
+  await jobQueue.enqueueJob({ id: 'list-f', command: 'echo f' });
+  await jobQueue.acquireJobLock('worker-3');
+  await jobQueue.markJobCompleted('list-f');
+  const claimed = await jobQueue.findJobs({ worker: 'worker-3' });
+
+  let invalidSort = false;
+  try {
+    await jobQueue.findJobs({ sort: 'command' });
+  } catch (error) {
+    invalidSort = true;
+  }
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  const ids = result => result.jobs.map(item => item.id).join(',');
+  console.log(`✓ Pages: ${ids(firstPage)} | ${ids(secondPage)} of ${firstPage.total}`);
+  console.log(`✓ Priority order: ${ids(byPriority)}`);
+  console.log(`✓ Command: ${ids(python)}, window: ${ids(window)}, worker: ${ids(onWorker)}, claimed: ${ids(claimed)}`);
+
+  if (ids(firstPage) === 'list-e,list-d' && ids(secondPage) === 'list-c,list-b' && firstPage.total === 5 &&
+      ids(byPriority) === 'list-b,list-d,list-c,list-a,list-e' &&
+      ids(python) === 'list-d,list-b' && python.total === 2 &&
+      ids(window) === 'list-c,list-b' &&
+      ids(onWorker) === 'list-b,list-d' && unknownWorker.total === 0 && ids(claimed) === 'list-f' && invalidSort) {
+    console.log('✓ Jobs were filtered, sorted and paged by the storage backend');
+    return true;
+  } else {
+    console.log('✗ Job listing did not behave as expected');
+    return false;
+  }
+}
+
+async function testLongJobLocks() {
+  console.log('\n=== Test 32: Locks of Long-Running Jobs ===');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'queuectl-locks-'));
+  const storage = new FileStorage({ dir });
+  const jobQueue = new JobQueue(storage);
+  const jobAttempts = new JobAttempts(storage);
+  await new Config(storage).set('stale_lock_timeout', '1s');
+
+  await jobQueue.enqueueJob({ id: 'lock-long', command: 'sleep 3; echo done', timeout: 30 });
+  const worker = new Worker('lock-worker', storage);
+  const other = new Worker('lock-other', storage);
+  worker.start().catch(console.error);
+  await sleep(200);
+  other.start().catch(console.error);
+
+  const startedAt = Date.now();
+  while ((await jobQueue.getJob('lock-long')).state !== 'completed' && Date.now() - startedAt < 10000) {
+    await sleep(200);
+  }
+  await Promise.all([worker.stop(), other.stop()]);
+  const long = await jobQueue.getJob('lock-long');
+  const attempts = await jobAttempts.listAttempts('lock-long');
+
+  // A worker whose lock was reclaimed cannot overwrite the new owner's result
+  await jobQueue.enqueueJob({ id: 'lock-stolen', command: 'echo stolen' });
+  await jobQueue.acquireJobLock('lock-old');
+  await storage.update('jobs', { id: 'lock-stolen' }, { locked_at: new Date(Date.now() - 5000).toISOString() });
+  await jobQueue.acquireJobLock('lock-new');
+  const rejected = [];
+  for (const finish of [
+    () => jobQueue.markJobCompleted('lock-stolen', {}, { workerId: 'lock-old' }),
+    () => jobQueue.markJobFailed('lock-stolen', 'boom', { workerId: 'lock-old' }),
+    () => jobQueue.markJobCancelled('lock-stolen', {}, { workerId: 'lock-old' })
+  ]) {
+    try {
+      await finish();
+    } catch (error) {
+      rejected.push(error.lockLost === true);
+    }
+  }
+  const stolen = await jobQueue.getJob('lock-stolen');
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  console.log(`✓ Long job ${long.state} after ${attempts.length} attempt(s) by ${attempts.map(a => a.worker_id).join(', ')}`);
+  console.log(`✓ Stale owner rejected ${rejected.filter(Boolean).length} time(s); job ${stolen.state} by ${stolen.locked_by}`);
+
+  if (long.state === 'completed' && long.attempts === 0 && attempts.length === 1 &&
+      attempts[0].worker_id === 'lock-worker' && attempts[0].outcome === 'completed' &&
+      rejected.length === 3 && rejected.every(Boolean) &&
+      stolen.state === 'processing' && stolen.locked_by === 'lock-new') {
+    console.log('✓ Running jobs kept their locks and only the lock owner could finish a job');
+    return true;
+  } else {
+    console.log('✗ Job locks behaved unexpectedly');
+    return false;
+  }
+}
+
 async function runAllTests() {
   console.log('='.repeat(50));
   console.log('QueueCTL Test Suite');
@@ -266,6 +1734,188 @@ async function runAllTests() {
     results.push(false);
   }
 
+  try {
+    results.push(await testFileStorageLocking());
+  } catch (error) {
+    console.error('Test 7 error:', error.message);
+    results.push(false);
+  }
+
+  try {
+    results.push(await testAtomicClaiming());
+  } catch (error) {
+    console.error('Test 8 error:', error.message);
+    results.push(false);
+  }
+
+  try {
+    results.push(await testQueuesAndPriorities());
+  } catch (error) {
+    console.error('Test 9 error:', error.message);
+    results.push(false);
+  }
+
+  try {
+    results.push(await testDelayedJobsAndSchedules());
+  } catch (error) {
+    console.error('Test 10 error:', error.message);
+    results.push(false);
+  }
+
+  try {
+    results.push(await testDependenciesAndWorkflows());
+  } catch (error) {
+    console.error('Test 11 error:', error.message);
+    results.push(false);
+  }
+
+  try {
+    results.push(await testTimeoutsAndCancellation());
+  } catch (error) {
+    console.error('Test 12 error:', error.message);
+    results.push(false);
+  }
+
+  try {
+    results.push(await testStreamingLogs());
+  } catch (error) {
+    console.error('Test 13 error:', error.message);
+    results.push(false);
+  }
+
+  try {
+    results.push(await testAttemptHistory());
+  } catch (error) {
+    console.error('Test 14 error:', error.message);
+    results.push(false);
+  }
+
+  try {
+    results.push(await testIdempotentEnqueue());
+  } catch (error) {
+    console.error('Test 15 error:', error.message);
+    results.push(false);
+  }
+
+  try {
+    results.push(await testBulkEnqueue());
+  } catch (error) {
+    console.error('Test 16 error:', error.message);
+    results.push(false);
+  }
+
+  try {
+    results.push(await testRestApi());
+  } catch (error) {
+    console.error('Test 17 error:', error.message);
+    results.push(false);
+  }
+
+  try {
+    results.push(await testDashboard());
+  } catch (error) {
+    console.error('Test 18 error:', error.message);
+    results.push(false);
+  }
+
+  try {
+    results.push(await testMetrics());
+  } catch (error) {
+    console.error('Test 19 error:', error.message);
+    results.push(false);
+  }
+
+  try {
+    results.push(await testRetryStrategies());
+  } catch (error) {
+    console.error('Test 20 error:', error.message);
+    results.push(false);
+  }
+
+  try {
+    results.push(await testLayeredConfig());
+  } catch (error) {
+    console.error('Test 21 error:', error.message);
+    results.push(false);
+  }
+
+  try {
+    results.push(await testWorkerConcurrency());
+  } catch (error) {
+    console.error('Test 22 error:', error.message);
+    results.push(false);
+  }
+
+  try {
+    results.push(await testWorkerControl());
+  } catch (error) {
+    console.error('Test 23 error:', error.message);
+    results.push(false);
+  }
+
+  try {
+    results.push(await testQueuePause());
+  } catch (error) {
+    console.error('Test 24 error:', error.message);
+    results.push(false);
+  }
+
+  try {
+    results.push(await testExecutionEnvironment());
+  } catch (error) {
+    console.error('Test 25 error:', error.message);
+    results.push(false);
+  }
+
+  try {
+    results.push(await testExecutionPolicy());
+  } catch (error) {
+    console.error('Test 26 error:', error.message);
+    results.push(false);
+  }
+
+  try {
+    results.push(await testHooks());
+  } catch (error) {
+    console.error('Test 27 error:', error.message);
+    results.push(false);
+  }
+
+  try {
+    results.push(await testJobResults());
+  } catch (error) {
+    console.error('Test 28 error:', error.message);
+    results.push(false);
+  }
+
+  try {
+    results.push(await testRetention());
+  } catch (error) {
+    console.error('Test 29 error:', error.message);
+    results.push(false);
+  }
+
+  try {
+    results.push(await testBulkDLQ());
+  } catch (error) {
+    console.error('Test 30 error:', error.message);
+    results.push(false);
+  }
+
+  try {
+    results.push(await testListJobs());
+  } catch (error) {
+    console.error('Test 31 error:', error.message);
+    results.push(false);
+  }
+
+  try {
+    results.push(await testLongJobLocks());
+  } catch (error) {
+    console.error('Test 32 error:', error.message);
+    results.push(false);
+  }
+
   console.log('\n' + '='.repeat(50));
   console.log('Test Results');
   console.log('='.repeat(50));